@@ -86,32 +86,17 @@ tasks.withType<Test> {
     systemProperty("DB_SQLITE_PATH", "test-dbs/ci-test.db")
 }
 
-// Minify tracker.js (strip comments and collapse whitespace)
-tasks.register("minifyTracker") {
+// Minify tracker.js with the same bundler that builds per-project bundles.
+// tracker.min.js is committed; TrackerBundlerTest fails when it is out of date.
+tasks.register<JavaExec>("minifyTracker") {
     group = "build"
     description = "Minify tracker.js for production"
 
-    val srcFile = file("src/main/resources/tracker/tracker.js")
-    val outFile = file("src/main/resources/tracker/tracker.min.js")
-
-    inputs.file(srcFile)
-    outputs.file(outFile)
-
-    doLast {
-        val source = srcFile.readText()
-        val minified = source
-            .replace(Regex("/\\*\\*.*?\\*/", RegexOption.DOT_MATCHES_ALL), "") // strip block comments
-            .replace(Regex("//.*"), "")             // strip line comments
-            .replace(Regex("\\s*\n\\s*"), "\n")     // collapse line whitespace
-            .replace(Regex("\n+"), "\n")             // collapse blank lines
-            .trim()
-        outFile.writeText(minified)
-        println("tracker.min.js: ${minified.length} bytes (from ${source.length} bytes)")
-    }
+    classpath = sourceSets["main"].runtimeClasspath
+    mainClass.set("se.onemanstudio.services.TrackerBundlerKt")
+    args("src/main/resources/tracker/tracker.js", "src/main/resources/tracker/tracker.min.js")
 }
 
-tasks.named("processResources") { dependsOn("minifyTracker") }
-
 // Custom task to reset database
 tasks.register<JavaExec>("reset") {
     group = "application"
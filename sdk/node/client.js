@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Server-side event client for Mini Numbers.
+ *
+ * Sends custom events (webhooks, API signups, payments) to `POST /collect` in the
+ * same shape as the browser tracker, batched and retried. Pass the browser's
+ * session ID (`MiniNumbers.getSessionId()`) to attach an event to the visit it
+ * belongs to, so its revenue is attributed to that visit's source.
+ *
+ *     const mn = createClient({ server: 'https://stats.example.com', projectKey: 'YOUR_KEY' });
+ *     mn.track('purchase', { revenue: 29.99, currency: 'USD' }, { sessionId: order.mnSession });
+ */
+const crypto = require('node:crypto');
+const { signForwarded, FORWARDED_HEADER } = require('./proxy');
+
+/** Largest batch `/collect` accepts */
+const MAX_BATCH_SIZE = 50;
+
+function randomId() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toMillis(time) {
+    if (time instanceof Date) return time.getTime();
+    return typeof time === 'number' ? time : Date.now();
+}
+
+function visitorKey(visitor) {
+    return visitor ? visitor.ip + '\n' + (visitor.userAgent || '') : '';
+}
+
+function clientError(message, fields) {
+    return Object.assign(new Error(message), fields);
+}
+
+/**
+ * Create an event client.
+ *
+ * @param {Object} options
+ * @param {string} options.server - Base URL of the Mini Numbers server, e.g. "https://stats.example.com"
+ * @param {string} options.projectKey - API key of the project
+ * @param {number} [options.batchSize=20] - Events per request (at most 50); a full batch is sent right away
+ * @param {number} [options.flushInterval=5000] - How often queued events are sent, in milliseconds
+ * @param {number} [options.maxQueueSize=1000] - Events kept while the server is unreachable; newer ones are dropped
+ * @param {number} [options.maxRetries=3] - Retries after a network error, 429 or 5xx
+ * @param {number} [options.retryDelay=1000] - First retry delay in milliseconds, doubled on every retry
+ * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+ * @param {string} [options.proxySecret] - The server's TRACKER_PROXY_SECRET, to send events with `visitor`
+ * @param {function(Error): void} [options.onError] - Called with events that could not be stored (`err.events`);
+ *     without it such events are dropped silently
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @returns {{track: Function, flush: function(): Promise<void>, close: function(): Promise<void>}}
+ */
+function createClient(options) {
+    const opts = options || {};
+    if (!opts.server) throw new Error('createClient: `server` is required');
+    if (!opts.projectKey) throw new Error('createClient: `projectKey` is required');
+    if (opts.proxySecret && opts.proxySecret.length < 32) {
+        throw new Error('createClient: `proxySecret` must be at least 32 characters');
+    }
+    const collectUrl = opts.server.replace(/\/+$/, '') + '/collect';
+    const batchSize = Math.min(Math.max(opts.batchSize || 20, 1), MAX_BATCH_SIZE);
+    const maxQueueSize = opts.maxQueueSize || 1000;
+    const maxRetries = opts.maxRetries === undefined ? 3 : opts.maxRetries;
+    const retryDelay = opts.retryDelay === undefined ? 1000 : opts.retryDelay;
+    const timeout = opts.timeout || 10000;
+    const fetchImpl = opts.fetch || globalThis.fetch;
+    const onError = opts.onError || (() => {});
+
+    let queue = [];
+    let sending = Promise.resolve();
+
+    // Periodic flush that does not keep the process alive
+    const timer = setInterval(() => flush().catch(() => {}), opts.flushInterval || 5000);
+    if (timer.unref) timer.unref();
+
+    // An onError that throws must not stop the client from sending
+    function notify(err) {
+        try {
+            onError(err);
+        } catch (_) {
+            // ignored
+        }
+    }
+
+    /**
+     * Queue a custom event.
+     *
+     * @param {string} name - Event name (letters, digits, `_`, `-`, `.` and spaces)
+     * @param {Object} [properties] - Event properties; `revenue` counts towards revenue
+     * @param {Object} [context]
+     * @param {string} [context.sessionId] - Browser session to attach the event to; a new session otherwise
+     * @param {string} [context.path="/"] - Page path the event is recorded on
+     * @param {string} [context.referrer] - Referrer URL
+     * @param {Date|number} [context.timestamp] - When the event happened (defaults to now)
+     * @param {string} [context.eventId] - Unique ID (letters, digits and `-`); a repeated ID is stored once
+     * @param {{ip: string, userAgent: string}} [context.visitor] - Visitor to count the event for (needs `proxySecret`)
+     * @returns {string} The event ID
+     */
+    function track(name, properties, context) {
+        if (!name || typeof name !== 'string') throw new TypeError('track: event name is required');
+        const ctx = context || {};
+        if (ctx.visitor && !opts.proxySecret) throw new TypeError('track: `visitor` requires the `proxySecret` option');
+
+        const event = {
+            path: ctx.path || '/',
+            sessionId: ctx.sessionId || randomId(),
+            type: 'custom',
+            eventName: name,
+            eventId: ctx.eventId || randomId(),
+            timestamp: toMillis(ctx.timestamp)
+        };
+        if (ctx.referrer) event.referrer = ctx.referrer;
+        if (properties && Object.keys(properties).length) event.properties = JSON.stringify(properties);
+
+        if (queue.length >= maxQueueSize) {
+            notify(clientError('Event queue is full, dropped ' + name, { events: [event] }));
+        } else {
+            queue.push({ event, visitor: ctx.visitor || null });
+            if (queue.length >= batchSize) flush().catch(() => {});
+        }
+        return event.eventId;
+    }
+
+    /**
+     * Send all queued events. Resolves once they are stored or given up on;
+     * it never rejects, so one failed flush does not block the later ones.
+     *
+     * @returns {Promise<void>}
+     */
+    function flush() {
+        sending = sending.then(async () => {
+            while (queue.length) {
+                // Events for the same visitor share a request (and its forwarding header)
+                const key = visitorKey(queue[0].visitor);
+                const batch = [];
+                const rest = [];
+                queue.forEach((item) => {
+                    if (batch.length < batchSize && visitorKey(item.visitor) === key) batch.push(item);
+                    else rest.push(item);
+                });
+                queue = rest;
+                const events = batch.map((item) => item.event);
+                try {
+                    await deliver(events, batch[0].visitor);
+                } catch (err) {
+                    notify(clientError('Could not send ' + events.length + ' events: ' + err.message, { events }));
+                }
+            }
+        }).catch(() => {});
+        return sending;
+    }
+
+    /**
+     * Stop the periodic flush and send what is queued, e.g. before the process exits
+     *
+     * @returns {Promise<void>}
+     */
+    function close() {
+        clearInterval(timer);
+        return flush();
+    }
+
+    async function deliver(events, visitor) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+            try {
+                response = await post(events, visitor);
+            } catch (err) {
+                failure = err;
+            }
+
+            if (response && response.status !== 429 && response.status < 500) {
+                await report(response, events);
+                return;
+            }
+            if (attempt >= maxRetries) {
+                const reason = response ? 'status ' + response.status : failure.message;
+                notify(clientError('Could not send ' + events.length + ' events: ' + reason, {
+                    status: response ? response.status : undefined,
+                    events
+                }));
+                return;
+            }
+            await sleep(retryDelay * 2 ** attempt);
+        }
+    }
+
+    function post(events, visitor) {
+        const sentAt = Date.now();
+        const headers = { 'content-type': 'application/json', 'x-project-key': opts.projectKey };
+        if (visitor) {
+            const userAgent = visitor.userAgent || 'unknown';
+            headers['user-agent'] = userAgent;
+            headers[FORWARDED_HEADER] = signForwarded(visitor.ip, userAgent, opts.proxySecret, sentAt);
+        }
+        return fetchImpl(collectUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(events.map((event) => Object.assign({}, event, { sentAt }))),
+            signal: AbortSignal.timeout(timeout)
+        });
+    }
+
+    // Pass events the server refused to onError; duplicates count as stored
+    async function report(response, events) {
+        const body = await response.json().catch(() => null);
+        if (response.status === 207) {
+            ((body && body.results) || []).forEach((result) => {
+                if (result.status !== 'rejected') return;
+                const errors = result.errors || [];
+                notify(clientError('Event rejected: ' + (errors.join('; ') || 'invalid event'), {
+                    status: 400,
+                    errors,
+                    events: [events[result.index]]
+                }));
+            });
+        } else if (response.status >= 400) {
+            const message = (body && body.error) || 'request failed';
+            notify(clientError('Mini Numbers answered ' + response.status + ': ' + message, {
+                status: response.status,
+                events
+            }));
+        }
+    }
+
+    return { track, flush, close };
+}
+
+module.exports = { createClient };
@@ -0,0 +1,6 @@
+'use strict';
+
+const { createClient } = require('./client');
+const { createProxy, signForwarded, FORWARDED_HEADER } = require('./proxy');
+
+module.exports = { createClient, createProxy, signForwarded, FORWARDED_HEADER };
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * First-party proxy for the Mini Numbers tracker.
+ *
+ * Serves `/collect` and the tracker's other requests from the site's own domain
+ * (e.g. `/stats/collect`), which ad blockers leave alone more often, and forwards
+ * them to the Mini Numbers server. The visitor's IP and user agent are passed on
+ * in the `X-Mini-Numbers-Forwarded` header, signed with the server's
+ * `TRACKER_PROXY_SECRET`, so visitor counts and locations stay correct.
+ *
+ *     app.use(createProxy({ server: 'https://stats.example.com', secret: process.env.MN_PROXY_SECRET }));
+ *
+ *     <script async src="/stats/tracker/tracker.min.js"
+ *             data-project-key="YOUR_KEY" data-api-endpoint="/stats/collect"></script>
+ */
+const crypto = require('node:crypto');
+
+const FORWARDED_HEADER = 'x-mini-numbers-forwarded';
+
+/** Paths forwarded below the prefix; everything else is passed to `next` */
+const FORWARDED_PATHS = [
+    '/collect',
+    '/tracker/config',
+    '/tracker/session-token',
+    '/tracker/session',
+    '/tracker/tracker.min.js',
+    '/tracker/bundle.js'
+];
+
+/** Request headers passed on to Mini Numbers as they are */
+const REQUEST_HEADERS = ['content-type', 'x-project-key', 'sec-gpc', 'if-none-match'];
+
+/** Response headers passed back to the browser */
+const RESPONSE_HEADERS = ['content-type', 'cache-control', 'etag'];
+
+const MAX_BODY_BYTES = 512 * 1024;
+
+/**
+ * Value of the forwarding header for a visitor:
+ * `<epoch seconds>.<base64url(ip)>.<base64url(user agent)>.<hex HMAC-SHA256 of the first three parts>`.
+ * Mini Numbers accepts it for 5 minutes.
+ *
+ * @param {string} ip - Visitor IP address
+ * @param {string} userAgent - Visitor user agent
+ * @param {string} secret - The server's TRACKER_PROXY_SECRET
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {string}
+ */
+function signForwarded(ip, userAgent, secret, now = Date.now()) {
+    const data = Math.floor(now / 1000) + '.' +
+        Buffer.from(ip).toString('base64url') + '.' +
+        Buffer.from(userAgent).toString('base64url');
+    return data + '.' + crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/**
+ * The visitor's IP: Express's `req.ip` (which honours its `trust proxy` setting),
+ * the first `X-Forwarded-For` entry with `trustProxy`, or the socket address
+ */
+function clientIp(req, trustProxy) {
+    let ip = req.ip;
+    if (!ip && trustProxy) ip = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (!ip) ip = (req.socket && req.socket.remoteAddress) || '';
+    return ip.replace(/^::ffff:/, '');
+}
+
+/**
+ * The request body as a Buffer. A body already parsed by Express middleware
+ * (express.json, express.text) is serialized again; otherwise the stream is read.
+ */
+function readBody(req) {
+    if (Buffer.isBuffer(req.body)) return Promise.resolve(req.body);
+    if (typeof req.body === 'string') return Promise.resolve(Buffer.from(req.body));
+    if (req.body && typeof req.body === 'object' && req.readableEnded !== false) {
+        return Promise.resolve(Buffer.from(JSON.stringify(req.body)));
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Create the proxy middleware, usable with Express, Connect or a plain
+ * `http.createServer((req, res) => proxy(req, res, next))`.
+ *
+ * @param {Object} options
+ * @param {string} options.server - Base URL of the Mini Numbers server, e.g. "https://stats.example.com"
+ * @param {string} options.secret - The server's TRACKER_PROXY_SECRET
+ * @param {string} [options.prefix="/stats"] - Path the tracker is served under on this site
+ * @param {boolean} [options.trustProxy=false] - Take the visitor IP from X-Forwarded-For when `req.ip` is not set
+ * @param {number} [options.timeout=10000] - Upstream timeout in milliseconds
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @returns {function(Object, Object, Function=): Promise<void>}
+ */
+function createProxy(options) {
+    const opts = options || {};
+    if (!opts.server) throw new Error('createProxy: `server` is required');
+    if (!opts.secret || opts.secret.length < 32) throw new Error('createProxy: `secret` must be at least 32 characters');
+    const server = opts.server.replace(/\/+$/, '');
+    const prefix = (opts.prefix || '/stats').replace(/\/+$/, '');
+    const timeout = opts.timeout || 10000;
+    const fetchImpl = opts.fetch || globalThis.fetch;
+
+    return async function miniNumbersProxy(req, res, next) {
+        const url = req.originalUrl || req.url || '';
+        const queryStart = url.indexOf('?');
+        const pathname = queryStart === -1 ? url : url.substring(0, queryStart);
+        const path = pathname.startsWith(prefix + '/') ? pathname.substring(prefix.length) : null;
+        const method = path === '/collect' ? 'POST' : 'GET';
+
+        if (!path || FORWARDED_PATHS.indexOf(path) === -1 || req.method !== method) {
+            if (next) next();
+            return;
+        }
+
+        try {
+            const headers = {};
+            REQUEST_HEADERS.forEach((name) => {
+                if (req.headers[name]) headers[name] = req.headers[name];
+            });
+            const userAgent = req.headers['user-agent'] || 'unknown';
+            headers['user-agent'] = userAgent;
+            headers[FORWARDED_HEADER] = signForwarded(clientIp(req, opts.trustProxy), userAgent, opts.secret);
+
+            const upstream = await fetchImpl(server + path + (queryStart === -1 ? '' : url.substring(queryStart)), {
+                method,
+                headers,
+                body: method === 'POST' ? await readBody(req) : undefined,
+                signal: AbortSignal.timeout(timeout)
+            });
+
+            res.statusCode = upstream.status;
+            RESPONSE_HEADERS.forEach((name) => {
+                const value = upstream.headers.get(name);
+                if (value) res.setHeader(name, value);
+            });
+            res.end(Buffer.from(await upstream.arrayBuffer()));
+        } catch (err) {
+            res.statusCode = err.status || 502;
+            res.end();
+        }
+    };
+}
+
+module.exports = { createProxy, signForwarded, FORWARDED_HEADER };
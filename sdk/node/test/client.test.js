@@ -0,0 +1,216 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../client');
+
+const SECRET = 'test-proxy-secret-' + 'x'.repeat(20);
+
+// Fake fetch answering with the given statuses in turn (the last one repeats)
+function fakeFetch(statuses) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        const status = statuses[Math.min(requests.length, statuses.length - 1)];
+        requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        if (status === 'network') throw new Error('connect ECONNREFUSED');
+        const results = requests[requests.length - 1].body.map((event, index) => ({ index, status: 'accepted' }));
+        return new Response(JSON.stringify({ accepted: results.length, duplicates: 0, rejected: 0, results }), { status });
+    };
+    return { fetch, requests };
+}
+
+function client(fetch, options) {
+    const errors = [];
+    const mn = createClient(Object.assign({
+        server: 'https://stats.example.com/',
+        projectKey: 'KEY',
+        retryDelay: 1,
+        fetch,
+        onError: (err) => errors.push(err)
+    }, options));
+    return { mn, errors };
+}
+
+test('createClient requires a server and a project key', () => {
+    assert.throws(() => createClient({ projectKey: 'KEY' }), /server/);
+    assert.throws(() => createClient({ server: 'https://stats.example.com' }), /projectKey/);
+    assert.throws(() => createClient({ server: 'https://stats.example.com', projectKey: 'KEY', proxySecret: 'short' }), /proxySecret/);
+});
+
+test('events are sent as a batch in the payload format of the tracker', async () => {
+    const { fetch, requests } = fakeFetch([207]);
+    const { mn, errors } = client(fetch);
+
+    const eventId = mn.track('purchase', { revenue: 29.99, currency: 'USD' }, {
+        sessionId: 'browser-session-1',
+        path: '/checkout',
+        timestamp: new Date(Date.UTC(2026, 0, 1))
+    });
+    mn.track('signup');
+    await mn.close();
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, 'https://stats.example.com/collect');
+    assert.strictEqual(requests[0].headers['x-project-key'], 'KEY');
+    const [purchase, signup] = requests[0].body;
+    assert.deepStrictEqual(purchase, {
+        path: '/checkout',
+        sessionId: 'browser-session-1',
+        type: 'custom',
+        eventName: 'purchase',
+        eventId,
+        timestamp: Date.UTC(2026, 0, 1),
+        properties: '{"revenue":29.99,"currency":"USD"}',
+        sentAt: purchase.sentAt
+    });
+    assert.ok(Math.abs(purchase.sentAt - Date.now()) < 5000);
+    assert.strictEqual(signup.path, '/');
+    assert.match(signup.sessionId, /^[0-9a-f]{32}$/);
+    assert.strictEqual(signup.properties, undefined);
+    assert.deepStrictEqual(errors, []);
+});
+
+test('a full batch is sent right away and split at the batch size', async () => {
+    const { fetch, requests } = fakeFetch([207]);
+    const { mn } = client(fetch, { batchSize: 2 });
+
+    mn.track('a');
+    mn.track('b');
+    mn.track('c');
+    await mn.flush();
+    await mn.close();
+
+    assert.deepStrictEqual(requests.map((r) => r.body.map((e) => e.eventName)), [['a', 'b'], ['c']]);
+});
+
+test('network errors, 429 and 5xx are retried', async () => {
+    const { fetch, requests } = fakeFetch(['network', 429, 503, 207]);
+    const { mn, errors } = client(fetch);
+
+    mn.track('purchase', null, { eventId: 'order-1' });
+    await mn.close();
+
+    assert.strictEqual(requests.length, 4);
+    assert.ok(requests.every((r) => r.body[0].eventId === 'order-1'));
+    assert.deepStrictEqual(errors, []);
+});
+
+test('events are given up on after the last retry', async () => {
+    const { fetch, requests } = fakeFetch([500]);
+    const { mn, errors } = client(fetch, { maxRetries: 2 });
+
+    mn.track('purchase');
+    await mn.close();
+
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].status, 500);
+    assert.strictEqual(errors[0].events[0].eventName, 'purchase');
+});
+
+test('rejected events and client errors are reported without retrying', async () => {
+    const fetch = async (url, init) => {
+        const count = JSON.parse(init.body).length;
+        if (count === 1) return new Response(JSON.stringify({ error: 'Invalid API key', code: 'NOT_FOUND' }), { status: 404 });
+        return new Response(JSON.stringify({
+            accepted: 1, duplicates: 0, rejected: 1,
+            results: [{ index: 0, status: 'accepted' }, { index: 1, status: 'rejected', errors: ['Event name contains invalid characters'] }]
+        }), { status: 207 });
+    };
+    const { mn, errors } = client(fetch);
+
+    mn.track('purchase');
+    mn.track('bad/name');
+    await mn.flush();
+    mn.track('purchase');
+    await mn.close();
+
+    assert.strictEqual(errors.length, 2);
+    assert.deepStrictEqual(errors[0].errors, ['Event name contains invalid characters']);
+    assert.strictEqual(errors[0].events[0].eventName, 'bad/name');
+    assert.strictEqual(errors[1].status, 404);
+    assert.match(errors[1].message, /Invalid API key/);
+});
+
+test('a throwing onError does not stop later flushes', async () => {
+    const { fetch, requests } = fakeFetch([404, 207]);
+    const mn = createClient({
+        server: 'https://stats.example.com',
+        projectKey: 'KEY',
+        fetch,
+        onError: () => { throw new Error('handler failed'); }
+    });
+
+    mn.track('first');
+    await mn.flush();
+    mn.track('second');
+    await mn.close();
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].body[0].eventName, 'second');
+});
+
+test('a rejected result without errors is reported and later flushes still post', async () => {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return new Response(JSON.stringify({
+            accepted: 0, duplicates: 0, rejected: 1, results: [{ index: 0, status: 'rejected' }]
+        }), { status: 207 });
+    };
+    const { mn, errors } = client(fetch);
+
+    mn.track('first');
+    await mn.flush();
+    mn.track('second');
+    await mn.close();
+
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(errors.length, 2);
+    assert.deepStrictEqual(errors[0].errors, []);
+    assert.strictEqual(errors[1].events[0].eventName, 'second');
+});
+
+test('without onError, failures are not logged', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const { fetch } = fakeFetch([500]);
+    const mn = createClient({ server: 'https://stats.example.com', projectKey: 'KEY', maxRetries: 0, fetch });
+
+    mn.track('purchase');
+    await mn.close();
+
+    assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('events with a visitor are sent with a signed forwarding header', async () => {
+    const { fetch, requests } = fakeFetch([207]);
+    const { mn } = client(fetch, { proxySecret: SECRET });
+    const visitor = { ip: '203.0.113.7', userAgent: 'Visitor/1.0' };
+
+    mn.track('signup', null, { visitor });
+    mn.track('webhook');
+    mn.track('activated', null, { visitor });
+    await mn.close();
+
+    assert.strictEqual(requests.length, 2);
+    assert.deepStrictEqual(requests[0].body.map((e) => e.eventName), ['signup', 'activated']);
+    assert.strictEqual(requests[0].headers['user-agent'], 'Visitor/1.0');
+    assert.match(requests[0].headers['x-mini-numbers-forwarded'], /^\d+\.MjAzLjAuMTEzLjc\.VmlzaXRvci8xLjA\.[0-9a-f]{64}$/);
+    assert.strictEqual(requests[1].headers['x-mini-numbers-forwarded'], undefined);
+
+    const { mn: unsigned } = client(fetch);
+    assert.throws(() => unsigned.track('signup', null, { visitor }), /proxySecret/);
+    await unsigned.close();
+});
+
+test('events beyond the queue limit are dropped', async () => {
+    const { fetch } = fakeFetch([207]);
+    const { mn, errors } = client(fetch, { maxQueueSize: 1, batchSize: 10 });
+
+    mn.track('first');
+    mn.track('second');
+    await mn.close();
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].events[0].eventName, 'second');
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { createProxy, signForwarded } = require('../proxy');
+
+const SECRET = 'test-proxy-secret-' + 'x'.repeat(20);
+
+// Parse and check a forwarding header the way the server does
+function verify(header, secret) {
+    const parts = header.split('.');
+    const expected = crypto.createHmac('sha256', secret).update(parts.slice(0, 3).join('.')).digest('hex');
+    if (parts.length !== 4 || parts[3] !== expected) return null;
+    return {
+        signedAt: Number(parts[0]),
+        ip: Buffer.from(parts[1], 'base64url').toString(),
+        userAgent: Buffer.from(parts[2], 'base64url').toString()
+    };
+}
+
+// Run the proxy in front of a fake Mini Numbers server that records what it receives
+async function withServers(options, fn) {
+    const received = [];
+    const upstream = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (c) => chunks.push(c));
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+            res.setHeader('content-type', 'application/json');
+            res.setHeader('etag', '"abc"');
+            res.setHeader('set-cookie', 'upstream=1');
+            res.statusCode = req.url.startsWith('/collect') ? 202 : 200;
+            res.end(req.url.startsWith('/collect') ? '' : '{"ok":true}');
+        });
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+
+    const proxy = createProxy(Object.assign({ server: 'http://127.0.0.1:' + upstream.address().port + '/', secret: SECRET }, options));
+    const site = http.createServer((req, res) => proxy(req, res, () => {
+        res.statusCode = 404;
+        res.end('site page');
+    }));
+    await new Promise((resolve) => site.listen(0, '127.0.0.1', resolve));
+
+    try {
+        await fn('http://127.0.0.1:' + site.address().port, received);
+    } finally {
+        site.close();
+        upstream.close();
+    }
+}
+
+test('signForwarded matches the format the server verifies', () => {
+    // Same vector as ProxyForwardingTest on the server
+    assert.strictEqual(
+        signForwarded('203.0.113.7', 'Mozilla/5.0 (X11; Linux x86_64)', SECRET, Date.UTC(2026, 0, 1, 12)),
+        '1767268800.MjAzLjAuMTEzLjc.TW96aWxsYS81LjAgKFgxMTsgTGludXggeDg2XzY0KQ.' +
+            'f1041958504f589ffd6e7e876ad0bed37ff3bcbfcd845ee0284bf834e8d48677'
+    );
+});
+
+test('createProxy requires a server and a strong secret', () => {
+    assert.throws(() => createProxy({ secret: SECRET }), /server/);
+    assert.throws(() => createProxy({ server: 'https://stats.example.com', secret: 'short' }), /secret/);
+});
+
+test('collect is forwarded with the body and a signed visitor header', async () => {
+    await withServers({}, async (site, received) => {
+        const body = '[{"path":"/","sessionId":"abc","type":"pageview"}]';
+        const res = await fetch(site + '/stats/collect?key=KEY', {
+            method: 'POST',
+            headers: { 'content-type': 'text/plain', 'user-agent': 'Visitor/1.0', 'sec-gpc': '1' },
+            body
+        });
+
+        assert.strictEqual(res.status, 202);
+        assert.strictEqual(res.headers.get('set-cookie'), null);
+        assert.strictEqual(received.length, 1);
+        const req = received[0];
+        assert.strictEqual(req.method, 'POST');
+        assert.strictEqual(req.url, '/collect?key=KEY');
+        assert.strictEqual(req.body, body);
+        assert.strictEqual(req.headers['content-type'], 'text/plain');
+        assert.strictEqual(req.headers['user-agent'], 'Visitor/1.0');
+        assert.strictEqual(req.headers['sec-gpc'], '1');
+
+        const forwarded = verify(req.headers['x-mini-numbers-forwarded'], SECRET);
+        assert.ok(forwarded, 'signature should verify');
+        assert.strictEqual(forwarded.ip, '127.0.0.1');
+        assert.strictEqual(forwarded.userAgent, 'Visitor/1.0');
+        assert.ok(Math.abs(forwarded.signedAt - Date.now() / 1000) < 5);
+    });
+});
+
+test('tracker requests are forwarded with their response headers', async () => {
+    await withServers({}, async (site, received) => {
+        const res = await fetch(site + '/stats/tracker/config?key=KEY', { headers: { 'if-none-match': '"old"' } });
+
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.headers.get('etag'), '"abc"');
+        assert.deepStrictEqual(await res.json(), { ok: true });
+        assert.strictEqual(received[0].url, '/tracker/config?key=KEY');
+        assert.strictEqual(received[0].headers['if-none-match'], '"old"');
+    });
+});
+
+test('other paths and methods fall through to the site', async () => {
+    await withServers({}, async (site, received) => {
+        assert.strictEqual((await fetch(site + '/collect', { method: 'POST', body: '{}' })).status, 404);
+        assert.strictEqual((await fetch(site + '/stats/admin/projects')).status, 404);
+        assert.strictEqual((await fetch(site + '/stats/collect')).status, 404);
+        assert.strictEqual(received.length, 0);
+    });
+});
+
+test('a custom prefix and X-Forwarded-For are honoured', async () => {
+    await withServers({ prefix: '/mn/', trustProxy: true }, async (site, received) => {
+        await fetch(site + '/mn/collect?key=KEY', {
+            method: 'POST',
+            headers: { 'x-forwarded-for': '198.51.100.23, 10.0.0.1' },
+            body: '{}'
+        });
+
+        assert.strictEqual(received[0].url, '/collect?key=KEY');
+        assert.strictEqual(verify(received[0].headers['x-mini-numbers-forwarded'], SECRET).ip, '198.51.100.23');
+    });
+});
+
+test('bodies parsed by Express and req.ip are used', async () => {
+    let sent = null;
+    const proxy = createProxy({
+        server: 'https://stats.example.com',
+        secret: SECRET,
+        fetch: async (url, init) => {
+            sent = { url, init };
+            return new Response(null, { status: 202 });
+        }
+    });
+    const res = { statusCode: 0, setHeader() {}, end() {} };
+    const req = {
+        method: 'POST',
+        originalUrl: '/stats/collect?key=KEY',
+        url: '/collect?key=KEY',
+        ip: '::ffff:192.0.2.9',
+        headers: { 'user-agent': 'Visitor/2.0' },
+        body: { path: '/', sessionId: 'abc', type: 'pageview' },
+        readableEnded: true
+    };
+
+    await proxy(req, res);
+
+    assert.strictEqual(res.statusCode, 202);
+    assert.strictEqual(sent.url, 'https://stats.example.com/collect?key=KEY');
+    assert.strictEqual(sent.init.body.toString(), '{"path":"/","sessionId":"abc","type":"pageview"}');
+    assert.strictEqual(verify(sent.init.headers['x-mini-numbers-forwarded'], SECRET).ip, '192.0.2.9');
+});
+
+test('an unreachable server answers 502', async () => {
+    const proxy = createProxy({
+        server: 'https://stats.example.com',
+        secret: SECRET,
+        fetch: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+    const res = { statusCode: 0, setHeader() {}, end() {} };
+
+    await proxy({ method: 'GET', url: '/stats/tracker/config?key=KEY', headers: {} }, res);
+
+    assert.strictEqual(res.statusCode, 502);
+});
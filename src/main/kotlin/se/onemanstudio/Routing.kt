@@ -12,11 +12,11 @@ fun Application.configureRouting(config: AppConfig, rateLimiter: RateLimiter) {
     val privacyMode = config.privacy.privacyMode
 
     routing {
-        // Public, non-rate-limited routes (tracker, metrics, etc.)
-        publicRoutes(config)
+        // Public routes (tracker, metrics, etc.); the session handover routes are rate-limited
+        publicRoutes(config, rateLimiter)
         
         // Collection endpoint (rate-limited)
-        collectionRoutes(rateLimiter, privacyMode)
+        collectionRoutes(rateLimiter, privacyMode, config.tracker)
 
         // Authentication & Password Reset
         authRoutes()
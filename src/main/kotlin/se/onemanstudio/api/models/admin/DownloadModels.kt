@@ -0,0 +1,30 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+import se.onemanstudio.api.models.StatEntry
+
+/**
+ * Downloads of one file
+ */
+@Serializable
+data class DownloadFileStats(
+    val file: String, // File name the tracker reported
+    val url: String, // Link without query string and fragment
+    val downloads: Long,
+    val visitors: Long,
+    val sourcePages: List<StatEntry>, // Pages the link was clicked on
+    val referrers: List<StatEntry> // Referrer domains of the visits, "Direct" without one
+)
+
+/**
+ * File downloads report: which files are downloaded, from which pages and by visitors from where
+ */
+@Serializable
+data class DownloadReport(
+    val totalDownloads: Long,
+    val uniqueFiles: Long,
+    val visitors: Long,
+    val files: List<DownloadFileStats>,
+    val sourcePages: List<StatEntry>, // Pages with the most downloads, over all files
+    val referrers: List<StatEntry>
+)
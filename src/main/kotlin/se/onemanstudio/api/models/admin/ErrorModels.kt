@@ -0,0 +1,32 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+import se.onemanstudio.api.models.StatEntry
+
+/**
+ * One distinct JavaScript error, grouped by fingerprint
+ */
+@Serializable
+data class ErrorGroup(
+    val fingerprint: String,
+    val message: String,
+    val frame: String? = null, // Top stack frame, e.g. "https://example.com/app.js:12:5"
+    val occurrences: Int,
+    val sessions: Int,
+    val firstSeen: String,
+    val lastSeen: String,
+    val topPage: String,
+    val topBrowser: String? = null,
+    val topOs: String? = null
+)
+
+@Serializable
+data class ErrorReport(
+    val totalErrors: Int,
+    val uniqueErrors: Int,
+    val affectedSessions: Int,
+    val errors: List<ErrorGroup>,
+    val pages: List<StatEntry>,
+    val browsers: List<StatEntry>,
+    val os: List<StatEntry>
+)
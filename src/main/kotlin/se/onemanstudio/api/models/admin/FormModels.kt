@@ -0,0 +1,26 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Interaction statistics of one form field
+ */
+@Serializable
+data class FormFieldStats(
+    val field: String, // Field name, id or type, never its value
+    val interactions: Long, // Form interactions in which the field was focused
+    val reachRate: Double, // Percentage of all interactions with the form
+    val abandonments: Long, // Abandoned interactions whose last field was this one
+    val dropOffRate: Double, // Percentage of the interactions that reached the field
+    val avgTimeMs: Double // Average time spent in the field
+)
+
+@Serializable
+data class FormReport(
+    val form: String,
+    val interactions: Long,
+    val submissions: Long,
+    val abandonments: Long,
+    val completionRate: Double,
+    val fields: List<FormFieldStats> // In typical focus order
+)
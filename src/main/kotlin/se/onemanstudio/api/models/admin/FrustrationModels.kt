@@ -0,0 +1,38 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Rage and dead clicks on one page
+ */
+@Serializable
+data class FrustrationPage(
+    val path: String,
+    val rageClicks: Long,
+    val deadClicks: Long,
+    val sessions: Long
+)
+
+/**
+ * Rage and dead clicks on one element, identified by its CSS selector path on a page
+ */
+@Serializable
+data class FrustrationElement(
+    val path: String,
+    val selector: String,
+    val rageClicks: Long,
+    val deadClicks: Long,
+    val sessions: Long
+)
+
+/**
+ * Frustration signals for a project, with pages and elements ranked by signal count
+ */
+@Serializable
+data class FrustrationReport(
+    val rageClicks: Long,
+    val deadClicks: Long,
+    val affectedSessions: Long,
+    val pages: List<FrustrationPage>,
+    val elements: List<FrustrationElement>
+)
@@ -0,0 +1,16 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Impressions of one element tagged with `data-mn-impression`
+ */
+@Serializable
+data class ImpressionStats(
+    val element: String,
+    val impressions: Long,
+    val sessions: Long,
+    val clickEvent: String? = null, // The element's data-mn-event name, when it has one
+    val clickedSessions: Long = 0, // Sessions with an impression that also sent the click event
+    val clickRate: Double? = null // Percentage of sessions with an impression that clicked
+)
@@ -0,0 +1,21 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Playback of one `<video>` or `<audio>` element tagged with `data-mn-media`
+ */
+@Serializable
+data class MediaStats(
+    val media: String,
+    val kind: String? = null, // "video" or "audio", from the play events
+    val plays: Long,
+    val sessions: Long, // Sessions with at least one play
+    val reached25: Long,
+    val reached50: Long,
+    val reached75: Long,
+    val completions: Long, // Plays that reached 100%
+    val completionRate: Double, // Percentage of plays that reached 100%
+    val totalWatchMs: Long,
+    val avgWatchMs: Double // Watch time per play
+)
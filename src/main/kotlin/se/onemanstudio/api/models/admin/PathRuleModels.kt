@@ -0,0 +1,15 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+@Serializable
+data class PathRuleEntry(
+    val pattern: String,   // Regular expression matched against the path
+    val template: String   // Replacement, e.g. "/users/:id"; $1 refers to a capture group
+)
+
+@Serializable
+data class PathRulesConfig(
+    val rules: List<PathRuleEntry>,
+    val detectors: List<String> // email, uuid, number
+)
@@ -0,0 +1,8 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+@Serializable
+data class ProjectPrivacySettings(
+    val honorGpc: Boolean // Drop events from browsers that send the Global Privacy Control signal
+)
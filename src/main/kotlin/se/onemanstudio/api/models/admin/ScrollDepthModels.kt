@@ -0,0 +1,24 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * How many pageviews of a path reached one scroll-depth threshold
+ */
+@Serializable
+data class ScrollThresholdStats(
+    val depth: Int, // Percentage of the page height
+    val reached: Long, // Pageviews that reached this depth
+    val reachRate: Double, // Percentage of the path's pageviews
+    val medianMs: Long? = null // Median engaged time before reaching it, when the tracker reported one
+)
+
+/**
+ * Scroll-depth distribution of one path
+ */
+@Serializable
+data class PageScrollDepth(
+    val path: String,
+    val pageviews: Long,
+    val thresholds: List<ScrollThresholdStats> // Ascending by depth
+)
@@ -0,0 +1,28 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Searches for one term
+ */
+@Serializable
+data class SearchTermStats(
+    val term: String,
+    val searches: Long,
+    val sessions: Long,
+    val avgResults: Double? = null, // Only when the site reported result counts
+    val exitRate: Double // Percentage of searches after which the session ended
+)
+
+/**
+ * Site search report: top terms, terms that found nothing and how often visitors leave after searching
+ */
+@Serializable
+data class SearchReport(
+    val totalSearches: Long,
+    val uniqueTerms: Long,
+    val zeroResultSearches: Long,
+    val exitRate: Double,
+    val topSearches: List<SearchTermStats>,
+    val zeroResultTerms: List<SearchTermStats>
+)
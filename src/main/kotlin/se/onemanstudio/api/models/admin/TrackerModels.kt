@@ -0,0 +1,50 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+@Serializable
+data class TrackerModulesSettings(
+    val modules: List<String> // Modules included in the project's /tracker/bundle.js, in source order
+)
+
+@Serializable
+data class TrackerSettings(
+    val hashRouting: Boolean = false, // SPA routes live in the URL hash (#/settings)
+    val excludedPaths: List<String> = emptyList(), // Glob patterns of pages that are never tracked, e.g. /admin/*
+    val downloadExtensions: List<String> = emptyList(), // File extensions counted as downloads, without the dot
+    val sampleRate: Int = 100, // Percent of sessions the tracker sends events for
+    val internalDomains: List<String> = emptyList(), // Links to these domains and their subdomains are not outbound
+    val downloadPatterns: List<String> = emptyList() // Glob patterns of paths counted as downloads without an extension, e.g. /download/*
+)
+
+/**
+ * Configuration the tracker loads from `/tracker/config?key=`
+ */
+@Serializable
+data class TrackerClientConfig(
+    val spaMode: String, // "history", "hash" or "off"
+    val modules: List<String>,
+    val excludedPaths: List<String>,
+    val downloadExtensions: List<String>,
+    val sampleRate: Int,
+    val internalDomains: List<String>,
+    val downloadPatterns: List<String>,
+    val pathRules: PathRulesConfig
+)
+
+/**
+ * Cross-domain session token from `/tracker/session-token`
+ */
+@Serializable
+data class SessionToken(
+    val token: String, // Appended to links to the project's other domains as ?_mn=
+    val expiresIn: Long // Seconds the token stays valid
+)
+
+/**
+ * Session adopted with a token at `/tracker/session`
+ */
+@Serializable
+data class AdoptedSession(
+    val sessionId: String
+)
@@ -0,0 +1,33 @@
+package se.onemanstudio.api.models.admin
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Percentiles of one Web Vitals metric. Times are in milliseconds, CLS is unitless.
+ */
+@Serializable
+data class VitalsPercentiles(
+    val metric: String, // lcp, fcp, inp, cls or ttfb
+    val p50: Double,
+    val p75: Double,
+    val p95: Double,
+    val samples: Int
+)
+
+/**
+ * Web Vitals percentiles for one page or device type
+ */
+@Serializable
+data class VitalsBreakdown(
+    val label: String,
+    val samples: Int,
+    val metrics: List<VitalsPercentiles>
+)
+
+@Serializable
+data class VitalsReport(
+    val samples: Int,
+    val overall: List<VitalsPercentiles>,
+    val pages: List<VitalsBreakdown>,
+    val devices: List<VitalsBreakdown>
+)
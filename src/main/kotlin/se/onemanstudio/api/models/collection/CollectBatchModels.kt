@@ -0,0 +1,25 @@
+package se.onemanstudio.api.models.collection
+
+import kotlinx.serialization.Serializable
+
+/**
+ * Outcome of a single item inside a batched `POST /collect` request.
+ * `index` is the position of the item in the submitted JSON array.
+ */
+@Serializable
+data class CollectItemResult(
+    val index: Int,
+    val status: String, // "accepted", "duplicate" or "rejected"
+    val errors: List<String> = emptyList()
+)
+
+/**
+ * Response body for a batched `POST /collect` request
+ */
+@Serializable
+data class CollectBatchResponse(
+    val accepted: Int,
+    val duplicates: Int,
+    val rejected: Int,
+    val results: List<CollectItemResult>
+)
@@ -20,8 +20,18 @@ data class PageViewPayload(
     val utmContent: String? = null,
     // Scroll depth (0-100 percentage)
     val scrollDepth: Int? = null,
+    // Engaged time on the page in milliseconds (engagement events)
+    val engagedMs: Long? = null,
     // Target URL for outbound links / file downloads
     val targetUrl: String? = null,
     // Custom event properties as JSON string
-    val properties: String? = null
+    val properties: String? = null,
+    // Client-generated unique ID, used to drop replayed duplicates
+    val eventId: String? = null,
+    // Client-side creation time (epoch milliseconds)
+    val timestamp: Long? = null,
+    // Client clock when the request was sent (epoch milliseconds), used for skew correction
+    val sentAt: Long? = null,
+    // Percent of sessions the tracker samples (1-100); omitted when every session is sent
+    val sampleRate: Int? = null
 )
@@ -17,7 +17,7 @@ data class ProjectReport(
     val lastVisits: List<VisitSnippet>,
     val activityHeatmap: List<ActivityCell>,
     val peakTimeAnalysis: PeakTimeAnalysis,
-    val bounceRate: Double, // Percentage of single-page sessions with no heartbeat
+    val bounceRate: Double, // Percentage of single-page sessions engaged for less than 10s
     // UTM campaign tracking
     val utmSources: List<StatEntry> = emptyList(),
     val utmMediums: List<StatEntry> = emptyList(),
@@ -26,15 +26,18 @@ data class ProjectReport(
     val scrollDepthDistribution: List<StatEntry> = emptyList(),
     // Session metrics
     val totalSessions: Long = 0,
-    val avgSessionDuration: Double = 0.0,
+    val avgSessionDuration: Double = 0.0, // Average engaged seconds per session
     // Entry and exit pages
     val entryPages: List<StatEntry> = emptyList(),
     val exitPages: List<StatEntry> = emptyList(),
-    // Outbound links and file downloads
+    // Outbound links, email and phone links, and file downloads
     val outboundLinks: List<StatEntry> = emptyList(),
+    val contactLinks: List<StatEntry> = emptyList(), // mailto: and tel: targets
     val fileDownloads: List<StatEntry> = emptyList(),
     // Region/state geography
     val regions: List<StatEntry> = emptyList(),
     // Overall conversion rate
-    val conversionRate: Double = 0.0
+    val conversionRate: Double = 0.0,
+    // Counts were scaled up from sampled sessions
+    val estimated: Boolean = false
 )
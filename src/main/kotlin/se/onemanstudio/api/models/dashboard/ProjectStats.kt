@@ -6,5 +6,6 @@ import kotlinx.serialization.Serializable
 data class ProjectStats(
     val totalViews: Long,
     val uniqueVisitors: Long,
-    val topPages: List<TopPage>
+    val topPages: List<TopPage>,
+    val estimated: Boolean = false // Counts were scaled up from sampled sessions
 )
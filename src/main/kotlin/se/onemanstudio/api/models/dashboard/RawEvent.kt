@@ -17,6 +17,7 @@ data class RawEvent(
     val device: String?,
     val sessionId: String,
     val duration: Int,
+    val engagedMs: Long? = null,
     val utmSource: String? = null,
     val utmCampaign: String? = null,
     val scrollDepth: Int? = null,
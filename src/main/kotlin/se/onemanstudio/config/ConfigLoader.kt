@@ -343,12 +343,30 @@ object ConfigLoader {
      * Load tracker configuration
      */
     private fun loadTrackerConfig(): TrackerConfig {
-        val heartbeatInterval = getEnvOrDefault("TRACKER_HEARTBEAT_INTERVAL", "30").toIntOrNull() ?: 30
         val spaTracking = getEnvOrDefault("TRACKER_SPA_ENABLED", "true").lowercase() == "true"
+        val timestampMaxAge = getEnvOrDefault("TRACKER_TIMESTAMP_MAX_AGE_HOURS", "168").toIntOrNull() ?: 168
+        val timestampPolicyStr = getEnvOrDefault("TRACKER_TIMESTAMP_POLICY", "CLAMP").uppercase()
+        val timestampPolicy = try {
+            TimestampPolicy.valueOf(timestampPolicyStr)
+        } catch (e: IllegalArgumentException) {
+            TimestampPolicy.CLAMP
+        }
+
+        // Shared with first-party proxies (sdk/node/proxy.js)
+        val proxySecret = getEnvOrNull("TRACKER_PROXY_SECRET")?.takeIf { it.isNotBlank() }
+        if (proxySecret != null && proxySecret.length < 32) {
+            throw ConfigurationException(
+                "TRACKER_PROXY_SECRET must be at least 32 characters long.\n" +
+                "Current length: ${proxySecret.length}\n" +
+                "Generate one with: openssl rand -hex 32"
+            )
+        }
 
         return TrackerConfig(
-            heartbeatIntervalSeconds = heartbeatInterval.coerceIn(5, 300),
-            spaTrackingEnabled = spaTracking
+            spaTrackingEnabled = spaTracking,
+            timestampMaxAgeHours = timestampMaxAge.coerceIn(1, 8760),
+            timestampPolicy = timestampPolicy,
+            proxySecret = proxySecret
         )
     }
 
@@ -2,9 +2,20 @@ package se.onemanstudio.config.models
 
 /**
  * Tracker script configuration
- * Controls heartbeat interval and SPA tracking behavior
+ * Controls SPA tracking behavior, how client-side
+ * event timestamps are accepted by `/collect`, and first-party proxies
  */
 data class TrackerConfig(
-    val heartbeatIntervalSeconds: Int = 30,
-    val spaTrackingEnabled: Boolean = true
+    val spaTrackingEnabled: Boolean = true,
+    val timestampMaxAgeHours: Int = 168, // Oldest accepted (skew-corrected) event age
+    val timestampPolicy: TimestampPolicy = TimestampPolicy.CLAMP,
+    val proxySecret: String? = null // Signs the visitor IP and user agent forwarded by a proxy; null = proxies not accepted
 )
+
+/**
+ * What to do with an event whose corrected timestamp falls outside the accepted window
+ */
+enum class TimestampPolicy {
+    CLAMP,  // Default: move the timestamp to the nearest edge of the window
+    REJECT  // Refuse the event with a validation error
+}
@@ -1,8 +1,11 @@
 package se.onemanstudio.core
 
 import java.security.MessageDigest
+import java.time.Instant
 import java.time.LocalDateTime
 import java.time.temporal.ChronoUnit
+import javax.crypto.Mac
+import javax.crypto.spec.SecretKeySpec
 
 /**
  * Privacy-preserving visitor identification using rotating SHA-256 hashes.
@@ -19,6 +22,15 @@ import java.time.temporal.ChronoUnit
  *   so the same real visitor produces a **different** hash after each rotation.
  *   This prevents long-term tracking while still allowing short-term uniqueness.
  *
+ * ## Cross-domain session tokens
+ * A site spread over several domains hands its session ID to the next domain
+ * in a link parameter. [createSessionToken] signs the ID with the server salt
+ * and a short expiry, so the receiving tracker only adopts sessions this
+ * server handed out recently, for the same project. The signature also covers
+ * the visitor hash of the browser that asked for the token, so a token is only
+ * redeemed by that browser: requesting one for somebody else's session ID
+ * gains nothing. No cookie is involved.
+ *
  * ## Thread safety
  * [serverSalt] and [hashRotationHours] are `@Volatile` and mutated only
  * inside `@Synchronized` [init], making the object safe for concurrent reads
@@ -36,6 +48,9 @@ object AnalyticsSecurity {
     @Volatile
     private var hashRotationHours: Int = 24
 
+    /** How long a cross-domain session token stays valid */
+    const val SESSION_TOKEN_TTL_SECONDS = 300L
+
     fun isInitialized(): Boolean = serverSalt != null
 
     /**
@@ -88,4 +103,45 @@ object AnalyticsSecurity {
      * Get the current hash rotation period in hours
      */
     fun getRotationHours(): Int = hashRotationHours
+
+    /**
+     * Create a signed token that hands [sessionId] over to another domain of the project.
+     *
+     * Format: `<sessionId>.<expiry epoch seconds>.<signature>`, where the signature is the first
+     * 32 hex characters of `HMAC-SHA256(serverSalt, projectId:visitorHash:sessionId:expiry)`.
+     *
+     * @param visitorHash [generateVisitorHash] of the browser asking for the token
+     * @throws IllegalStateException if [init] has not been called yet.
+     */
+    fun createSessionToken(sessionId: String, projectId: String, visitorHash: String, now: Instant = Instant.now()): String {
+        val expires = now.epochSecond + SESSION_TOKEN_TTL_SECONDS
+        return "$sessionId.$expires.${signSession(sessionId, projectId, visitorHash, expires)}"
+    }
+
+    /**
+     * Verify a token from [createSessionToken].
+     *
+     * @param visitorHash [generateVisitorHash] of the browser redeeming the token
+     * @return The session ID, or null when the token is malformed, expired, was signed
+     *         for another project or visitor, or with another salt.
+     */
+    fun verifySessionToken(token: String, projectId: String, visitorHash: String, now: Instant = Instant.now()): String? {
+        val parts = token.split(".")
+        if (parts.size != 3) return null
+        val (sessionId, expiresText, signature) = parts
+        val expires = expiresText.toLongOrNull() ?: return null
+        if (expires < now.epochSecond || expires > now.epochSecond + SESSION_TOKEN_TTL_SECONDS) return null
+
+        val expected = signSession(sessionId, projectId, visitorHash, expires)
+        return sessionId.takeIf { MessageDigest.isEqual(expected.toByteArray(), signature.toByteArray()) }
+    }
+
+    private fun signSession(sessionId: String, projectId: String, visitorHash: String, expires: Long): String {
+        val salt = checkNotNull(serverSalt) { "Security module not initialized. Call init() first." }
+        val mac = Mac.getInstance("HmacSHA256")
+        mac.init(SecretKeySpec(salt.toByteArray(), "HmacSHA256"))
+        return mac.doFinal("$projectId:$visitorHash:$sessionId:$expires".toByteArray())
+            .take(16)
+            .joinToString("") { "%02x".format(it) }
+    }
 }
@@ -60,7 +60,10 @@ object DatabaseFactory {
 
         transaction(database) {
             // Create tables and add any missing columns (supports schema evolution)
-            SchemaUtils.createMissingTablesAndColumns(Projects, Events, ConversionGoals, Funnels, FunnelSteps, Segments, RefreshTokens, Users, Webhooks, WebhookDeliveries, EmailReports)
+            SchemaUtils.createMissingTablesAndColumns(
+                Projects, Events, ConversionGoals, Funnels, FunnelSteps, Segments,
+                RefreshTokens, Users, Webhooks, WebhookDeliveries, EmailReports, PathRules, ErrorFingerprints
+            )
         }
     }
 
@@ -74,6 +77,7 @@ object DatabaseFactory {
         transaction {
             // Delete in correct order (events first due to foreign key constraint)
             Events.deleteAll()
+            ErrorFingerprints.deleteAll()
             Projects.deleteAll()
         }
     }
@@ -0,0 +1,18 @@
+package se.onemanstudio.db
+
+import org.jetbrains.exposed.sql.Table
+import org.jetbrains.exposed.sql.javatime.datetime
+
+/**
+ * JavaScript error fingerprints seen per project.
+ * The composite primary key makes recording a fingerprint an atomic
+ * first-occurrence check: of several requests reporting the same new error
+ * at once, only one inserts the row (and fires the `new_error` webhook).
+ */
+object ErrorFingerprints : Table("error_fingerprints") {
+    val projectId = uuid("project_id").references(Projects.id)
+    val fingerprint = varchar("fingerprint", 100)
+    val firstSeen = datetime("first_seen")
+
+    override val primaryKey = PrimaryKey(projectId, fingerprint)
+}
@@ -11,11 +11,16 @@ import java.time.LocalDateTime
  * | `eventType`  | Meaning                                                    |
  * |--------------|------------------------------------------------------------|
  * | `pageview`   | A page was loaded or navigated to (SPA push-state).        |
- * | `heartbeat`  | Periodic ping proving the visitor is still on the page.    |
+ * | `heartbeat`  | Legacy periodic ping; replaced by `engagement`.            |
+ * | `engagement` | Engaged time on one page, sent when the visitor leaves it. |
  * | `custom`     | Developer-defined event via `MiniNumbers.track("name")`.   |
  * | `scroll`     | Scroll-depth milestone (0-100 %) reached.                  |
  * | `outbound`   | Click on an external link.                                 |
- * | `download`   | Click on a file-download link.                             |
+ * | `mailto`     | Click on an email link; `targetUrl` is `mailto:<address>`. |
+ * | `tel`        | Click on a phone link; `targetUrl` is `tel:<number>`.      |
+ * | `download`   | Click on a download link; `eventName` is the file name.    |
+ * | `vitals`     | Web Vitals (LCP, FCP, INP, CLS, TTFB) for one pageview.    |
+ * | `error`      | Uncaught JS error; `eventName` holds its fingerprint.      |
  *
  * ## Privacy
  * `visitorHash` is a rotating SHA-256 hash (see [se.onemanstudio.core.AnalyticsSecurity]).
@@ -23,9 +28,20 @@ import java.time.LocalDateTime
  * `city`, `region`, `latitude`, `longitude`) comes from in-memory GeoIP
  * lookups and can be omitted entirely in STRICT or PARANOID privacy modes.
  *
+ * ## Sampling
+ * A project can sample sessions; their events carry the `sampleRate` (percent)
+ * and reports scale counts up by `100 / sampleRate` (see
+ * [se.onemanstudio.utils.samplingFactor]).
+ *
+ * ## Deduplication
+ * The tracker stamps every event with a random `eventId` and may resend it
+ * after a failed or unconfirmed delivery. A unique index on
+ * (`projectId`, `eventId`) lets the insert silently skip such replays.
+ *
  * ## Performance
  * 11 composite indexes cover the most common analytics query patterns
- * (time-range scans, per-project aggregation, session grouping, etc.).
+ * (time-range scans, per-project aggregation, session grouping, etc.);
+ * a further unique index backs event deduplication.
  */
 object Events : Table("events") {
     val id = long("id").autoIncrement()
@@ -39,6 +55,7 @@ object Events : Table("events") {
     val country = varchar("country", 100).nullable()
     val city = varchar("city", 100).nullable()
     val duration = integer("duration").default(0) // Seconds spent
+    val engagedMs = long("engaged_ms").nullable() // Exact engaged time of an `engagement` event
     val timestamp = datetime("timestamp").default(LocalDateTime.now())
     val browser = varchar("browser", 50).nullable()
     val os = varchar("os", 50).nullable()
@@ -67,6 +84,12 @@ object Events : Table("events") {
     // Custom event properties as JSON string
     val properties = varchar("properties", 2048).nullable()
 
+    // Client-generated event ID; replays of an already stored event are ignored
+    val eventId = varchar("event_id", 64).nullable()
+
+    // Percent of sessions sampled when the event was sent; null = every session
+    val sampleRate = integer("sample_rate").nullable()
+
     override val primaryKey = PrimaryKey(id)
 
     // Performance indexes for time-based, project-specific, and analytics queries
@@ -84,5 +107,7 @@ object Events : Table("events") {
         // Indexes for new features
         index("idx_events_project_utm", false, projectId, utmSource, utmCampaign)
         index("idx_events_project_region", false, projectId, country, region)
+        // Deduplication of retried events (NULL event IDs never collide)
+        uniqueIndex("idx_events_project_event_id", projectId, eventId)
     }
 }
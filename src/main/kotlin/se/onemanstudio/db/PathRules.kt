@@ -0,0 +1,25 @@
+package se.onemanstudio.db
+
+import org.jetbrains.exposed.sql.Table
+import org.jetbrains.exposed.sql.javatime.datetime
+import java.time.LocalDateTime
+
+/**
+ * Path normalization rules per project.
+ * Each rule replaces a regular expression match in the event path with a
+ * template such as `/users/:id`; rules are applied in ascending position.
+ */
+object PathRules : Table("path_rules") {
+    val id = uuid("id")
+    val projectId = uuid("project_id").references(Projects.id)
+    val pattern = varchar("pattern", 200)
+    val template = varchar("template", 200)
+    val position = integer("position")
+    val createdAt = datetime("created_at").default(LocalDateTime.now())
+
+    override val primaryKey = PrimaryKey(id)
+
+    init {
+        index("idx_path_rules_project", false, projectId)
+    }
+}
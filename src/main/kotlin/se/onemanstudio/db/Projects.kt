@@ -7,6 +7,17 @@ object Projects : Table("projects") {
     val name = varchar("name", 100)
     val domain = varchar("domain", 255) // e.g., "mysite.com"
     val apiKey = varchar("api_key", 64).uniqueIndex() // The key in the JS script
+    val pathDetectors = varchar("path_detectors", 64).default("email") // Built-in path scrubbers, comma-separated
+    val honorGpc = bool("honor_gpc").default(false) // Drop events from browsers sending Sec-GPC: 1
+    val trackerModules = varchar("tracker_modules", 255) // Modules in /tracker/bundle.js, comma-separated
+        .default("scroll,downloads,outbound,impressions,media,spa")
+    val hashRouting = bool("hash_routing").default(false) // SPA routes in the URL hash (#/settings)
+    val excludedPaths = text("excluded_paths").default("") // Glob patterns of pages the tracker ignores, one per line
+    val downloadExtensions = varchar("download_extensions", 512) // File extensions counted as downloads, comma-separated
+        .default("pdf,zip,xls,xlsx,doc,docx,ppt,pptx,csv,rar,7z,tar,gz,dmg,exe,mp3,mp4,avi,mov")
+    val sampleRate = integer("sample_rate").default(100) // Percent of sessions the tracker sends events for
+    val internalDomains = text("internal_domains").default("") // Domains whose links are not outbound, comma-separated
+    val downloadPatterns = text("download_patterns").default("") // Glob patterns of paths counted as downloads, one per line
 
     override val primaryKey = PrimaryKey(id)
 }
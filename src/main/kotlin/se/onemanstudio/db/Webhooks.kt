@@ -13,7 +13,7 @@ object Webhooks : Table("webhooks") {
     val projectId = uuid("project_id").references(Projects.id)
     val url = varchar("url", 1024)
     val secret = varchar("secret", 128)             // HMAC-SHA256 signing secret
-    val events = varchar("events", 500)             // Comma-separated: "goal_conversion,traffic_spike"
+    val events = varchar("events", 500)             // Comma-separated: "goal_conversion,traffic_spike,new_error"
     val isActive = bool("is_active").default(true)
     val createdAt = datetime("created_at").clientDefault { LocalDateTime.now() }
 
@@ -1,5 +1,14 @@
 package se.onemanstudio.middleware
 
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonNull
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.doubleOrNull
+import kotlinx.serialization.json.intOrNull
+import kotlinx.serialization.json.longOrNull
 import se.onemanstudio.api.models.collection.PageViewPayload
 
 /**
@@ -10,19 +19,25 @@ import se.onemanstudio.api.models.collection.PageViewPayload
  * - **Regex allow-lists** that reject characters outside the expected alphabet
  *   (prevents SQL injection, XSS, and log-forging).
  * - **Semantic rules** (e.g. `scrollDepth` must be 0-100, `eventName` is
- *   required for custom events but forbidden for pageviews).
+ *   required for custom events but forbidden for pageviews, `vitals` events
+ *   must carry Web Vitals metrics in `properties`, `error` events an error message,
+ *   `form` events their outcome and fields).
  *
  * The [sanitize] function strips control characters and normalises whitespace;
  * it is used both inside validation and as a standalone helper for other inputs.
  *
  * Validation is **all-or-nothing**: [validatePageViewPayload] collects every
  * error into a list and returns them all at once, so the client can fix
- * multiple issues in a single round-trip.
+ * multiple issues in a single round-trip. In a batched request each event is
+ * validated independently (up to [MAX_BATCH_SIZE] events per request).
  */
 object InputValidator {
 
+    // Maximum number of events accepted in one batched /collect request
+    const val MAX_BATCH_SIZE = 50
+
     // Maximum field lengths (match database schema)
-    private const val MAX_PATH_LENGTH = 512
+    const val MAX_PATH_LENGTH = 512
     private const val MAX_REFERRER_LENGTH = 512
     private const val MAX_SESSION_ID_LENGTH = 64
     private const val MAX_EVENT_TYPE_LENGTH = 20
@@ -30,21 +45,56 @@ object InputValidator {
     private const val MAX_UTM_LENGTH = 200
     private const val MAX_TARGET_URL_LENGTH = 1024
     private const val MAX_PROPERTIES_LENGTH = 2048
+    private const val MAX_EVENT_ID_LENGTH = 64
 
     // Valid event types
-    private val VALID_EVENT_TYPES = setOf("pageview", "heartbeat", "custom", "scroll", "outbound", "download")
+    private val VALID_EVENT_TYPES = setOf(
+        "pageview", "heartbeat", "engagement", "custom", "scroll", "outbound", "download", "vitals", "error", "form",
+        "impression", "media", "rage_click", "dead_click", "search", "mailto", "tel"
+    )
+
+    // Web Vitals metrics accepted in the properties of `vitals` events
+    val WEB_VITALS_METRICS = listOf("lcp", "fcp", "inp", "cls", "ttfb")
+
+    // Limits and kinds for the properties of `error` events
+    private const val MAX_ERROR_MESSAGE_LENGTH = 500
+    private const val MAX_ERROR_FRAME_LENGTH = 512
+    private val ERROR_KINDS = setOf("error", "unhandledrejection")
+
+    // Upper bound for the engaged time of one page (24 hours)
+    private const val MAX_ENGAGED_MS = 86_400_000L
+
+    // Outcomes and limits for the properties of `form` events
+    private val FORM_OUTCOMES = setOf("submitted", "abandoned")
+    private const val MAX_FORM_FIELDS = 20
+    private const val MAX_FORM_FIELD_LENGTH = 50
+
+    // Actions, progress milestones and kinds for the properties of `media` events
+    private val MEDIA_ACTIONS = setOf("play", "pause", "progress", "watch")
+    val MEDIA_MILESTONES = listOf(25, 50, 75, 100)
+    private val MEDIA_KINDS = setOf("video", "audio")
+
+    // Limit for the CSS selector path of `rage_click` and `dead_click` events
+    private const val MAX_SELECTOR_LENGTH = 256
+    private const val MIN_RAGE_CLICKS = 3
+
+    // Limit for the term of `search` events
+    private const val MAX_SEARCH_TERM_LENGTH = 100
+
+    // Event types that require a targetUrl, and the scheme it must have (null = any)
+    private val TARGET_URL_SCHEMES = mapOf("outbound" to null, "download" to null, "mailto" to "mailto:", "tel" to "tel:")
 
     // Event types that support eventName
-    private val EVENT_TYPES_WITH_NAME = setOf("custom", "outbound", "download")
+    private val EVENT_TYPES_WITH_NAME = setOf("custom", "outbound", "download", "form", "impression", "media")
 
     // Regex patterns for validation
     // Path: alphanumeric + common URL characters
-    private val PATH_REGEX = Regex("^[a-zA-Z0-9/_\\-?=&.#%+]*$")
+    private val PATH_REGEX = Regex("^[a-zA-Z0-9/_\\-?=&.#%+:]*$")
 
     // Referrer: valid HTTP/HTTPS URL
     private val URL_REGEX = Regex("^https?://[a-zA-Z0-9.-]+(:[0-9]+)?(/.*)?$")
 
-    // Session ID: alphanumeric + hyphens
+    // Session ID and event ID: alphanumeric + hyphens
     private val SESSION_ID_REGEX = Regex("^[a-zA-Z0-9-]+$")
 
     // Event name: alphanumeric + underscores, hyphens, dots, spaces
@@ -81,7 +131,7 @@ object InputValidator {
                 errors.add("Path exceeds maximum length of $MAX_PATH_LENGTH characters")
             }
             if (!PATH_REGEX.matches(payload.path)) {
-                errors.add("Path contains invalid characters. Allowed: alphanumeric, /, _, -, ?, =, &, ., #, %, +")
+                errors.add("Path contains invalid characters. Allowed: alphanumeric, /, _, -, ?, =, &, ., #, %, +, :")
             }
         }
 
@@ -109,6 +159,25 @@ object InputValidator {
             }
         }
 
+        // Validate event ID (optional, used for deduplication)
+        payload.eventId?.let { eventId ->
+            if (eventId.isEmpty() || eventId.length > MAX_EVENT_ID_LENGTH) {
+                errors.add("Event ID must be between 1 and $MAX_EVENT_ID_LENGTH characters")
+            } else if (!SESSION_ID_REGEX.matches(eventId)) {
+                errors.add("Event ID contains invalid characters. Allowed: alphanumeric and hyphens")
+            }
+        }
+
+        // Validate client clock values (optional, epoch milliseconds)
+        if ((payload.timestamp != null && payload.timestamp <= 0) || (payload.sentAt != null && payload.sentAt <= 0)) {
+            errors.add("Timestamp and sentAt must be positive epoch milliseconds")
+        }
+
+        // Validate sample rate (optional, percent of sessions sent)
+        if (payload.sampleRate != null && payload.sampleRate !in 1..100) {
+            errors.add("Sample rate must be between 1 and 100")
+        }
+
         // Validate event type
         if (payload.type.isEmpty()) {
             errors.add("Event type cannot be empty")
@@ -134,7 +203,7 @@ object InputValidator {
                 }
             }
         } else if (!payload.eventName.isNullOrBlank()) {
-            errors.add("Event name should only be provided for custom, outbound, or download event types")
+            errors.add("Event name should only be provided for ${EVENT_TYPES_WITH_NAME.joinToString(", ")} event types")
         }
 
         // Validate UTM fields (all optional)
@@ -155,17 +224,23 @@ object InputValidator {
             errors.add("Scroll depth must be between 0 and 100")
         }
 
-        // Validate targetUrl (required for outbound/download events)
-        if (payload.type in setOf("outbound", "download")) {
+        // Validate targetUrl (required for outbound/download/mailto/tel events)
+        if (payload.type in TARGET_URL_SCHEMES) {
+            val scheme = TARGET_URL_SCHEMES[payload.type]
             if (payload.targetUrl.isNullOrBlank()) {
                 errors.add("Target URL is required for ${payload.type} events")
             } else if (payload.targetUrl.length > MAX_TARGET_URL_LENGTH) {
                 errors.add("Target URL exceeds maximum length of $MAX_TARGET_URL_LENGTH characters")
+            } else if (scheme != null && !payload.targetUrl.startsWith(scheme, ignoreCase = true)) {
+                errors.add("Target URL of ${payload.type} events must start with $scheme")
             }
         } else if (payload.targetUrl != null && payload.targetUrl.length > MAX_TARGET_URL_LENGTH) {
             errors.add("Target URL exceeds maximum length of $MAX_TARGET_URL_LENGTH characters")
         }
 
+        // Validate engaged time (required for engagement events)
+        validateEngagedMs(payload, errors)
+
         // Validate properties (optional JSON string)
         payload.properties?.let { props ->
             if (props.length > MAX_PROPERTIES_LENGTH) {
@@ -173,6 +248,41 @@ object InputValidator {
             }
         }
 
+        // Validate Web Vitals metrics (required for vitals events)
+        if (payload.type == "vitals") {
+            validateVitals(payload.properties, errors)
+        }
+
+        // Validate error details (required for error events)
+        if (payload.type == "error") {
+            validateError(payload.properties, errors)
+        }
+
+        // Validate form interaction details (required for form events)
+        if (payload.type == "form") {
+            validateForm(payload.properties, errors)
+        }
+
+        // Validate media playback details (required for media events)
+        if (payload.type == "media") {
+            validateMedia(payload.properties, errors)
+        }
+
+        // Validate the clicked element (required for rage and dead clicks)
+        if (payload.type == "rage_click" || payload.type == "dead_click") {
+            validateFrustration(payload.type, payload.properties, errors)
+        }
+
+        // Validate the search term (required for search events)
+        if (payload.type == "search") {
+            validateSearch(payload.properties, errors)
+        }
+
+        // Validate the time to reach the scroll depth (optional for scroll events)
+        if (payload.type == "scroll") {
+            validateScrollTime(payload.properties, errors)
+        }
+
         return if (errors.isEmpty()) {
             ValidationResult.success()
         } else {
@@ -180,6 +290,210 @@ object InputValidator {
         }
     }
 
+    /**
+     * `engagedMs` is required for `engagement` events and must be within a day;
+     * other event types may not carry it
+     */
+    private fun validateEngagedMs(payload: PageViewPayload, errors: MutableList<String>) {
+        val engagedMs = payload.engagedMs
+        when {
+            payload.type != "engagement" && engagedMs != null ->
+                errors.add("Engaged time should only be provided for engagement events")
+            payload.type != "engagement" -> Unit
+            engagedMs == null -> errors.add("Engaged time is required for engagement events")
+            engagedMs < 0 || engagedMs > MAX_ENGAGED_MS ->
+                errors.add("Engaged time must be between 0 and $MAX_ENGAGED_MS milliseconds")
+        }
+    }
+
+    /**
+     * `vitals` properties must be a JSON object of known metric names to
+     * non-negative numbers, with at least one metric present
+     */
+    private fun validateVitals(properties: String?, errors: MutableList<String>) {
+        if (properties.isNullOrBlank()) {
+            errors.add("Properties with Web Vitals metrics are required for vitals events")
+            return
+        }
+        val metrics = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        }
+        if (metrics == null || metrics.isEmpty()) {
+            errors.add("Vitals properties must be a non-empty JSON object")
+            return
+        }
+        metrics.forEach { (name, value) ->
+            val number = (value as? JsonPrimitive)?.takeUnless { it.isString }?.doubleOrNull
+            when {
+                name !in WEB_VITALS_METRICS ->
+                    errors.add("Unknown Web Vitals metric '$name'. Allowed: ${WEB_VITALS_METRICS.joinToString(", ")}")
+                number == null || number < 0 || !number.isFinite() ->
+                    errors.add("Web Vitals metric '$name' must be a non-negative number")
+            }
+        }
+    }
+
+    /**
+     * `error` properties must be a JSON object with a non-blank `message`;
+     * `frame` (top stack frame) and `kind` are optional
+     */
+    private fun validateError(properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        fun field(name: String) = (details?.get(name) as? JsonPrimitive)?.takeIf { it.isString }?.content
+
+        val message = field("message")
+        if (details == null || message.isNullOrBlank()) {
+            errors.add("Properties with an error message are required for error events")
+            return
+        }
+        if (message.length > MAX_ERROR_MESSAGE_LENGTH) {
+            errors.add("Error message exceeds maximum length of $MAX_ERROR_MESSAGE_LENGTH characters")
+        }
+        if ("frame" in details && (field("frame")?.length ?: Int.MAX_VALUE) > MAX_ERROR_FRAME_LENGTH) {
+            errors.add("Error frame must be a string of at most $MAX_ERROR_FRAME_LENGTH characters")
+        }
+        if ("kind" in details && field("kind") !in ERROR_KINDS) {
+            errors.add("Error kind must be one of: ${ERROR_KINDS.joinToString(", ")}")
+        }
+    }
+
+    /**
+     * `form` properties must be a JSON object with an `outcome` (`submitted` or
+     * `abandoned`) and a `fields` array of `{"name", "ms"}` objects in focus order;
+     * `last`, the last field touched, is optional
+     */
+    private fun validateForm(properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        fun string(element: Any?) = (element as? JsonPrimitive)?.takeIf { it.isString }?.content
+
+        if (details == null || string(details["outcome"]) !in FORM_OUTCOMES) {
+            errors.add("Properties with an outcome (${FORM_OUTCOMES.joinToString(", ")}) are required for form events")
+            return
+        }
+        val fields = details["fields"] as? JsonArray
+        if (fields == null || fields.size > MAX_FORM_FIELDS) {
+            errors.add("Form fields must be an array of at most $MAX_FORM_FIELDS entries")
+            return
+        }
+        val validFields = fields.all { field ->
+            val name = string((field as? JsonObject)?.get("name"))
+            val ms = ((field as? JsonObject)?.get("ms") as? JsonPrimitive)?.takeUnless { it.isString }?.doubleOrNull
+            !name.isNullOrBlank() && name.length <= MAX_FORM_FIELD_LENGTH && ms != null && ms >= 0 && ms.isFinite()
+        }
+        if (!validFields) {
+            errors.add("Each form field needs a name of at most $MAX_FORM_FIELD_LENGTH characters and a non-negative ms")
+        }
+        val last = details["last"]
+        if (last != null && last !is JsonNull && (string(last)?.length ?: Int.MAX_VALUE) > MAX_FORM_FIELD_LENGTH) {
+            errors.add("Last form field must be a string of at most $MAX_FORM_FIELD_LENGTH characters")
+        }
+    }
+
+    /**
+     * `media` properties must be a JSON object with an `action`: `play` (optional
+     * `kind` and `duration` in seconds), `pause` (optional `position` in seconds),
+     * `progress` (a `percent` milestone) or `watch` (`ms` played, within a day)
+     */
+    private fun validateMedia(properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        fun number(name: String) = (details?.get(name) as? JsonPrimitive)?.takeUnless { it.isString }?.doubleOrNull
+        fun isValidNumber(name: String) = details?.get(name) == null || number(name)?.let { it >= 0 && it.isFinite() } == true
+
+        val action = (details?.get("action") as? JsonPrimitive)?.takeIf { it.isString }?.content
+        val kind = details?.get("kind")
+        val ms = number("ms")
+        val percent = number("percent")
+        when {
+            details == null || action !in MEDIA_ACTIONS ->
+                errors.add("Properties with an action (${MEDIA_ACTIONS.joinToString(", ")}) are required for media events")
+            action == "progress" && MEDIA_MILESTONES.none { it.toDouble() == percent } ->
+                errors.add("Media progress percent must be one of: ${MEDIA_MILESTONES.joinToString(", ")}")
+            action == "watch" && (ms == null || ms < 0 || ms > MAX_ENGAGED_MS) ->
+                errors.add("Media watch time must be between 0 and $MAX_ENGAGED_MS milliseconds")
+            kind != null && (kind as? JsonPrimitive)?.takeIf { it.isString }?.content !in MEDIA_KINDS ->
+                errors.add("Media kind must be one of: ${MEDIA_KINDS.joinToString(", ")}")
+            !isValidNumber("duration") || !isValidNumber("position") ->
+                errors.add("Media duration and position must be non-negative numbers of seconds")
+        }
+    }
+
+    /**
+     * `rage_click` and `dead_click` properties must be a JSON object with the
+     * clicked element's CSS `selector`; rage clicks may add the number of `clicks`
+     */
+    private fun validateFrustration(type: String, properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        val selector = (details?.get("selector") as? JsonPrimitive)?.takeIf { it.isString }?.content
+        val clicks = details?.get("clicks")
+        val clickCount = (clicks as? JsonPrimitive)?.takeUnless { it.isString }?.intOrNull ?: 0
+        when {
+            details == null || selector.isNullOrBlank() ->
+                errors.add("Properties with a CSS selector are required for $type events")
+            selector.length > MAX_SELECTOR_LENGTH ->
+                errors.add("Selector exceeds maximum length of $MAX_SELECTOR_LENGTH characters")
+            clicks != null && (type != "rage_click" || clickCount < MIN_RAGE_CLICKS) ->
+                errors.add("Clicks must be a number of at least $MIN_RAGE_CLICKS and is only allowed on rage_click events")
+        }
+    }
+
+    /**
+     * `search` properties must be a JSON object with a non-blank `term`;
+     * `results`, the number of results found, is optional
+     */
+    private fun validateSearch(properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        val term = (details?.get("term") as? JsonPrimitive)?.takeIf { it.isString }?.content
+        val results = details?.get("results")
+        when {
+            details == null || term.isNullOrBlank() ->
+                errors.add("Properties with a search term are required for search events")
+            term.length > MAX_SEARCH_TERM_LENGTH ->
+                errors.add("Search term exceeds maximum length of $MAX_SEARCH_TERM_LENGTH characters")
+            results != null && results !is JsonNull &&
+                ((results as? JsonPrimitive)?.takeUnless { it.isString }?.intOrNull ?: -1) < 0 ->
+                errors.add("Search results must be a non-negative whole number")
+        }
+    }
+
+    /**
+     * `scroll` properties are optional; when they carry `ms` (the engaged time
+     * before the depth was reached) it must be whole milliseconds within a day
+     */
+    private fun validateScrollTime(properties: String?, errors: MutableList<String>) {
+        val details = try {
+            properties?.let { Json.parseToJsonElement(it) as? JsonObject }
+        } catch (_: SerializationException) {
+            null
+        }
+        val ms = details?.get("ms") ?: return
+        val value = (ms as? JsonPrimitive)?.takeUnless { it.isString }?.longOrNull
+        if (value == null || value < 0 || value > MAX_ENGAGED_MS) {
+            errors.add("Scroll time must be between 0 and $MAX_ENGAGED_MS milliseconds")
+        }
+    }
+
     private fun validateUtmField(value: String?, fieldName: String, errors: MutableList<String>) {
         value?.let {
             if (it.length > MAX_UTM_LENGTH) {
@@ -0,0 +1,149 @@
+package se.onemanstudio.middleware
+
+import com.github.benmanes.caffeine.cache.Caffeine
+import org.jetbrains.exposed.sql.SortOrder
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.PathRuleEntry
+import se.onemanstudio.api.models.admin.PathRulesConfig
+import se.onemanstudio.db.PathRules
+import se.onemanstudio.db.Projects
+import java.util.UUID
+import java.util.concurrent.TimeUnit
+import java.util.regex.Pattern
+import java.util.regex.PatternSyntaxException
+
+/**
+ * Per-project path normalization, applied to every event before it is stored.
+ *
+ * Custom rules replace a regular expression match with a template, e.g.
+ * `^/users/[^/]+` → `/users/:id`, and run in order (`$1` in a template refers
+ * to a capture group). The enabled built-in detectors then replace e-mail
+ * addresses, UUIDs and numbers of five or more digits anywhere in the path
+ * with `:email`, `:uuid` and `:number`.
+ *
+ * The tracker loads the same rules with `/tracker/config` and applies
+ * them before sending, so raw values normally never leave the browser.
+ * Normalizing again here covers events sent before the rules were loaded and
+ * clients that post to `/collect` directly.
+ */
+object PathNormalizer {
+
+    const val MAX_RULES = 50
+    const val MAX_PATTERN_LENGTH = 200
+    const val MAX_TEMPLATE_LENGTH = 200
+
+    // Same characters the tracker may send in a path, plus `$` for group references
+    private val TEMPLATE_REGEX = Regex("^[a-zA-Z0-9/_\\-?=&.#%+:$]*$")
+    private val GROUP_REFERENCE = Regex("\\$(\\d*)")
+
+    /** Built-in detectors in the order they run, with the placeholder each one inserts */
+    val DETECTORS: Map<String, Pair<Regex, String>> = linkedMapOf(
+        "email" to (Regex("[A-Za-z0-9._%+\\-]+(?:@|%40)[A-Za-z0-9.\\-]+\\.[A-Za-z]{2,}") to ":email"),
+        "uuid" to (Regex("\\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\\b") to ":uuid"),
+        "number" to (Regex("\\b\\d{5,}\\b") to ":number")
+    )
+
+    data class PathRule(val pattern: String, val template: String) {
+        val regex = Regex(pattern)
+    }
+
+    data class RuleSet(val rules: List<PathRule>, val detectors: Set<String>)
+
+    private val EMPTY = RuleSet(emptyList(), emptySet())
+
+    /** Cache rules per project (60s TTL) to avoid DB queries on every /collect request */
+    private val ruleCache = Caffeine.newBuilder()
+        .maximumSize(500)
+        .expireAfterWrite(60, TimeUnit.SECONDS)
+        .build<String, RuleSet>()
+
+    /**
+     * Apply custom rules, then the enabled detectors.
+     * The result is capped at the maximum path length and never empty.
+     */
+    fun normalize(path: String, ruleSet: RuleSet): String {
+        var result = path
+        for (rule in ruleSet.rules) {
+            result = rule.regex.replace(result, rule.template)
+        }
+        return scrub(result, ruleSet).take(InputValidator.MAX_PATH_LENGTH).ifEmpty { "/" }
+    }
+
+    /**
+     * Apply only the enabled detectors, for free text such as search terms
+     */
+    fun scrub(text: String, ruleSet: RuleSet): String {
+        var result = text
+        for ((name, detector) in DETECTORS) {
+            if (name in ruleSet.detectors) {
+                result = detector.first.replace(result, detector.second)
+            }
+        }
+        return result
+    }
+
+    /**
+     * Validate a rule before it is stored.
+     * Returns an error message, or null when the rule is valid.
+     */
+    fun validateRule(pattern: String, template: String): String? {
+        val groups = try {
+            Pattern.compile(pattern).matcher("").groupCount()
+        } catch (e: PatternSyntaxException) {
+            return "Invalid pattern: ${e.description}"
+        }
+        val references = GROUP_REFERENCE.findAll(template).map { it.groupValues[1].toIntOrNull() }.toList()
+        val highestGroup = references.filterNotNull().maxOrNull() ?: 0
+
+        return when {
+            pattern.isBlank() -> "Pattern is required"
+            pattern.length > MAX_PATTERN_LENGTH -> "Pattern exceeds maximum length of $MAX_PATTERN_LENGTH characters"
+            template.length > MAX_TEMPLATE_LENGTH -> "Template exceeds maximum length of $MAX_TEMPLATE_LENGTH characters"
+            !TEMPLATE_REGEX.matches(template) ->
+                "Template contains invalid characters. Allowed: alphanumeric, /, _, -, ?, =, &, ., #, %, +, : and \$n"
+            references.any { it == null } -> "Template may only use \$ followed by a group number"
+            highestGroup > groups -> "Template refers to group \$$highestGroup, but the pattern has $groups"
+            else -> null
+        }
+    }
+
+    /**
+     * Parse the stored comma-separated detector list, ignoring unknown names
+     */
+    fun parseDetectors(value: String?): Set<String> =
+        value.orEmpty().split(",").map { it.trim() }.filter { it in DETECTORS }.toSet()
+
+    /**
+     * API form of a rule set, as served to the dashboard and the tracker
+     */
+    fun toConfig(ruleSet: RuleSet): PathRulesConfig = PathRulesConfig(
+        rules = ruleSet.rules.map { PathRuleEntry(it.pattern, it.template) },
+        detectors = DETECTORS.keys.filter { it in ruleSet.detectors }
+    )
+
+    /**
+     * Rules of a project, cached
+     */
+    fun forProject(projectId: UUID): RuleSet {
+        return ruleCache.get(projectId.toString()) {
+            transaction {
+                val detectors = Projects.selectAll().where { Projects.id eq projectId }
+                    .singleOrNull()
+                    ?.let { parseDetectors(it[Projects.pathDetectors]) }
+                    ?: return@transaction EMPTY
+                val rules = PathRules.selectAll().where { PathRules.projectId eq projectId }
+                    .orderBy(PathRules.position, SortOrder.ASC)
+                    .map { PathRule(it[PathRules.pattern], it[PathRules.template]) }
+                RuleSet(rules, detectors)
+            }
+        }
+    }
+
+    /**
+     * Invalidate cached rules for a project (on rule changes or project deletion)
+     */
+    fun invalidateProject(projectId: String) {
+        ruleCache.invalidate(projectId)
+    }
+}
@@ -0,0 +1,92 @@
+package se.onemanstudio.middleware
+
+import io.ktor.server.application.*
+import io.ktor.server.plugins.*
+import java.security.MessageDigest
+import java.time.Instant
+import java.util.Base64
+import javax.crypto.Mac
+import javax.crypto.spec.SecretKeySpec
+
+/**
+ * Visitor IP and user agent forwarded by a first-party proxy.
+ *
+ * A site can serve `/collect` from its own domain (e.g. `/stats/collect`, see
+ * `sdk/node/proxy.js`), which ad blockers leave alone more often. Mini Numbers
+ * then only sees the proxy, so the proxy passes the visitor's IP and user agent
+ * in the [HEADER] header, signed with the shared `TRACKER_PROXY_SECRET`:
+ *
+ * `<epoch seconds>.<base64url(ip)>.<base64url(user agent)>.<signature>`
+ *
+ * where the signature is the hex `HMAC-SHA256(secret, <first three parts>)`.
+ * Headers older than [MAX_AGE_SECONDS] are rejected, so a captured header
+ * cannot be replayed for long.
+ */
+object ProxyForwarding {
+
+    const val HEADER = "X-Mini-Numbers-Forwarded"
+    const val MAX_AGE_SECONDS = 300L
+    private const val MAX_USER_AGENT_LENGTH = 512
+
+    // IPv4 or IPv6 address characters, as forwarded by the proxy
+    private val IP_REGEX = Regex("^[0-9a-fA-F:.]{2,45}$")
+
+    /**
+     * The visitor as seen by the proxy
+     */
+    data class Client(val ip: String, val userAgent: String)
+
+    /**
+     * Header value for a visitor, as built by the proxy
+     */
+    fun sign(ip: String, userAgent: String, secret: String, now: Instant = Instant.now()): String {
+        val encoder = Base64.getUrlEncoder().withoutPadding()
+        val data = "${now.epochSecond}.${encoder.encodeToString(ip.toByteArray())}." +
+            encoder.encodeToString(userAgent.toByteArray())
+        return "$data.${hmac(data, secret)}"
+    }
+
+    /**
+     * The visitor behind a tracker request: the forwarded one when the request carries
+     * a [HEADER], otherwise the request's own address and user agent.
+     *
+     * @return null when the request carries a [HEADER] that does not verify with [secret],
+     *         or any [HEADER] while no secret is configured.
+     */
+    fun resolve(call: ApplicationCall, secret: String?): Client? {
+        val header = call.request.headers[HEADER]
+            ?: return Client(call.request.origin.remoteHost, call.request.headers["User-Agent"] ?: "unknown")
+        return secret?.let { verify(header, it) }
+    }
+
+    /**
+     * Verify a header value from [sign].
+     *
+     * @return The forwarded visitor, or null when the value is malformed, too old,
+     *         dated in the future or not signed with [secret].
+     */
+    fun verify(header: String, secret: String, now: Instant = Instant.now()): Client? {
+        val parts = header.trim().split(".")
+        if (parts.size != 4) return null
+        val signed = parts[0].toLongOrNull() ?: return null
+        if (signed < now.epochSecond - MAX_AGE_SECONDS || signed > now.epochSecond + MAX_AGE_SECONDS) return null
+
+        val expected = hmac(parts.take(3).joinToString("."), secret)
+        if (!MessageDigest.isEqual(expected.toByteArray(), parts[3].lowercase().toByteArray())) return null
+
+        return try {
+            val decoder = Base64.getUrlDecoder()
+            val ip = String(decoder.decode(parts[1]))
+            val userAgent = String(decoder.decode(parts[2])).take(MAX_USER_AGENT_LENGTH)
+            Client(ip, userAgent).takeIf { IP_REGEX.matches(ip) }
+        } catch (_: IllegalArgumentException) {
+            null
+        }
+    }
+
+    private fun hmac(data: String, secret: String): String {
+        val mac = Mac.getInstance("HmacSHA256")
+        mac.init(SecretKeySpec(secret.toByteArray(), "HmacSHA256"))
+        return mac.doFinal(data.toByteArray()).joinToString("") { "%02x".format(it) }
+    }
+}
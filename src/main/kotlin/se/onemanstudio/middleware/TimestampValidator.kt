@@ -0,0 +1,63 @@
+package se.onemanstudio.middleware
+
+import se.onemanstudio.api.models.collection.PageViewPayload
+import se.onemanstudio.config.models.TimestampPolicy
+import se.onemanstudio.config.models.TrackerConfig
+import java.time.Instant
+import java.time.LocalDateTime
+import java.time.ZoneId
+
+/**
+ * Resolves the time an event is stored under from the client-side timestamps
+ * sent by the tracker.
+ *
+ * The tracker stamps each event with `timestamp` when it is created and with
+ * `sentAt` right before the request leaves the browser. The difference between
+ * the server's receive time and `sentAt` is the client clock's skew (plus
+ * network latency), and is added to `timestamp` so that events replayed from
+ * the offline queue land on the day they actually happened, on the server's clock.
+ *
+ * Corrected timestamps older than [TrackerConfig.timestampMaxAgeHours] or ahead
+ * of the server clock are handled according to [TrackerConfig.timestampPolicy].
+ * Events without a client timestamp are stored at receive time.
+ */
+object TimestampValidator {
+
+    // Tolerance for corrected timestamps slightly ahead of the server clock (rounding, latency jitter)
+    private const val FUTURE_TOLERANCE_MS = 60_000L
+
+    /**
+     * Resolved timestamp, or null with an error when the event must be rejected
+     */
+    data class TimestampResult(
+        val timestamp: LocalDateTime?,
+        val error: String? = null
+    )
+
+    fun resolve(payload: PageViewPayload, receivedAtMillis: Long, config: TrackerConfig): TimestampResult {
+        val clientTimestamp = payload.timestamp
+            ?: return TimestampResult(toLocalDateTime(receivedAtMillis))
+
+        val skew = payload.sentAt?.let { receivedAtMillis - it } ?: 0L
+        val corrected = clientTimestamp + skew
+
+        val earliest = receivedAtMillis - config.timestampMaxAgeHours * 3_600_000L
+        val latest = receivedAtMillis + FUTURE_TOLERANCE_MS
+        if (corrected in earliest..latest) {
+            return TimestampResult(toLocalDateTime(minOf(corrected, receivedAtMillis)))
+        }
+
+        return when (config.timestampPolicy) {
+            TimestampPolicy.REJECT -> TimestampResult(
+                null,
+                "Timestamp is outside the accepted window of ${config.timestampMaxAgeHours} hours"
+            )
+            TimestampPolicy.CLAMP -> TimestampResult(
+                toLocalDateTime(corrected.coerceIn(earliest, receivedAtMillis))
+            )
+        }
+    }
+
+    private fun toLocalDateTime(epochMillis: Long): LocalDateTime =
+        LocalDateTime.ofInstant(Instant.ofEpochMilli(epochMillis), ZoneId.systemDefault())
+}
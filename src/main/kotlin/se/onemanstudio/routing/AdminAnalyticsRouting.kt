@@ -111,6 +111,7 @@ fun Route.adminAnalyticsRoutes() {
                         device = row[Events.device],
                         sessionId = row[Events.sessionId],
                         duration = row[Events.duration],
+                        engagedMs = row[Events.engagedMs],
                         utmSource = row[Events.utmSource],
                         utmCampaign = row[Events.utmCampaign],
                         scrollDepth = row[Events.scrollDepth],
@@ -19,9 +19,12 @@ import se.onemanstudio.api.models.admin.*
 import se.onemanstudio.api.models.dashboard.*
 import se.onemanstudio.core.models.UserRole
 import se.onemanstudio.db.*
+import se.onemanstudio.middleware.PathNormalizer
 import se.onemanstudio.middleware.QueryCache
 import se.onemanstudio.middleware.requireRole
 import se.onemanstudio.services.EmailService
+import se.onemanstudio.services.TrackerBundler
+import se.onemanstudio.services.TrackerConfigService
 import se.onemanstudio.services.WebhookService
 import se.onemanstudio.services.WebhookTrigger
 import se.onemanstudio.utils.*
@@ -471,14 +474,11 @@ fun Route.adminFeatureRoutes() {
             }
 
             val sessions = filtered.groupBy { it[Events.sessionId] }
-            val bouncedSessions = sessions.count { (_, sessionEvents) ->
-                val uniquePages = sessionEvents.map { it[Events.path] }.distinct().size
-                val hasHeartbeat = sessionEvents.any { it[Events.eventType] == "heartbeat" }
-                uniquePages == 1 && !hasHeartbeat
-            }
+            val bouncedSessions = sessions.count { (_, sessionEvents) -> isBounced(sessionEvents) }
             val bounceRate = if (sessions.isNotEmpty()) (bouncedSessions.toDouble() / sessions.size) * 100.0 else 0.0
 
-            val topPages = filtered.groupBy { it[Events.path] }
+            val pageviews = filtered.filter { it[Events.eventType] == "pageview" }
+            val topPages = pageviews.groupBy { it[Events.path] }
                 .map { (path, events) -> StatEntry(path, events.size.toLong()) }
                 .sortedByDescending { it.value }
                 .take(10)
@@ -486,7 +486,7 @@ fun Route.adminFeatureRoutes() {
             SegmentAnalysis(
                 segmentId = segmentId.toString(),
                 segmentName = segment[Segments.name],
-                totalViews = filtered.size.toLong(),
+                totalViews = pageviews.size.toLong(),
                 uniqueVisitors = filtered.map { it[Events.visitorHash] }.distinct().size.toLong(),
                 bounceRate = bounceRate,
                 topPages = topPages,
@@ -910,4 +910,348 @@ fun Route.adminFeatureRoutes() {
         }
         call.respond(attribution)
     }
+
+    // ── Web Vitals ────────────────────────────────────────────────
+
+    get("/projects/{id}/vitals") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:vitals:$filter") {
+            VitalsAnalysisUtils.calculateVitals(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── JavaScript Errors ─────────────────────────────────────────
+
+    get("/projects/{id}/errors") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:errors:$filter") {
+            ErrorAnalysisUtils.calculateErrors(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Form Analytics ────────────────────────────────────────────
+
+    get("/projects/{id}/forms") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:forms:$filter") {
+            FormAnalysisUtils.calculateForms(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Impressions ───────────────────────────────────────────────
+
+    get("/projects/{id}/impressions") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:impressions:$filter") {
+            ImpressionAnalysisUtils.calculateImpressions(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Media ─────────────────────────────────────────────────────
+
+    get("/projects/{id}/media") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:media:$filter") {
+            MediaAnalysisUtils.calculateMedia(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Frustration Signals ───────────────────────────────────────
+
+    get("/projects/{id}/frustration") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:frustration:$filter") {
+            FrustrationAnalysisUtils.calculateFrustration(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Site Search ───────────────────────────────────────────────
+
+    get("/projects/{id}/search") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:search:$filter") {
+            SearchAnalysisUtils.calculateSearches(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Downloads ─────────────────────────────────────────────────
+
+    get("/projects/{id}/downloads") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val report = QueryCache.getOrCompute("$pid:downloads:$filter") {
+            DownloadAnalysisUtils.calculateDownloads(pid, start, end)
+        }
+        call.respond(report)
+    }
+
+    // ── Scroll Depth ──────────────────────────────────────────────
+
+    get("/projects/{id}/scroll-depth") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val filter = call.request.queryParameters["filter"] ?: "7d"
+        val (start, end) = getCurrentPeriod(filter)
+        val pages = QueryCache.getOrCompute("$pid:scroll-depth:$filter") {
+            ScrollDepthAnalysisUtils.calculateScrollDepth(pid, start, end)
+        }
+        call.respond(pages)
+    }
+
+    // ── Path Rules ────────────────────────────────────────────────
+
+    get("/projects/{id}/path-rules") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val config = loadPathRules(pid)
+            ?: return@get call.respond(HttpStatusCode.NotFound,
+                ApiError.notFound("Project not found"))
+        call.respond(config)
+    }
+
+    put("/projects/{id}/path-rules") {
+        if (!call.requireRole(UserRole.ADMIN)) return@put
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val request = try {
+            call.receive<PathRulesConfig>()
+        } catch (_: io.ktor.server.plugins.ContentTransformationException) {
+            return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid request body"))
+        }
+
+        if (request.rules.size > PathNormalizer.MAX_RULES) {
+            return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("A project can have at most ${PathNormalizer.MAX_RULES} path rules"))
+        }
+        val errors = request.rules.mapIndexedNotNull { index, rule ->
+            PathNormalizer.validateRule(rule.pattern, rule.template)?.let { "Rule ${index + 1}: $it" }
+        } + request.detectors.filter { it !in PathNormalizer.DETECTORS }.map {
+            "Unknown detector: $it. Valid: ${PathNormalizer.DETECTORS.keys}"
+        }
+        if (errors.isNotEmpty()) {
+            return@put call.respond(HttpStatusCode.BadRequest, ApiError.validationFailed(errors))
+        }
+
+        val updated = transaction {
+            val found = Projects.update({ Projects.id eq pid }) {
+                it[pathDetectors] = request.detectors.distinct().joinToString(",")
+            } > 0
+            if (found) {
+                PathRules.deleteWhere { PathRules.projectId eq pid }
+                request.rules.forEachIndexed { index, rule ->
+                    PathRules.insert {
+                        it[id] = UUID.randomUUID()
+                        it[projectId] = pid
+                        it[pattern] = rule.pattern
+                        it[template] = rule.template
+                        it[position] = index
+                    }
+                }
+            }
+            found
+        }
+        if (!updated) {
+            return@put call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        }
+
+        PathNormalizer.invalidateProject(pid.toString())
+        call.respond(loadPathRules(pid) ?: request)
+    }
+
+    // ── Privacy ───────────────────────────────────────────────────
+
+    get("/projects/{id}/privacy") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val settings = transaction {
+            Projects.selectAll().where { Projects.id eq pid }.singleOrNull()
+                ?.let { ProjectPrivacySettings(honorGpc = it[Projects.honorGpc]) }
+        } ?: return@get call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        call.respond(settings)
+    }
+
+    put("/projects/{id}/privacy") {
+        if (!call.requireRole(UserRole.ADMIN)) return@put
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val request = try {
+            call.receive<ProjectPrivacySettings>()
+        } catch (_: io.ktor.server.plugins.ContentTransformationException) {
+            return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid request body"))
+        }
+
+        val updated = transaction {
+            Projects.update({ Projects.id eq pid }) {
+                it[honorGpc] = request.honorGpc
+            } > 0
+        }
+        if (!updated) {
+            return@put call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        }
+        call.respond(request)
+    }
+
+    // ── Tracker Modules ───────────────────────────────────────────
+
+    get("/projects/{id}/tracker-modules") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val modules = TrackerBundler.forProject(pid)
+            ?: return@get call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        call.respond(TrackerModulesSettings(TrackerBundler.MODULES.filter { it in modules }))
+    }
+
+    put("/projects/{id}/tracker-modules") {
+        if (!call.requireRole(UserRole.ADMIN)) return@put
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val request = try {
+            call.receive<TrackerModulesSettings>()
+        } catch (_: io.ktor.server.plugins.ContentTransformationException) {
+            return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid request body"))
+        }
+
+        val errors = request.modules.filter { it !in TrackerBundler.MODULES }.map {
+            "Unknown module: $it. Valid: ${TrackerBundler.MODULES}"
+        }
+        if (errors.isNotEmpty()) {
+            return@put call.respond(HttpStatusCode.BadRequest, ApiError.validationFailed(errors))
+        }
+
+        val modules = TrackerBundler.MODULES.filter { it in request.modules }
+        val updated = transaction {
+            Projects.update({ Projects.id eq pid }) {
+                it[trackerModules] = modules.joinToString(",")
+            } > 0
+        }
+        if (!updated) {
+            return@put call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        }
+        call.respond(TrackerModulesSettings(modules))
+    }
+
+    // ── Tracker Settings ──────────────────────────────────────────
+
+    get("/projects/{id}/tracker-settings") {
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val settings = TrackerConfigService.load(pid)
+            ?: return@get call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        call.respond(settings)
+    }
+
+    put("/projects/{id}/tracker-settings") {
+        if (!call.requireRole(UserRole.ADMIN)) return@put
+        val pid = safeParseUUID(call.parameters["id"])
+            ?: return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or missing project ID"))
+
+        val request = try {
+            TrackerConfigService.normalize(call.receive<TrackerSettings>())
+        } catch (_: io.ktor.server.plugins.ContentTransformationException) {
+            return@put call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid request body"))
+        }
+
+        val errors = TrackerConfigService.validate(request)
+        if (errors.isNotEmpty()) {
+            return@put call.respond(HttpStatusCode.BadRequest, ApiError.validationFailed(errors))
+        }
+
+        val updated = transaction {
+            Projects.update({ Projects.id eq pid }) {
+                it[hashRouting] = request.hashRouting
+                it[excludedPaths] = request.excludedPaths.joinToString("\n")
+                it[downloadExtensions] = request.downloadExtensions.joinToString(",")
+                it[sampleRate] = request.sampleRate
+                it[internalDomains] = request.internalDomains.joinToString(",")
+                it[downloadPatterns] = request.downloadPatterns.joinToString("\n")
+            } > 0
+        }
+        if (!updated) {
+            return@put call.respond(HttpStatusCode.NotFound, ApiError.notFound("Project not found"))
+        }
+        call.respond(request)
+    }
+}
+
+/**
+ * A project's path rules and enabled detectors, or null when the project does not exist
+ */
+private fun loadPathRules(projectId: UUID): PathRulesConfig? = transaction {
+    val project = Projects.selectAll().where { Projects.id eq projectId }.singleOrNull()
+        ?: return@transaction null
+    PathRulesConfig(
+        rules = PathRules.selectAll().where { PathRules.projectId eq projectId }
+            .orderBy(PathRules.position, SortOrder.ASC)
+            .map { PathRuleEntry(it[PathRules.pattern], it[PathRules.template]) },
+        detectors = PathNormalizer.DETECTORS.keys.filter {
+            it in PathNormalizer.parseDetectors(project[Projects.pathDetectors])
+        }
+    )
 }
@@ -21,9 +21,12 @@ import se.onemanstudio.core.models.UserRole
 import se.onemanstudio.core.models.UserSession
 import se.onemanstudio.middleware.getUserRole
 import se.onemanstudio.db.*
+import se.onemanstudio.middleware.PathNormalizer
 import se.onemanstudio.middleware.QueryCache
 import se.onemanstudio.middleware.WidgetCache
 import se.onemanstudio.middleware.requireRole
+import se.onemanstudio.utils.samplingFactor
+import se.onemanstudio.utils.scaleCount
 import java.time.LocalDateTime
 import java.util.UUID
 
@@ -142,11 +145,14 @@ fun Route.adminProjectRoutes() {
                 Funnels.deleteWhere { Funnels.projectId eq uuid }
                 ConversionGoals.deleteWhere { ConversionGoals.projectId eq uuid }
                 Segments.deleteWhere { Segments.projectId eq uuid }
+                PathRules.deleteWhere { PathRules.projectId eq uuid }
                 Events.deleteWhere { Events.projectId eq uuid }
+                ErrorFingerprints.deleteWhere { ErrorFingerprints.projectId eq uuid }
                 Projects.deleteWhere { Projects.id eq uuid }
             }
             QueryCache.invalidateProject(uuid.toString())
             WidgetCache.invalidateProject(uuid.toString())
+            PathNormalizer.invalidateProject(uuid.toString())
             call.respond(HttpStatusCode.NoContent)
         } catch (@Suppress("TooGenericExceptionCaught") e: Exception) {
             call.application.environment.log.error("Failed to delete project $uuid: ${e.message}", e)
@@ -191,19 +197,27 @@ fun Route.adminProjectRoutes() {
 
         val stats = QueryCache.getOrCompute("$pid:stats") {
             transaction {
-                val totalViews = Events.selectAll().where { Events.projectId eq pid }.count()
+                val factor = samplingFactor(Events.projectId eq pid)
+                val totalViews = Events.selectAll()
+                    .where { (Events.projectId eq pid) and (Events.eventType eq "pageview") }
+                    .count()
                 val uniqueVisitors = Events.select(Events.visitorHash)
                     .where { Events.projectId eq pid }
                     .withDistinct()
                     .count()
                 val topPages = Events.select(Events.path, Events.path.count())
-                    .where { Events.projectId eq pid }
+                    .where { (Events.projectId eq pid) and (Events.eventType eq "pageview") }
                     .groupBy(Events.path)
                     .orderBy(Events.path.count(), SortOrder.DESC)
                     .limit(5)
-                    .map { TopPage(path = it[Events.path], count = it[Events.path.count()]) }
-
-                ProjectStats(totalViews = totalViews, uniqueVisitors = uniqueVisitors, topPages = topPages)
+                    .map { TopPage(path = it[Events.path], count = scaleCount(it[Events.path.count()], factor)) }
+
+                ProjectStats(
+                    totalViews = scaleCount(totalViews, factor),
+                    uniqueVisitors = scaleCount(uniqueVisitors, factor),
+                    topPages = topPages,
+                    estimated = factor > 1.0
+                )
             }
         }
         call.respond(stats)
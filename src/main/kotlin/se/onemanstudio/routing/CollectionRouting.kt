@@ -1,57 +1,143 @@
 package se.onemanstudio.routing
 
 import io.ktor.http.*
+import io.ktor.serialization.kotlinx.json.DefaultJson
 import io.ktor.server.application.*
 import io.ktor.server.plugins.*
 import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
 import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonElement
+import kotlinx.serialization.json.JsonObject
 import org.jetbrains.exposed.sql.*
 import org.jetbrains.exposed.sql.transactions.transaction
 import se.onemanstudio.api.models.ApiError
+import se.onemanstudio.api.models.collection.CollectBatchResponse
+import se.onemanstudio.api.models.collection.CollectItemResult
 import se.onemanstudio.api.models.collection.PageViewPayload
 import se.onemanstudio.config.models.PrivacyMode
+import se.onemanstudio.config.models.TrackerConfig
 import se.onemanstudio.core.AnalyticsSecurity
 import se.onemanstudio.db.Events
 import se.onemanstudio.db.Projects
 import se.onemanstudio.middleware.InputValidator
+import se.onemanstudio.middleware.PathNormalizer
+import se.onemanstudio.middleware.ProxyForwarding
 import se.onemanstudio.middleware.QueryCache
 import se.onemanstudio.middleware.RateLimiter
+import se.onemanstudio.middleware.TimestampValidator
 import se.onemanstudio.middleware.WidgetCache
 import se.onemanstudio.middleware.models.RateLimitResult
 import se.onemanstudio.services.GeoLocationService
+import se.onemanstudio.services.GeoResult
 import se.onemanstudio.services.UserAgentParser
 import se.onemanstudio.services.WebhookTrigger
+import se.onemanstudio.utils.ErrorAnalysisUtils
+import se.onemanstudio.utils.SearchAnalysisUtils
+import java.time.LocalDateTime
+import java.util.UUID
 
-fun Route.collectionRoutes(rateLimiter: RateLimiter, privacyMode: PrivacyMode) {
+/**
+ * Request-level data shared by every event in a `/collect` call
+ * (one visitor, one user agent, one project).
+ */
+private data class CollectContext(
+    val projectId: UUID,
+    val visitorHash: String,
+    val geo: GeoResult,
+    val browser: String?,
+    val os: String?,
+    val device: String?,
+    val pathRules: PathNormalizer.RuleSet,
+    val sampleRate: Int // The project's sample rate, the lowest rate an event may claim
+) {
+    /**
+     * The path as stored: sanitized, with the project's normalization rules applied
+     */
+    fun normalizePath(path: String): String = PathNormalizer.normalize(InputValidator.sanitize(path), pathRules)
+
+    /**
+     * The properties as stored: sanitized, with the project's detectors applied to search terms
+     */
+    fun storedProperties(payload: PageViewPayload): String? = payload.properties?.let { props ->
+        val sanitized = InputValidator.sanitize(props)
+        if (payload.type == "search") SearchAnalysisUtils.scrubTerm(sanitized) { PathNormalizer.scrub(it, pathRules) } else sanitized
+    }
+}
+
+/**
+ * Check the per-IP and per-API-key rate limits of a tracker request.
+ * Responds with 429 and returns true when either is exceeded.
+ */
+internal suspend fun ApplicationCall.respondIfRateLimited(rateLimiter: RateLimiter, ip: String, apiKey: String): Boolean {
+    val rateLimitResult = rateLimiter.checkRateLimit(ip, apiKey)
+    if (rateLimitResult !is RateLimitResult.Exceeded) return false
+    application.environment.log.warn("Rate limit exceeded: ${rateLimitResult.limitType} - ${rateLimitResult.identifier}")
+    respond(HttpStatusCode.TooManyRequests,
+        ApiError.rateLimited(
+            "Too many requests. Please try again later.",
+            rateLimitResult.limitType,
+            rateLimitResult.limit,
+            rateLimitResult.window
+        ))
+    return true
+}
+
+/**
+ * An event that passed validation, with its skew-corrected timestamp
+ */
+private data class ValidEvent(
+    val index: Int,
+    val payload: PageViewPayload,
+    val timestamp: LocalDateTime
+)
+
+/**
+ * Outcome of storing one event: whether it was inserted (false for a replayed
+ * duplicate) and whether it is the first occurrence of an error fingerprint
+ */
+private data class StoreResult(
+    val inserted: Boolean,
+    val newError: Boolean = false
+)
+
+fun Route.collectionRoutes(rateLimiter: RateLimiter, privacyMode: PrivacyMode, trackerConfig: TrackerConfig) {
     // Data Collection Endpoint
+    // Accepts either a single event object or a JSON array of events (batch form).
     post("/collect") {
         val apiKey = call.request.headers["X-Project-Key"]
             ?: call.request.queryParameters["key"]
             ?: return@post call.respond(HttpStatusCode.BadRequest,
                 ApiError.badRequest("Missing API key"))
 
-        val ip = call.request.origin.remoteHost
-
-        when (val rateLimitResult = rateLimiter.checkRateLimit(ip, apiKey)) {
-            is RateLimitResult.Exceeded -> {
-                call.application.environment.log.warn(
-                    "Rate limit exceeded: ${rateLimitResult.limitType} - ${rateLimitResult.identifier}"
-                )
-                return@post call.respond(HttpStatusCode.TooManyRequests,
-                    ApiError.rateLimited(
-                        "Too many requests. Please try again later.",
-                        rateLimitResult.limitType,
-                        rateLimitResult.limit,
-                        rateLimitResult.window
-                    ))
-            }
-            else -> { /* Rate limit passed */ }
+        // Behind a first-party proxy the visitor's IP and user agent arrive in a signed header
+        val (ip, userAgent) = ProxyForwarding.resolve(call, trackerConfig.proxySecret)
+            ?: return@post call.respond(HttpStatusCode.Unauthorized,
+                ApiError.unauthorized("Invalid or expired ${ProxyForwarding.HEADER} header"))
+        val receivedAt = System.currentTimeMillis()
+
+        if (call.respondIfRateLimited(rateLimiter, ip, apiKey)) return@post
+
+        // sendBeacon posts text/plain, so the body is parsed here rather than via ContentNegotiation
+        val body = try {
+            DefaultJson.parseToJsonElement(call.receiveText())
+        } catch (e: SerializationException) {
+            call.application.environment.log.warn("Invalid JSON payload: ${e.message}")
+            return@post call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid JSON structure"))
+        } catch (_: BadRequestException) {
+            return@post call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid request payload format"))
+        }
+
+        if (body is JsonArray) {
+            return@post call.handleBatch(body, apiKey, ip, userAgent, privacyMode, trackerConfig, receivedAt)
         }
 
         val payload = try {
-            call.receive<PageViewPayload>()
+            decodePayload(body)
         } catch (e: SerializationException) {
             call.application.environment.log.warn("Invalid JSON payload: ${e.message}")
             return@post call.respond(HttpStatusCode.BadRequest,
@@ -59,9 +145,6 @@ fun Route.collectionRoutes(rateLimiter: RateLimiter, privacyMode: PrivacyMode) {
         } catch (e: IllegalArgumentException) {
             return@post call.respond(HttpStatusCode.BadRequest,
                 ApiError.badRequest("Invalid payload data: ${e.message}"))
-        } catch (_: BadRequestException) {
-            return@post call.respond(HttpStatusCode.BadRequest,
-                ApiError.badRequest("Invalid request payload format"))
         }
 
         val validationResult = InputValidator.validatePageViewPayload(payload)
@@ -71,93 +154,277 @@ fun Route.collectionRoutes(rateLimiter: RateLimiter, privacyMode: PrivacyMode) {
                 ApiError.validationFailed(validationResult.errors))
         }
 
-        val sanitizedPath = InputValidator.sanitize(payload.path)
-        val sanitizedReferrer = payload.referrer?.let { InputValidator.sanitize(it) }
-        val sanitizedSessionId = InputValidator.sanitize(payload.sessionId)
-        val sanitizedEventName = payload.eventName?.let { InputValidator.sanitize(it) }
-        val sanitizedUtmSource = payload.utmSource?.let { InputValidator.sanitize(it) }
-        val sanitizedUtmMedium = payload.utmMedium?.let { InputValidator.sanitize(it) }
-        val sanitizedUtmCampaign = payload.utmCampaign?.let { InputValidator.sanitize(it) }
-        val sanitizedUtmTerm = payload.utmTerm?.let { InputValidator.sanitize(it) }
-        val sanitizedUtmContent = payload.utmContent?.let { InputValidator.sanitize(it) }
-        val sanitizedTargetUrl = payload.targetUrl?.let { InputValidator.sanitize(it) }
-        val sanitizedProperties = payload.properties?.let { InputValidator.sanitize(it) }
-
-        val project = transaction {
-            Projects.selectAll().where { Projects.apiKey eq apiKey }.singleOrNull()
-        } ?: return@post call.respond(HttpStatusCode.NotFound,
-            ApiError.notFound("Invalid API key"))
+        val timestampResult = TimestampValidator.resolve(payload, receivedAt, trackerConfig)
+        val timestamp = timestampResult.timestamp
+            ?: return@post call.respond(HttpStatusCode.BadRequest,
+                ApiError.validationFailed(listOfNotNull(timestampResult.error)))
+        val event = withErrorFingerprint(payload)
 
-        val ua = call.request.headers["User-Agent"] ?: "unknown"
-        val vHash = AnalyticsSecurity.generateVisitorHash(ip, ua, project[Projects.id].toString())
+        val project = findProject(apiKey)
+            ?: return@post call.respond(HttpStatusCode.NotFound,
+                ApiError.notFound("Invalid API key"))
+        if (call.gpcDeclined(project)) {
+            return@post call.respond(HttpStatusCode.NoContent)
+        }
+        val context = resolveContext(project, ip, userAgent, privacyMode)
 
-        // Apply privacy mode: restrict data collection based on level
-        val geoResult = when (privacyMode) {
-            PrivacyMode.PARANOID -> se.onemanstudio.services.GeoResult()
-            PrivacyMode.STRICT -> {
-                val result = GeoLocationService.lookup(ip)
-                se.onemanstudio.services.GeoResult(result.country, null, null, null, null)
+        try {
+            // A replayed event that is already stored is acknowledged but not counted again
+            val result = transaction { storeEvent(context, event, timestamp) }
+            if (result.inserted) {
+                // Invalidate cache for this project
+                QueryCache.invalidateProject(context.projectId.toString())
+                WidgetCache.invalidateProject(context.projectId.toString())
+                call.fireWebhooks(context, event, result.newError)
             }
-            PrivacyMode.STANDARD -> GeoLocationService.lookup(ip)
+        } catch (@Suppress("TooGenericExceptionCaught") e: Exception) {
+            call.application.environment.log.error("Failed to save event: ${e.message}", e)
+            return@post call.respond(HttpStatusCode.InternalServerError,
+                ApiError.internalError("Failed to save event"))
         }
 
-        val browser = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseBrowser(ua)
-        val os = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseOS(ua)
-        val device = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseDevice(ua)
+        call.respond(HttpStatusCode.Accepted)
+    }
+}
+
+/**
+ * Batch form of `POST /collect`: every item is decoded and validated on its own,
+ * valid items are stored in a single transaction, and the response carries a
+ * per-item result so the client knows exactly which events were rejected.
+ * Items whose `eventId` is already stored are reported as `duplicate`.
+ */
+private suspend fun ApplicationCall.handleBatch(
+    items: JsonArray,
+    apiKey: String,
+    ip: String,
+    userAgent: String,
+    privacyMode: PrivacyMode,
+    trackerConfig: TrackerConfig,
+    receivedAt: Long
+) {
+    if (items.isEmpty()) {
+        return respond(HttpStatusCode.BadRequest,
+            ApiError.badRequest("Batch must contain at least one event"))
+    }
+    if (items.size > InputValidator.MAX_BATCH_SIZE) {
+        return respond(HttpStatusCode.BadRequest,
+            ApiError.badRequest("Batch exceeds maximum size of ${InputValidator.MAX_BATCH_SIZE} events"))
+    }
 
-        // Validate coordinate bounds (defensive)
-        val safeLat = geoResult.latitude?.takeIf { it in -90.0..90.0 }
-        val safeLon = geoResult.longitude?.takeIf { it in -180.0..180.0 }
+    val results = arrayOfNulls<CollectItemResult>(items.size)
+    val accepted = mutableListOf<ValidEvent>()
 
+    items.forEachIndexed { index, element ->
+        val payload = try {
+            decodePayload(element)
+        } catch (_: SerializationException) {
+            results[index] = CollectItemResult(index, "rejected", listOf("Invalid JSON structure"))
+            return@forEachIndexed
+        } catch (e: IllegalArgumentException) {
+            results[index] = CollectItemResult(index, "rejected", listOf("Invalid payload data: ${e.message}"))
+            return@forEachIndexed
+        }
+
+        val validationResult = InputValidator.validatePageViewPayload(payload)
+        if (!validationResult.isValid) {
+            results[index] = CollectItemResult(index, "rejected", validationResult.errors)
+            return@forEachIndexed
+        }
+
+        val timestampResult = TimestampValidator.resolve(payload, receivedAt, trackerConfig)
+        if (timestampResult.timestamp == null) {
+            results[index] = CollectItemResult(index, "rejected", listOfNotNull(timestampResult.error))
+        } else {
+            accepted.add(ValidEvent(index, withErrorFingerprint(payload), timestampResult.timestamp))
+        }
+    }
+
+    if (accepted.size < items.size) {
+        application.environment.log.warn(
+            "Batch validation rejected ${items.size - accepted.size} of ${items.size} events for API key ${apiKey.take(8)}****"
+        )
+    }
+
+    val project = findProject(apiKey)
+        ?: return respond(HttpStatusCode.NotFound,
+            ApiError.notFound("Invalid API key"))
+    if (gpcDeclined(project)) {
+        return respond(HttpStatusCode.NoContent)
+    }
+    val context = resolveContext(project, ip, userAgent, privacyMode)
+
+    var stored = 0
+    if (accepted.isNotEmpty()) {
         try {
-            transaction {
-                Events.insert {
-                    it[projectId] = project[Projects.id]
-                    it[visitorHash] = vHash
-                    it[sessionId] = sanitizedSessionId
-                    it[path] = sanitizedPath
-                    it[referrer] = sanitizedReferrer
-                    it[eventType] = payload.type
-                    it[eventName] = sanitizedEventName
-                    it[country] = geoResult.country
-                    it[city] = geoResult.city
-                    it[Events.browser] = browser
-                    it[Events.os] = os
-                    it[Events.device] = device
-                    it[utmSource] = sanitizedUtmSource
-                    it[utmMedium] = sanitizedUtmMedium
-                    it[utmCampaign] = sanitizedUtmCampaign
-                    it[utmTerm] = sanitizedUtmTerm
-                    it[utmContent] = sanitizedUtmContent
-                    it[scrollDepth] = payload.scrollDepth
-                    it[region] = geoResult.region
-                    it[targetUrl] = sanitizedTargetUrl
-                    it[properties] = sanitizedProperties
-                    it[latitude] = safeLat
-                    it[longitude] = safeLon
-                }
+            val outcomes = transaction {
+                accepted.map { storeEvent(context, it.payload, it.timestamp) }
+            }
+            stored = outcomes.count { it.inserted }
+            if (stored > 0) {
+                QueryCache.invalidateProject(context.projectId.toString())
+                WidgetCache.invalidateProject(context.projectId.toString())
             }
-            // Invalidate cache for this project
-            QueryCache.invalidateProject(project[Projects.id].toString())
-            WidgetCache.invalidateProject(project[Projects.id].toString())
-
-            // Fire webhooks for matching events (non-blocking)
-            try {
-                WebhookTrigger.checkAndFire(
-                    projectId = project[Projects.id],
-                    eventType = payload.type,
-                    eventName = sanitizedEventName,
-                    path = sanitizedPath
-                )
-            } catch (@Suppress("TooGenericExceptionCaught") e: Exception) {
-                call.application.environment.log.warn("Webhook trigger error: ${e.message}")
+            accepted.forEachIndexed { i, event ->
+                if (outcomes[i].inserted) {
+                    results[event.index] = CollectItemResult(event.index, "accepted")
+                    fireWebhooks(context, event.payload, outcomes[i].newError)
+                } else {
+                    results[event.index] = CollectItemResult(event.index, "duplicate")
+                }
             }
         } catch (@Suppress("TooGenericExceptionCaught") e: Exception) {
-            call.application.environment.log.error("Failed to save event: ${e.message}", e)
-            return@post call.respond(HttpStatusCode.InternalServerError,
-                ApiError.internalError("Failed to save event"))
+            application.environment.log.error("Failed to save event batch: ${e.message}", e)
+            return respond(HttpStatusCode.InternalServerError,
+                ApiError.internalError("Failed to save events"))
         }
+    }
 
-        call.respond(HttpStatusCode.Accepted)
+    respond(HttpStatusCode.MultiStatus, CollectBatchResponse(
+        accepted = stored,
+        duplicates = accepted.size - stored,
+        rejected = items.size - accepted.size,
+        results = results.filterNotNull()
+    ))
+}
+
+/**
+ * Decode a single event; anything other than a JSON object is a structural error
+ */
+private fun decodePayload(element: JsonElement): PageViewPayload {
+    if (element !is JsonObject) throw SerializationException("Event must be a JSON object")
+    return DefaultJson.decodeFromJsonElement(PageViewPayload.serializer(), element)
+}
+
+/**
+ * The project an API key belongs to, or null for an unknown key
+ */
+private fun findProject(apiKey: String): ResultRow? = transaction {
+    Projects.selectAll().where { Projects.apiKey eq apiKey }.singleOrNull()
+}
+
+/**
+ * Projects that honor Global Privacy Control drop every event from a browser
+ * sending `Sec-GPC: 1`, whether or not the tracker was told to respect it
+ */
+private fun ApplicationCall.gpcDeclined(project: ResultRow): Boolean =
+    project[Projects.honorGpc] && request.headers["Sec-GPC"]?.trim() == "1"
+
+/**
+ * Derive the visitor hash, geolocation and user-agent fields once per request,
+ * honouring the configured privacy mode.
+ */
+private fun resolveContext(project: ResultRow, ip: String, ua: String, privacyMode: PrivacyMode): CollectContext {
+    val vHash = AnalyticsSecurity.generateVisitorHash(ip, ua, project[Projects.id].toString())
+
+    // Apply privacy mode: restrict data collection based on level
+    val geoResult = when (privacyMode) {
+        PrivacyMode.PARANOID -> GeoResult()
+        PrivacyMode.STRICT -> {
+            val result = GeoLocationService.lookup(ip)
+            GeoResult(result.country, null, null, null, null)
+        }
+        PrivacyMode.STANDARD -> GeoLocationService.lookup(ip)
+    }
+
+    return CollectContext(
+        projectId = project[Projects.id],
+        visitorHash = vHash,
+        geo = geoResult,
+        browser = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseBrowser(ua),
+        os = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseOS(ua),
+        device = if (privacyMode == PrivacyMode.PARANOID) null else UserAgentParser.parseDevice(ua),
+        pathRules = PathNormalizer.forProject(project[Projects.id]),
+        sampleRate = project[Projects.sampleRate]
+    )
+}
+
+/**
+ * Error events are grouped by a server-side fingerprint of message and top
+ * stack frame, stored as the event name (clients cannot set it themselves)
+ */
+private fun withErrorFingerprint(payload: PageViewPayload): PageViewPayload {
+    if (payload.type != "error") return payload
+    val details = ErrorAnalysisUtils.parseError(payload.properties) ?: return payload
+    return payload.copy(eventName = ErrorAnalysisUtils.fingerprint(details.message, details.frame))
+}
+
+/**
+ * Store one event, recording beforehand whether an error fingerprint is new to
+ * the project. Must be called within a transaction.
+ */
+private fun storeEvent(context: CollectContext, payload: PageViewPayload, timestamp: LocalDateTime): StoreResult {
+    val firstOccurrence = payload.type == "error" && payload.eventName != null &&
+        ErrorAnalysisUtils.recordFingerprint(context.projectId, payload.eventName, timestamp)
+    val inserted = insertEvent(context, payload, timestamp)
+    return StoreResult(inserted, inserted && firstOccurrence)
+}
+
+/**
+ * Sanitize and insert one validated event at its resolved [timestamp].
+ * Must be called within a transaction.
+ * Returns false when an event with the same `eventId` already exists for the project.
+ */
+private fun insertEvent(context: CollectContext, payload: PageViewPayload, timestamp: LocalDateTime): Boolean {
+    // Validate coordinate bounds (defensive)
+    val safeLat = context.geo.latitude?.takeIf { it in -90.0..90.0 }
+    val safeLon = context.geo.longitude?.takeIf { it in -180.0..180.0 }
+
+    val statement = Events.insertIgnore {
+        it[projectId] = context.projectId
+        it[visitorHash] = context.visitorHash
+        it[sessionId] = InputValidator.sanitize(payload.sessionId)
+        it[path] = context.normalizePath(payload.path)
+        it[referrer] = payload.referrer?.let { r -> InputValidator.sanitize(r) }
+        it[eventType] = payload.type
+        it[eventName] = payload.eventName?.let { n -> InputValidator.sanitize(n) }
+        it[country] = context.geo.country
+        it[city] = context.geo.city
+        it[Events.browser] = context.browser
+        it[Events.os] = context.os
+        it[Events.device] = context.device
+        it[utmSource] = payload.utmSource?.let { v -> InputValidator.sanitize(v) }
+        it[utmMedium] = payload.utmMedium?.let { v -> InputValidator.sanitize(v) }
+        it[utmCampaign] = payload.utmCampaign?.let { v -> InputValidator.sanitize(v) }
+        it[utmTerm] = payload.utmTerm?.let { v -> InputValidator.sanitize(v) }
+        it[utmContent] = payload.utmContent?.let { v -> InputValidator.sanitize(v) }
+        it[scrollDepth] = payload.scrollDepth
+        it[engagedMs] = payload.engagedMs
+        it[duration] = payload.engagedMs?.let { ms -> (ms / 1000).toInt() } ?: 0
+        it[region] = context.geo.region
+        it[targetUrl] = payload.targetUrl?.let { v -> InputValidator.sanitize(v) }
+        it[properties] = context.storedProperties(payload)
+        it[latitude] = safeLat
+        it[longitude] = safeLon
+        it[eventId] = payload.eventId
+        // Capped by the project's rate, so a client cannot make its events count for more
+        it[sampleRate] = payload.sampleRate?.coerceAtLeast(context.sampleRate)?.takeIf { rate -> rate < 100 }
+        it[Events.timestamp] = timestamp
+    }
+    return statement.insertedCount > 0
+}
+
+/**
+ * Fire webhooks for matching events (non-blocking, failures are logged only)
+ */
+private fun ApplicationCall.fireWebhooks(context: CollectContext, payload: PageViewPayload, newError: Boolean = false) {
+    try {
+        WebhookTrigger.checkAndFire(
+            projectId = context.projectId,
+            eventType = payload.type,
+            eventName = payload.eventName?.let { InputValidator.sanitize(it) },
+            path = context.normalizePath(payload.path)
+        )
+        val error = if (newError) ErrorAnalysisUtils.parseError(payload.properties) else null
+        if (error != null && payload.eventName != null) {
+            WebhookTrigger.fireNewError(
+                projectId = context.projectId,
+                fingerprint = payload.eventName,
+                message = InputValidator.sanitize(error.message),
+                frame = error.frame?.let { InputValidator.sanitize(it) },
+                path = context.normalizePath(payload.path)
+            )
+        }
+    } catch (@Suppress("TooGenericExceptionCaught") e: Exception) {
+        application.environment.log.warn("Webhook trigger error: ${e.message}")
     }
 }
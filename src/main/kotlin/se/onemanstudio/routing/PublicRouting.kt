@@ -1,17 +1,30 @@
 package se.onemanstudio.routing
 
 import io.ktor.http.*
+import io.ktor.serialization.kotlinx.json.DefaultJson
 import io.ktor.server.application.*
 import io.ktor.server.http.content.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
 import kotlinx.serialization.json.buildJsonObject
 import kotlinx.serialization.json.put
+import se.onemanstudio.api.models.ApiError
+import se.onemanstudio.api.models.admin.AdoptedSession
+import se.onemanstudio.api.models.admin.SessionToken
+import se.onemanstudio.api.models.admin.TrackerClientConfig
 import se.onemanstudio.config.models.AppConfig
+import se.onemanstudio.core.AnalyticsSecurity
 import se.onemanstudio.core.ServiceManager
+import se.onemanstudio.core.resolveWidgetProject
+import se.onemanstudio.middleware.InputValidator
+import se.onemanstudio.middleware.ProxyForwarding
+import se.onemanstudio.middleware.RateLimiter
 import se.onemanstudio.services.GeoLocationService
+import se.onemanstudio.services.TrackerBundler
+import se.onemanstudio.services.TrackerConfigService
+import java.util.UUID
 
-fun Route.publicRoutes(config: AppConfig) {
+fun Route.publicRoutes(config: AppConfig, rateLimiter: RateLimiter) {
     // Prevent favicon 404
     get("/favicon.ico") {
         call.respond(HttpStatusCode.NoContent)
@@ -39,11 +52,71 @@ fun Route.publicRoutes(config: AppConfig) {
     }
 
     // ── Tracker Configuration Endpoint ─────────────────────────────
+    // With a project key: the project's tracker config, revalidated by the tracker with its ETag.
+    // Without one: the server-wide defaults.
     get("/tracker/config") {
-        call.respond(buildJsonObject {
-            put("heartbeatInterval", config.tracker.heartbeatIntervalSeconds)
-            put("spaEnabled", config.tracker.spaTrackingEnabled)
-        })
+        if (call.request.queryParameters["key"] == null) {
+            return@get call.respond(buildJsonObject {
+                put("spaEnabled", config.tracker.spaTrackingEnabled)
+            })
+        }
+        val trackerConfig = resolveWidgetProject(call)?.let { TrackerConfigService.forProject(it, config.tracker) }
+            ?: return@get call.respond(HttpStatusCode.NotFound,
+                ApiError.notFound("Invalid API key"))
+
+        val body = DefaultJson.encodeToString(TrackerClientConfig.serializer(), trackerConfig)
+        val etag = TrackerConfigService.etag(body)
+        call.response.header(HttpHeaders.ETag, etag)
+        call.response.header(HttpHeaders.CacheControl, "no-cache")
+        if (call.request.headers[HttpHeaders.IfNoneMatch]?.split(",")?.any { it.trim() == etag } == true) {
+            return@get call.respond(HttpStatusCode.NotModified)
+        }
+        call.respondText(body, ContentType.Application.Json)
+    }
+
+    // ── Cross-Domain Sessions ──────────────────────────────────────
+    // The server signs the session ID of a tracker about to leave for another domain of the project
+    // (data-cross-domain); the tracker there exchanges the token for the session ID. Tokens are bound
+    // to the visitor hash of the browser that asked for them, so only that browser can redeem one.
+    get("/tracker/session-token") {
+        val (projectId, visitorHash) = call.sessionVisitor(config, rateLimiter) ?: return@get
+        val sessionId = try {
+            InputValidator.validateAndSanitizeSessionId(call.request.queryParameters["sid"] ?: "")
+        } catch (e: IllegalArgumentException) {
+            return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest(e.message ?: "Invalid session ID"))
+        }
+
+        call.response.header(HttpHeaders.CacheControl, "no-store")
+        call.respond(SessionToken(
+            token = AnalyticsSecurity.createSessionToken(sessionId, projectId.toString(), visitorHash),
+            expiresIn = AnalyticsSecurity.SESSION_TOKEN_TTL_SECONDS
+        ))
+    }
+
+    get("/tracker/session") {
+        val (projectId, visitorHash) = call.sessionVisitor(config, rateLimiter) ?: return@get
+        val sessionId = call.request.queryParameters["token"]
+            ?.let { AnalyticsSecurity.verifySessionToken(it, projectId.toString(), visitorHash) }
+            ?: return@get call.respond(HttpStatusCode.BadRequest,
+                ApiError.badRequest("Invalid or expired session token"))
+
+        call.response.header(HttpHeaders.CacheControl, "no-store")
+        call.respond(AdoptedSession(sessionId))
+    }
+
+    // ── Per-Project Tracker Bundle ─────────────────────────────────
+    // The core tracker plus only the modules enabled for the project
+    get("/tracker/bundle.js") {
+        val projectId = resolveWidgetProject(call)
+            ?: return@get call.respond(HttpStatusCode.NotFound,
+                ApiError.notFound("Invalid API key"))
+        val modules = TrackerBundler.forProject(projectId)
+            ?: return@get call.respond(HttpStatusCode.NotFound,
+                ApiError.notFound("Invalid API key"))
+
+        call.response.header(HttpHeaders.CacheControl, "public, max-age=300")
+        call.respondText(TrackerBundler.bundle(modules), ContentType.Application.JavaScript)
     }
 
     // Static resources for setup wizard and tracker
@@ -69,3 +142,22 @@ fun Route.publicRoutes(config: AppConfig) {
         }
     }
 }
+
+/**
+ * Project and visitor hash of the browser behind a session handover request,
+ * computed as `/collect` does and under the same rate limits. Responds with an
+ * error and returns null for a proxy header that does not verify, a visitor or
+ * key over its rate limit, or an invalid API key.
+ */
+private suspend fun ApplicationCall.sessionVisitor(config: AppConfig, rateLimiter: RateLimiter): Pair<UUID, String>? {
+    val (ip, userAgent) = ProxyForwarding.resolve(this, config.tracker.proxySecret) ?: run {
+        respond(HttpStatusCode.Unauthorized, ApiError.unauthorized("Invalid or expired ${ProxyForwarding.HEADER} header"))
+        return null
+    }
+    if (respondIfRateLimited(rateLimiter, ip, request.queryParameters["key"] ?: "")) return null
+    val projectId = resolveWidgetProject(this) ?: run {
+        respond(HttpStatusCode.NotFound, ApiError.notFound("Invalid API key"))
+        return null
+    }
+    return projectId to AnalyticsSecurity.generateVisitorHash(ip, userAgent, projectId.toString())
+}
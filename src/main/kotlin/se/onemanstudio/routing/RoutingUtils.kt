@@ -1,13 +1,19 @@
 package se.onemanstudio.routing
 
+import kotlinx.serialization.json.addJsonObject
+import kotlinx.serialization.json.buildJsonObject
+import kotlinx.serialization.json.put
+import kotlinx.serialization.json.putJsonArray
 import org.jetbrains.exposed.sql.*
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.inList
+import org.jetbrains.exposed.sql.statements.InsertStatement
 import org.jetbrains.exposed.sql.transactions.transaction
 import se.onemanstudio.api.models.admin.SegmentFilter
 import se.onemanstudio.api.models.dashboard.*
 import se.onemanstudio.core.AnalyticsSecurity
 import se.onemanstudio.db.*
+import se.onemanstudio.utils.ErrorAnalysisUtils
 import java.time.LocalDateTime
 import java.util.UUID
 import kotlin.math.roundToInt
@@ -251,6 +257,23 @@ fun generateDemoData(projectId: UUID, count: Int, timeScope: Int = 30): Int {
         "https://example.com/files/report.pdf", "https://example.com/files/data.csv",
         "https://example.com/files/sdk.zip", "https://example.com/files/guide.docx"
     )
+    // Message and top stack frame of demo JavaScript errors
+    val jsErrors = listOf(
+        "TypeError: Cannot read properties of undefined (reading 'id')" to "https://example.com/assets/app.js:412:18",
+        "ReferenceError: analytics is not defined" to "https://example.com/assets/vendor.js:88:3",
+        "Error: Network request failed" to "https://example.com/assets/api.js:57:11",
+        "TypeError: Failed to fetch" to null
+    )
+    // Fields of the demo checkout form, in focus order
+    val checkoutFields = listOf("email", "name", "address", "card", "expiry", "cvc")
+    // Demo media assets: name, kind and duration in seconds
+    val mediaAssets = listOf(Triple("product-tour", "video", 94), Triple("podcast-ep-12", "audio", 1860))
+    // CSS selector paths of demo rage and dead clicks
+    val frustrationTargets = listOf(
+        "button#apply-coupon", "main > div.pricing > span.badge", "nav > ul > li:nth-of-type(3)", "img.hero-image"
+    )
+    // Site search terms with the number of results they return
+    val searchTerms = listOf("pricing" to 4, "api key" to 2, "export csv" to 1, "dark mode" to 0, "sso" to 0)
 
     val random = java.util.Random()
     val now = LocalDateTime.now()
@@ -306,30 +329,42 @@ fun generateDemoData(projectId: UUID, count: Int, timeScope: Int = 30): Int {
                     path = paths.filter { it != firstPath }.random()
                     customEventName = null
                 } else {
-                    eventType = "heartbeat"
+                    eventType = "engagement"
                     path = firstPath
                     customEventName = null
                 }
 
                 val coords = city?.let { cityCoordinates[it] }
-                Events.insert {
-                    it[Events.projectId] = projectId
-                    it[Events.visitorHash] = visitorHash
-                    it[Events.sessionId] = sessionId
-                    it[Events.eventType] = eventType
+
+                // Every event of this page shares the visitor, session and location columns
+                fun insertEvent(type: String, at: LocalDateTime, columns: (InsertStatement<Number>) -> Unit = {}) {
+                    Events.insert {
+                        it[Events.projectId] = projectId
+                        it[Events.visitorHash] = visitorHash
+                        it[Events.sessionId] = sessionId
+                        it[Events.eventType] = type
+                        it[Events.path] = path
+                        it[Events.country] = country
+                        it[Events.city] = city
+                        it[Events.browser] = browser
+                        it[Events.os] = os
+                        it[Events.device] = device
+                        it[Events.region] = regions[country]?.random()
+                        it[Events.latitude] = coords?.first
+                        it[Events.longitude] = coords?.second
+                        it[Events.timestamp] = at
+                        columns(it)
+                    }
+                }
+
+                insertEvent(eventType, currentTimestamp) {
                     it[Events.eventName] = customEventName
-                    it[Events.path] = path
                     it[Events.referrer] = if (isFirstEvent) referrer else null
-                    it[Events.country] = country
-                    it[Events.city] = city
-                    it[Events.browser] = browser
-                    it[Events.os] = os
-                    it[Events.device] = device
-                    it[Events.duration] = if (eventType == "heartbeat") 30 else 0
-                    it[Events.timestamp] = currentTimestamp
-                    it[Events.region] = regions[country]?.random()
-                    it[Events.latitude] = coords?.first
-                    it[Events.longitude] = coords?.second
+                    if (eventType == "engagement") {
+                        val engagedMs = 5_000L + random.nextInt(175_000)
+                        it[Events.engagedMs] = engagedMs
+                        it[Events.duration] = (engagedMs / 1000).toInt()
+                    }
                     if (eventType == "pageview" && isFirstEvent) {
                         it[Events.utmSource] = utmSources.random()
                         it[Events.utmMedium] = utmMediums.random()
@@ -362,47 +397,139 @@ fun generateDemoData(projectId: UUID, count: Int, timeScope: Int = 30): Int {
                     val maxScroll = scrollDepths[random.nextInt(scrollDepths.size)]
                     for (depth in scrollDepths) {
                         if (depth > maxScroll || remaining <= 0) break
-                        Events.insert {
-                            it[Events.projectId] = projectId
-                            it[Events.visitorHash] = visitorHash
-                            it[Events.sessionId] = sessionId
-                            it[Events.eventType] = "scroll"
-                            it[Events.path] = path
-                            it[Events.country] = country
-                            it[Events.city] = city
-                            it[Events.browser] = browser
-                            it[Events.os] = os
-                            it[Events.device] = device
+                        insertEvent("scroll", currentTimestamp.plusSeconds(depth.toLong())) {
                             it[Events.scrollDepth] = depth
-                            it[Events.region] = regions[country]?.random()
-                            it[Events.latitude] = coords?.first
-                            it[Events.longitude] = coords?.second
-                            it[Events.timestamp] = currentTimestamp.plusSeconds(depth.toLong())
+                            it[Events.properties] = """{"ms":${depth * 400L + random.nextInt(3000)}}"""
+                        }
+                        inserted++
+                        remaining--
+                    }
+                }
+
+                if (eventType == "pageview" && random.nextDouble() < 0.5 && remaining > 0) {
+                    // Mobile devices load noticeably slower in real-user data
+                    val slowdown = if (device == "Mobile") 1.6 else 1.0
+                    val lcp = ((800 + random.nextInt(2400)) * slowdown).roundToInt()
+                    val fcp = ((300 + random.nextInt(1200)) * slowdown).roundToInt()
+                    val inp = ((40 + random.nextInt(400)) * slowdown).roundToInt()
+                    val ttfb = 80 + random.nextInt(600)
+                    val cls = random.nextInt(300) / 1000.0
+                    insertEvent("vitals", currentTimestamp.plusSeconds(10)) {
+                        it[Events.properties] = """{"lcp":$lcp,"fcp":$fcp,"inp":$inp,"cls":$cls,"ttfb":$ttfb}"""
+                    }
+                    inserted++
+                    remaining--
+                }
+
+                if (eventType == "pageview" && random.nextDouble() < 0.04 && remaining > 0) {
+                    // Skewed towards the first errors so the report has a clear top error
+                    val (message, frame) = jsErrors[minOf(random.nextInt(jsErrors.size), random.nextInt(jsErrors.size))]
+                    val kind = if (frame == null) "unhandledrejection" else "error"
+                    insertEvent("error", currentTimestamp.plusSeconds(5)) {
+                        it[Events.eventName] = ErrorAnalysisUtils.fingerprint(message, frame)
+                        it[Events.properties] = buildJsonObject {
+                            put("message", message)
+                            if (frame != null) put("frame", frame)
+                            put("kind", kind)
+                        }.toString()
+                    }
+                    inserted++
+                    remaining--
+                }
+
+                if (eventType == "pageview" && random.nextDouble() < 0.05 && remaining > 0) {
+                    // Checkout form: each field loses some visitors, most who reach the end submit
+                    var reached = 1
+                    while (reached < checkoutFields.size && random.nextDouble() < 0.8) reached++
+                    val submitted = reached == checkoutFields.size && random.nextDouble() < 0.85
+                    val fields = checkoutFields.take(reached)
+                    insertEvent("form", currentTimestamp.plusSeconds(20)) {
+                        it[Events.eventName] = "checkout"
+                        it[Events.properties] = buildJsonObject {
+                            put("outcome", if (submitted) "submitted" else "abandoned")
+                            putJsonArray("fields") {
+                                fields.forEach { field ->
+                                    addJsonObject {
+                                        put("name", field)
+                                        put("ms", 1500 + random.nextInt(9000))
+                                    }
+                                }
+                            }
+                            put("last", fields.last())
+                        }.toString()
+                    }
+                    inserted++
+                    remaining--
+                }
+
+                if (isFirstEvent && random.nextDouble() < 0.6 && remaining > 0) {
+                    // Hero call-to-action seen on landing; its click is the "signup" custom event
+                    insertEvent("impression", currentTimestamp.plusSeconds(2)) {
+                        it[Events.eventName] = "hero-cta"
+                        it[Events.properties] = buildJsonObject { put("event", "signup") }.toString()
+                    }
+                    inserted++
+                    remaining--
+                }
+
+                if (eventType == "pageview" && random.nextDouble() < 0.08 && remaining > 0) {
+                    // One play: some listeners drop off at each milestone, watch time follows the furthest one
+                    val (media, kind, seconds) = mediaAssets.random()
+                    val milestones = listOf(25, 50, 75, 100).takeWhile { random.nextDouble() < 0.75 }
+                    val watchedMs = seconds * 10L * (milestones.lastOrNull() ?: 10)
+                    val actions = listOf(buildJsonObject {
+                        put("action", "play")
+                        put("kind", kind)
+                        put("duration", seconds)
+                    }) + milestones.map { percent ->
+                        buildJsonObject {
+                            put("action", "progress")
+                            put("percent", percent)
+                        }
+                    } + buildJsonObject {
+                        put("action", "watch")
+                        put("ms", watchedMs)
+                    }
+                    actions.forEachIndexed { index, properties ->
+                        if (remaining <= 0) return@forEachIndexed
+                        insertEvent("media", currentTimestamp.plusSeconds(5L + index * seconds / 4)) {
+                            it[Events.eventName] = media
+                            it[Events.properties] = properties.toString()
                         }
                         inserted++
                         remaining--
                     }
                 }
 
+                if (eventType == "pageview" && random.nextDouble() < 0.04 && remaining > 0) {
+                    val rage = random.nextBoolean()
+                    insertEvent(if (rage) "rage_click" else "dead_click", currentTimestamp.plusSeconds(12)) {
+                        it[Events.properties] = buildJsonObject {
+                            put("selector", frustrationTargets.random())
+                            if (rage) put("clicks", 3 + random.nextInt(5))
+                        }.toString()
+                    }
+                    inserted++
+                    remaining--
+                }
+
+                if (eventType == "pageview" && random.nextDouble() < 0.05 && remaining > 0) {
+                    val (term, results) = searchTerms.random()
+                    insertEvent("search", currentTimestamp.plusSeconds(3)) {
+                        it[Events.properties] = buildJsonObject {
+                            put("term", term)
+                            put("results", results)
+                        }.toString()
+                    }
+                    inserted++
+                    remaining--
+                }
+
                 if (!isFirstEvent && random.nextDouble() < 0.1 && remaining > 0) {
                     val isDownload = random.nextBoolean()
-                    Events.insert {
-                        it[Events.projectId] = projectId
-                        it[Events.visitorHash] = visitorHash
-                        it[Events.sessionId] = sessionId
-                        it[Events.eventType] = if (isDownload) "download" else "outbound"
+                    insertEvent(if (isDownload) "download" else "outbound", currentTimestamp.plusSeconds(5)) {
                         it[Events.eventName] = if (isDownload) "report.pdf" else "github.com"
-                        it[Events.path] = path
-                        it[Events.country] = country
-                        it[Events.city] = city
-                        it[Events.browser] = browser
-                        it[Events.os] = os
-                        it[Events.device] = device
                         it[Events.targetUrl] = if (isDownload) downloadUrls.random() else outboundUrls.random()
-                        it[Events.region] = regions[country]?.random()
-                        it[Events.latitude] = coords?.first
-                        it[Events.longitude] = coords?.second
-                        it[Events.timestamp] = currentTimestamp.plusSeconds(5)
                     }
                     inserted++
                     remaining--
@@ -0,0 +1,126 @@
+package se.onemanstudio.services
+
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import org.slf4j.LoggerFactory
+import se.onemanstudio.db.Projects
+import java.io.File
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Builds the tracker scripts served to websites.
+ *
+ * `tracker/tracker.js` is a core plus feature modules, each between a
+ * `// @module <name>` and an `// @end` line. [minify] turns the whole file
+ * into `tracker.min.js` (the `minifyTracker` Gradle task runs [main]), and
+ * [bundle] builds the script for one project from the core and the modules
+ * enabled for it, served at `/tracker/bundle.js`.
+ *
+ * Both are plain text transformations of the source, so the output only
+ * changes when the source does; a test checks that the committed
+ * `tracker.min.js` matches `tracker.js`.
+ */
+object TrackerBundler {
+
+    /** Modules in source order */
+    val MODULES = listOf(
+        "scroll", "forms", "downloads", "outbound", "frustration", "impressions", "media", "errors", "vitals", "spa"
+    )
+
+    /** Modules of a new project: those tracker.min.js runs without an opt-in attribute */
+    val DEFAULT_MODULES = setOf("scroll", "downloads", "outbound", "impressions", "media", "spa")
+
+    private const val SOURCE = "tracker/tracker.js"
+    private val MODULE_START = Regex("""^\s*// @module ([a-z]+)\s*$""")
+    private val MODULE_END = Regex("""^\s*// @end\s*$""")
+
+    // In a project bundle, opt-in modules run unless their attribute is "false"
+    private const val BUNDLE_FLAG = "var projectBundle = false;"
+    private const val BUNDLE_FLAG_ON = "var projectBundle = true;"
+
+    /** Project bundles by module set; the source only changes with a new release */
+    private val bundleCache = ConcurrentHashMap<Set<String>, String>()
+
+    /**
+     * Strip comments and collapse whitespace. Line comments run to the end of
+     * the line, so the source must not contain `//` in strings or regular expressions.
+     */
+    fun minify(source: String): String = source
+        .replace(Regex("/\\*\\*.*?\\*/", RegexOption.DOT_MATCHES_ALL), "") // strip block comments
+        .replace(Regex("//.*"), "")             // strip line comments
+        .replace(Regex("\\s*\n\\s*"), "\n")     // collapse line whitespace
+        .replace(Regex("\n+"), "\n")             // collapse blank lines
+        .trim()
+
+    /**
+     * The core of the source plus the given modules, without module markers.
+     * With [projectBundle], the opt-in modules that are kept run without their attribute.
+     *
+     * @throws IllegalStateException when the module markers are unbalanced or name an unknown module
+     */
+    fun assemble(source: String, modules: Set<String>, projectBundle: Boolean): String {
+        val kept = mutableListOf<String>()
+        var module: String? = null
+        for ((index, line) in source.lines().withIndex()) {
+            val start = MODULE_START.matchEntire(line)?.groupValues?.get(1)
+            when {
+                start != null -> {
+                    check(module == null) { "Line ${index + 1}: module $start starts inside module $module" }
+                    check(start in MODULES) { "Line ${index + 1}: unknown module $start" }
+                    module = start
+                }
+                MODULE_END.matches(line) -> {
+                    check(module != null) { "Line ${index + 1}: @end outside a module" }
+                    module = null
+                }
+                module == null || module in modules -> kept.add(line)
+            }
+        }
+        check(module == null) { "Module $module is not closed" }
+
+        val assembled = kept.joinToString("\n")
+        if (!projectBundle) return assembled
+        check(assembled.contains(BUNDLE_FLAG)) { "$BUNDLE_FLAG not found in the tracker source" }
+        return assembled.replace(BUNDLE_FLAG, BUNDLE_FLAG_ON)
+    }
+
+    /**
+     * Minified tracker for a project with the given modules (unknown names are ignored)
+     */
+    fun bundle(modules: Set<String>): String {
+        val key = MODULES.filter { it in modules }.toSet()
+        return bundleCache.getOrPut(key) { minify(assemble(loadSource(), key, projectBundle = true)) }
+    }
+
+    private fun loadSource(): String =
+        TrackerBundler::class.java.classLoader.getResource(SOURCE)?.readText()
+            ?: error("$SOURCE not found on the classpath")
+
+    /**
+     * Parse a comma-separated module list, ignoring unknown names
+     */
+    fun parseModules(value: String?): Set<String> =
+        value.orEmpty().split(",").map { it.trim() }.filter { it in MODULES }.toSet()
+
+    /**
+     * Modules enabled for a project, or null when the project does not exist
+     */
+    fun forProject(projectId: UUID): Set<String>? = transaction {
+        Projects.selectAll().where { Projects.id eq projectId }.singleOrNull()
+            ?.let { parseModules(it[Projects.trackerModules]) }
+    }
+}
+
+private val logger = LoggerFactory.getLogger("TrackerBundler")
+
+/**
+ * Standalone entry point that writes tracker.min.js from tracker.js
+ * Invoked by Gradle task: ./gradlew minifyTracker
+ */
+fun main(args: Array<String>) {
+    val source = File(args.getOrElse(0) { "src/main/resources/tracker/tracker.js" }).readText()
+    val minified = TrackerBundler.minify(source)
+    File(args.getOrElse(1) { "src/main/resources/tracker/tracker.min.js" }).writeText(minified)
+    logger.info("tracker.min.js: ${minified.length} bytes (from ${source.length} bytes)")
+}
@@ -0,0 +1,141 @@
+package se.onemanstudio.services
+
+import org.jetbrains.exposed.sql.ResultRow
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.TrackerClientConfig
+import se.onemanstudio.api.models.admin.TrackerSettings
+import se.onemanstudio.config.models.TrackerConfig
+import se.onemanstudio.db.Projects
+import se.onemanstudio.middleware.PathNormalizer
+import java.security.MessageDigest
+import java.util.UUID
+
+/**
+ * Per-project tracker behaviour, edited in the dashboard and served to the
+ * tracker at `/tracker/config?key=`.
+ *
+ * The tracker keeps the last config in `localStorage` and revalidates it
+ * with its ETag once per session, so a change reaches visitors without the
+ * site redeploying its script tag. Script attributes still override it on a
+ * single page.
+ */
+object TrackerConfigService {
+
+    const val MAX_EXCLUDED_PATHS = 50
+    const val MAX_PATTERN_LENGTH = 200
+    const val MAX_EXTENSIONS = 40
+    const val MAX_INTERNAL_DOMAINS = 20
+    const val MAX_DOWNLOAD_PATTERNS = 20
+
+    /** Extensions of a new project, the list the tracker used before it was configurable */
+    val DEFAULT_DOWNLOAD_EXTENSIONS = listOf(
+        "pdf", "zip", "xls", "xlsx", "doc", "docx", "ppt", "pptx", "csv", "rar",
+        "7z", "tar", "gz", "dmg", "exe", "mp3", "mp4", "avi", "mov"
+    )
+
+    // A path starting with `/`, without whitespace, query or fragment; `*` matches anything
+    private val PATH_PATTERN_REGEX = Regex("^/[^\\s?#]*$")
+    private val EXTENSION_REGEX = Regex("^[a-z0-9]{1,10}$")
+    // Host name: dot-separated labels of letters, digits and inner hyphens
+    private val DOMAIN_REGEX = Regex("^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$")
+
+    /**
+     * Trim entries, lowercase extensions and domains, drop the leading dot of
+     * extensions, a leading `*.` of domains, and duplicates
+     */
+    fun normalize(settings: TrackerSettings): TrackerSettings = settings.copy(
+        excludedPaths = settings.excludedPaths.map { it.trim() }.filter { it.isNotEmpty() }.distinct(),
+        downloadExtensions = settings.downloadExtensions.map { it.trim().removePrefix(".").lowercase() }
+            .filter { it.isNotEmpty() }.distinct(),
+        internalDomains = settings.internalDomains.map { it.trim().lowercase().removePrefix("*.").removePrefix(".") }
+            .filter { it.isNotEmpty() }.distinct(),
+        downloadPatterns = settings.downloadPatterns.map { it.trim() }.filter { it.isNotEmpty() }.distinct()
+    )
+
+    /**
+     * Validate normalized settings before they are stored.
+     * Returns the error messages, empty when the settings are valid.
+     */
+    fun validate(settings: TrackerSettings): List<String> {
+        val errors = mutableListOf<String>()
+        if (settings.sampleRate !in 1..100) {
+            errors.add("Sample rate must be between 1 and 100 percent")
+        }
+        if (settings.excludedPaths.size > MAX_EXCLUDED_PATHS) {
+            errors.add("At most $MAX_EXCLUDED_PATHS excluded paths are allowed")
+        }
+        settings.excludedPaths.filter { it.length > MAX_PATTERN_LENGTH || !PATH_PATTERN_REGEX.matches(it) }.forEach {
+            errors.add("Invalid excluded path: ${it.take(MAX_PATTERN_LENGTH)}. Use a path starting with /, e.g. /admin/*")
+        }
+        if (settings.downloadExtensions.size > MAX_EXTENSIONS) {
+            errors.add("At most $MAX_EXTENSIONS download extensions are allowed")
+        }
+        settings.downloadExtensions.filter { !EXTENSION_REGEX.matches(it) }.forEach {
+            errors.add("Invalid download extension: ${it.take(MAX_PATTERN_LENGTH)}. Use up to 10 letters or digits")
+        }
+        if (settings.internalDomains.size > MAX_INTERNAL_DOMAINS) {
+            errors.add("At most $MAX_INTERNAL_DOMAINS internal domains are allowed")
+        }
+        settings.internalDomains.filter { it.length > MAX_PATTERN_LENGTH || !DOMAIN_REGEX.matches(it) }.forEach {
+            errors.add("Invalid internal domain: ${it.take(MAX_PATTERN_LENGTH)}. Use a host name, e.g. example.com")
+        }
+        if (settings.downloadPatterns.size > MAX_DOWNLOAD_PATTERNS) {
+            errors.add("At most $MAX_DOWNLOAD_PATTERNS download patterns are allowed")
+        }
+        settings.downloadPatterns.filter { it.length > MAX_PATTERN_LENGTH || !PATH_PATTERN_REGEX.matches(it) }.forEach {
+            errors.add("Invalid download pattern: ${it.take(MAX_PATTERN_LENGTH)}. Use a path starting with /, e.g. /download/*")
+        }
+        return errors
+    }
+
+    /**
+     * Stored settings of a project, or null when the project does not exist
+     */
+    fun load(projectId: UUID): TrackerSettings? = transaction {
+        Projects.selectAll().where { Projects.id eq projectId }.singleOrNull()?.let { toSettings(it) }
+    }
+
+    private fun toSettings(row: ResultRow) = TrackerSettings(
+        hashRouting = row[Projects.hashRouting],
+        excludedPaths = row[Projects.excludedPaths].lines().filter { it.isNotBlank() },
+        downloadExtensions = row[Projects.downloadExtensions].split(",").filter { it.isNotBlank() },
+        sampleRate = row[Projects.sampleRate],
+        internalDomains = row[Projects.internalDomains].split(",").filter { it.isNotBlank() },
+        downloadPatterns = row[Projects.downloadPatterns].lines().filter { it.isNotBlank() }
+    )
+
+    /**
+     * Config served to the tracker, with server defaults filled in, or null when the project does not exist
+     */
+    fun forProject(projectId: UUID, defaults: TrackerConfig): TrackerClientConfig? {
+        val (settings, modules) = transaction {
+            Projects.selectAll().where { Projects.id eq projectId }.singleOrNull()
+                ?.let { toSettings(it) to TrackerBundler.parseModules(it[Projects.trackerModules]) }
+        } ?: return null
+
+        val spaMode = when {
+            !defaults.spaTrackingEnabled || "spa" !in modules -> "off"
+            settings.hashRouting -> "hash"
+            else -> "history"
+        }
+        return TrackerClientConfig(
+            spaMode = spaMode,
+            modules = TrackerBundler.MODULES.filter { it in modules },
+            excludedPaths = settings.excludedPaths,
+            downloadExtensions = settings.downloadExtensions,
+            sampleRate = settings.sampleRate,
+            internalDomains = settings.internalDomains,
+            downloadPatterns = settings.downloadPatterns,
+            pathRules = PathNormalizer.toConfig(PathNormalizer.forProject(projectId))
+        )
+    }
+
+    /**
+     * Strong ETag of a serialized config
+     */
+    fun etag(body: String): String {
+        val digest = MessageDigest.getInstance("SHA-256").digest(body.toByteArray())
+        return "\"" + digest.take(16).joinToString("") { "%02x".format(it) } + "\""
+    }
+}
@@ -187,6 +187,42 @@ object WebhookTrigger {
         }
     }
 
+    /**
+     * Fire `new_error` webhooks for the first occurrence of a JavaScript error fingerprint.
+     * Called from /collect after the error event was stored.
+     */
+    fun fireNewError(
+        projectId: UUID,
+        fingerprint: String,
+        message: String,
+        frame: String?,
+        path: String
+    ) {
+        val errorWebhooks = getActiveWebhooks(projectId).filter { "new_error" in it.events }
+        if (errorWebhooks.isEmpty()) return
+
+        val payload = buildJsonObject {
+            put("event", "new_error")
+            put("projectId", projectId.toString())
+            put("fingerprint", fingerprint)
+            put("message", message)
+            if (frame != null) put("frame", frame)
+            put("path", path)
+            put("timestamp", LocalDateTime.now().toString())
+        }.toString()
+
+        for (webhook in errorWebhooks) {
+            WebhookService.deliverAsync(
+                webhookId = webhook.id,
+                url = webhook.url,
+                secret = webhook.secret,
+                eventType = "new_error",
+                payload = payload
+            )
+        }
+        logger.debug("Fired new_error webhook for error $fingerprint on project $projectId")
+    }
+
     /** Invalidate cached webhooks for a project (call when webhooks are created/deleted) */
     fun invalidateProject(projectId: String) {
         webhookCache.invalidate(projectId)
@@ -16,6 +16,9 @@
  * if it already completed steps 1 … N-1 and the matching event happened
  * **after** the previous step's event timestamp. This produces drop-off
  * rates and average time-between-steps for each stage.
+ *
+ * Session counts of both are scaled up from sampled sessions (see
+ * [samplingFactor]); conversion and drop-off rates are left as measured.
  */
 package se.onemanstudio.utils
 
@@ -35,7 +38,7 @@ import kotlin.collections.iterator
 
 /**
  * Calculate conversions for a single goal within a time period.
- * Returns a pair of (conversion count, conversion rate as percentage).
+ * Returns a pair of (conversion count scaled up from sampled sessions, conversion rate as percentage).
  */
 fun calculateGoalConversions(
     goalType: String,
@@ -68,7 +71,7 @@ fun calculateGoalConversions(
     }
 
     val rate = (convertedSessions.toDouble() / totalSessions) * 100.0
-    return Pair(convertedSessions.toLong(), rate)
+    return Pair(scaleCount(convertedSessions.toLong(), samplingFactor(events.map { it[Events.sampleRate] })), rate)
 }
 
 /**
@@ -180,6 +183,7 @@ fun analyzeFunnel(
             .mapValues { (_, events) -> events.sortedBy { it[Events.timestamp] } }
 
         val totalSessions = sessionEvents.size.toLong()
+        val factor = samplingFactor(events.map { it[Events.sampleRate] })
 
         // Track which sessions make it through each step
         // For each session, find the timestamp of the event that matched the step
@@ -244,7 +248,7 @@ fun analyzeFunnel(
                 FunnelStepAnalysis(
                     stepNumber = stepNumber,
                     name = step[FunnelSteps.name],
-                    sessions = sessionsAtStep,
+                    sessions = scaleCount(sessionsAtStep, factor),
                     conversionRate = conversionRate,
                     dropOffRate = dropOffRate,
                     avgTimeFromPrevious = avgTime
@@ -256,7 +260,7 @@ fun analyzeFunnel(
 
         FunnelAnalysis(
             funnel = funnelResponse,
-            totalSessions = totalSessions,
+            totalSessions = scaleCount(totalSessions, factor),
             steps = stepAnalyses
         )
     }
@@ -17,14 +17,31 @@
  *   days, or weeks depending on the selected filter and returns a list of
  *   [TimeSeriesPoint] used by the trend line chart on the dashboard.
  *
+ * - **Views**: only `pageview` events count as views, in the totals, the
+ *   time series and the page and audience breakdowns. A page also sends
+ *   engagement, vitals, scroll and other events, which would otherwise
+ *   count it several times.
+ *
+ * - **Engaged time** ([sessionEngagedMs]): the sum of the `engagement`
+ *   events of a session, each carrying the exact milliseconds the page was
+ *   visible, focused and in recent use. Sessions recorded before engagement
+ *   tracking fall back to 30 s per legacy heartbeat.
+ *
+ * - **Sampling** ([samplingFactor]): events of sampled sessions carry
+ *   their sample rate and stand for `100 / sampleRate` events, so counts
+ *   are scaled up and the report is marked `estimated`. Rates (bounce,
+ *   conversion) and averages are left as measured. The feature reports
+ *   (goals, funnels, revenue, search, downloads, …) scale their counts by
+ *   the factor of the events they are built from.
+ *
  * - **Bounce rate** ([calculateBounceRate]): a session is "bounced" if it
- *   contains only one unique page AND has no heartbeat events (meaning the
- *   visitor left within the first heartbeat interval, typically 30 s).
+ *   contains only one unique page AND was engaged for less than
+ *   [ENGAGED_SESSION_MS] (see [isBounced]).
  *
  * - **Full report** ([generateReport]): the heavyweight function that
  *   assembles a [ProjectReport] with 20+ breakdowns (top pages, browsers,
  *   OS, devices, referrers, countries, regions, UTM, scroll depth, session
- *   metrics, outbound links, file downloads, custom events, activity
+ *   metrics, outbound links, email and phone links, file downloads, custom events, activity
  *   heatmap, peak-time analysis, and overall conversion rate).
  *
  * - **Heatmap / calendar** ([generateActivityHeatmap],
@@ -107,21 +124,98 @@ fun generateTimeSeries(
             }
         }
 
-        // Create time series points
+        // Create time series points, scaling sampled events up to an estimate of all traffic
         grouped.map { (timestamp, groupedEvents) ->
+            val views = groupedEvents.filter { it[Events.eventType] == "pageview" }
+                .sumOf { sampleWeight(it[Events.sampleRate]) }
+            val visitors = groupedEvents.map { it[Events.visitorHash] }.distinct().size.toLong()
+            val factor = groupedEvents.sumOf { sampleWeight(it[Events.sampleRate]) } / groupedEvents.size
             TimeSeriesPoint(
                 timestamp = timestamp.toString(),
-                views = groupedEvents.size.toLong(),
-                uniqueVisitors = groupedEvents.map { it[Events.visitorHash] }.distinct().size.toLong()
+                views = Math.round(views),
+                uniqueVisitors = scaleCount(visitors, factor)
             )
         }.sortedBy { it.timestamp }
     }
 }
 
+/**
+ * Number of events a stored event stands for: `100 / sampleRate` for sampled sessions, 1 otherwise
+ */
+private fun sampleWeight(sampleRate: Int?): Double =
+    if (sampleRate != null && sampleRate in 1..99) 100.0 / sampleRate else 1.0
+
+/**
+ * Average factor that scales stored counts up to an estimate of all traffic,
+ * from the number of events stored per sample rate (null = not sampled).
+ * Returns 1.0 when nothing was sampled.
+ */
+fun samplingFactor(countsByRate: Map<Int?, Long>): Double {
+    val total = countsByRate.values.sum()
+    if (total == 0L) return 1.0
+    return countsByRate.entries.sumOf { (rate, count) -> count * sampleWeight(rate) } / total
+}
+
+/**
+ * Sampling factor of already loaded events, from their sample rates; see [samplingFactor]
+ */
+fun samplingFactor(rates: Iterable<Int?>): Double =
+    samplingFactor(rates.groupingBy { it }.eachCount().mapValues { it.value.toLong() })
+
+/**
+ * Sampling factor of the events matching [condition], see [samplingFactor].
+ * Must be called within an existing transaction.
+ */
+fun samplingFactor(condition: Op<Boolean>): Double {
+    val countCol = Events.id.count()
+    return samplingFactor(
+        Events.select(Events.sampleRate, countCol).where { condition }
+            .groupBy(Events.sampleRate)
+            .associate { it[Events.sampleRate] to it[countCol] }
+    )
+}
+
+/**
+ * Scale a stored count by a [samplingFactor]
+ */
+fun scaleCount(count: Long, factor: Double): Long = if (factor == 1.0) count else Math.round(count * factor)
+
+/**
+ * Breakdown entries scaled by a [samplingFactor]
+ */
+fun List<StatEntry>.scaled(factor: Double): List<StatEntry> =
+    if (factor == 1.0) this else map { it.copy(value = scaleCount(it.value, factor)) }
+
+
+/** Single-page sessions engaged for at least this long are not counted as bounces */
+const val ENGAGED_SESSION_MS = 10_000L
+
+/** Interval of the legacy heartbeat events, in milliseconds */
+private const val LEGACY_HEARTBEAT_MS = 30_000L
+
+/**
+ * Total engaged time of a session in milliseconds.
+ * Sessions without `engagement` events are estimated from their legacy heartbeats.
+ */
+fun sessionEngagedMs(sessionEvents: List<ResultRow>): Long {
+    val engagement = sessionEvents.filter { it[Events.eventType] == "engagement" }
+    return if (engagement.isNotEmpty()) {
+        engagement.sumOf { it[Events.engagedMs] ?: 0L }
+    } else {
+        sessionEvents.count { it[Events.eventType] == "heartbeat" } * LEGACY_HEARTBEAT_MS
+    }
+}
+
+/**
+ * A session bounced when it viewed a single page and was engaged for less than [ENGAGED_SESSION_MS]
+ */
+fun isBounced(sessionEvents: List<ResultRow>): Boolean {
+    val uniquePages = sessionEvents.map { it[Events.path] }.distinct().size
+    return uniquePages == 1 && sessionEngagedMs(sessionEvents) < ENGAGED_SESSION_MS
+}
 
 /**
- * Calculate bounce rate for a project within a time range.
- * A bounced session = only 1 unique page viewed AND no heartbeat events (left within 30s).
+ * Calculate bounce rate for a project within a time range, see [isBounced].
  * Must be called within an existing transaction.
  */
 fun calculateBounceRate(id: UUID, start: LocalDateTime, end: LocalDateTime): Double {
@@ -133,11 +227,7 @@ fun calculateBounceRate(id: UUID, start: LocalDateTime, end: LocalDateTime): Dou
     val sessions = events.groupBy { it[Events.sessionId] }
     if (sessions.isEmpty()) return 0.0
 
-    val bouncedSessions = sessions.count { (_, sessionEvents) ->
-        val uniquePages = sessionEvents.map { it[Events.path] }.distinct().size
-        val hasHeartbeat = sessionEvents.any { it[Events.eventType] == "heartbeat" }
-        uniquePages == 1 && !hasHeartbeat
-    }
+    val bouncedSessions = sessions.count { (_, sessionEvents) -> isBounced(sessionEvents) }
 
     return (bouncedSessions.toDouble() / sessions.size) * 100.0
 }
@@ -150,12 +240,15 @@ fun calculateBounceRate(id: UUID, start: LocalDateTime, end: LocalDateTime): Dou
  * Results are cached by [se.onemanstudio.middleware.QueryCache] at the routing layer for 30 seconds.
  *
  * Internally it builds a `baseQuery` (project + time filter) and reuses
- * it via `.copy()` and `.adjustSelect()` to avoid redundant WHERE clauses.
- * The helper `getBreakdown(col)` produces a generic top-10 bar-chart
- * breakdown for any column (path, browser, OS, device, referrer, country).
+ * it via `.copy()` and `.adjustSelect()` to avoid redundant WHERE clauses;
+ * `viewsQuery` narrows it to pageviews. The helper `getBreakdown(col)`
+ * produces a generic top-10 bar-chart breakdown of pageviews for any column
+ * (path, browser, OS, device, referrer, country).
  *
  * Session-level metrics (avg duration, entry/exit pages, conversion rate)
  * are computed by grouping the full event list by `sessionId` in memory.
+ * When the period contains sampled events every count is scaled by the
+ * period's [samplingFactor] and the report is marked `estimated`.
  *
  * @param id    Project UUID.
  * @param start Inclusive start of the reporting window.
@@ -168,16 +261,23 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
             (Events.projectId eq id) and (Events.timestamp greaterEq start) and (Events.timestamp lessEq end)
         }
 
-        val totalViews = baseQuery.count()
+        val allEvents = baseQuery.copy().toList()
+        val factor = samplingFactor(allEvents.map { it[Events.sampleRate] })
+
+        val viewsQuery = baseQuery.copy().andWhere { Events.eventType eq "pageview" }
+        val totalViews = scaleCount(viewsQuery.count(), factor)
 
-        val uniqueVisitors = baseQuery.copy()
-            .adjustSelect { this.select(Events.visitorHash) }
-            .withDistinct()
-            .count()
+        val uniqueVisitors = scaleCount(
+            baseQuery.copy()
+                .adjustSelect { this.select(Events.visitorHash) }
+                .withDistinct()
+                .count(),
+            factor
+        )
 
         fun getBreakdown(col: Column<*>): List<StatEntry> {
             val countCol = col.count()
-            return baseQuery.copy()
+            return viewsQuery.copy()
                 .adjustSelect { this.select(col, countCol) }
                 .groupBy(col)
                 .orderBy(countCol, SortOrder.DESC)
@@ -220,15 +320,11 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
             .map { StatEntry("${it[Events.scrollDepth]}%", it[scrollDepthCountCol]) }
 
         // Session metrics: count, duration, entry/exit pages, conversion rate
-        val allEvents = baseQuery.copy().toList()
         val sessions = allEvents.groupBy { it[Events.sessionId] }
         val totalSessions = sessions.size.toLong()
 
         val avgSessionDuration = if (sessions.isNotEmpty()) {
-            sessions.values.map { sessionEvents ->
-                val heartbeats = sessionEvents.count { it[Events.eventType] == "heartbeat" }
-                (heartbeats * 30).toLong() // 30s heartbeat interval
-            }.average()
+            sessions.values.map { sessionEngagedMs(it) / 1000.0 }.average()
         } else 0.0
 
         // Entry pages: first pageview per session
@@ -264,6 +360,19 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
             .limit(10)
             .map { StatEntry(it[Events.targetUrl] ?: "Unknown", it[outboundCountCol]) }
 
+        // Email and phone links (mailto: and tel:)
+        val contactCountCol = Events.targetUrl.count()
+        val contactLinks = Events.select(Events.targetUrl, contactCountCol).where {
+            (Events.projectId eq id) and
+            (Events.timestamp greaterEq start) and
+            (Events.timestamp lessEq end) and
+            (Events.eventType inList listOf("mailto", "tel")) and
+            Events.targetUrl.isNotNull()
+        }.groupBy(Events.targetUrl)
+            .orderBy(contactCountCol, SortOrder.DESC)
+            .limit(10)
+            .map { StatEntry(it[Events.targetUrl] ?: "Unknown", it[contactCountCol]) }
+
         // File downloads
         val downloadCountCol = Events.targetUrl.count()
         val fileDownloads = Events.select(Events.targetUrl, downloadCountCol).where {
@@ -279,7 +388,7 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
 
         // Regions/states — include country for context
         val regionCountCol = Events.region.count()
-        val regions = baseQuery.copy()
+        val regions = viewsQuery.copy()
             .adjustSelect { this.select(Events.country, Events.region, regionCountCol) }
             .groupBy(Events.country, Events.region)
             .orderBy(regionCountCol, SortOrder.DESC)
@@ -298,14 +407,14 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
         ProjectReport(
             totalViews = totalViews,
             uniqueVisitors = uniqueVisitors,
-            topPages = getBreakdown(Events.path),
-            browsers = getBreakdown(Events.browser),
-            oss = getBreakdown(Events.os),
-            devices = getBreakdown(Events.device),
-            referrers = getBreakdown(Events.referrer),
-            countries = getBreakdown(Events.country),
-            customEvents = customEvents,
-            lastVisits = baseQuery.copy()
+            topPages = getBreakdown(Events.path).scaled(factor),
+            browsers = getBreakdown(Events.browser).scaled(factor),
+            oss = getBreakdown(Events.os).scaled(factor),
+            devices = getBreakdown(Events.device).scaled(factor),
+            referrers = getBreakdown(Events.referrer).scaled(factor),
+            countries = getBreakdown(Events.country).scaled(factor),
+            customEvents = customEvents.scaled(factor),
+            lastVisits = viewsQuery.copy()
                 .orderBy(Events.timestamp, SortOrder.DESC)
                 .limit(10)
                 .map {
@@ -319,18 +428,20 @@ fun generateReport(id: UUID, start: LocalDateTime, end: LocalDateTime): ProjectR
             activityHeatmap = activityHeatmap,
             peakTimeAnalysis = peakTimeAnalysis,
             bounceRate = bounceRate,
-            utmSources = utmSources,
-            utmMediums = utmMediums,
-            utmCampaigns = utmCampaigns,
-            scrollDepthDistribution = scrollDepthDistribution,
-            totalSessions = totalSessions,
+            utmSources = utmSources.scaled(factor),
+            utmMediums = utmMediums.scaled(factor),
+            utmCampaigns = utmCampaigns.scaled(factor),
+            scrollDepthDistribution = scrollDepthDistribution.scaled(factor),
+            totalSessions = scaleCount(totalSessions, factor),
             avgSessionDuration = avgSessionDuration,
-            entryPages = entryPages,
-            exitPages = exitPages,
-            outboundLinks = outboundLinks,
-            fileDownloads = fileDownloads,
-            regions = regions,
-            conversionRate = conversionRate
+            entryPages = entryPages.scaled(factor),
+            exitPages = exitPages.scaled(factor),
+            outboundLinks = outboundLinks.scaled(factor),
+            contactLinks = contactLinks.scaled(factor),
+            fileDownloads = fileDownloads.scaled(factor),
+            regions = regions.scaled(factor),
+            conversionRate = conversionRate,
+            estimated = factor > 1.0
         )
     }
 }
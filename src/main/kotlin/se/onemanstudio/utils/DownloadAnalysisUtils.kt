@@ -0,0 +1,148 @@
+package se.onemanstudio.utils
+
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.StatEntry
+import se.onemanstudio.api.models.admin.DownloadFileStats
+import se.onemanstudio.api.models.admin.DownloadReport
+import se.onemanstudio.db.Events
+import java.net.URI
+import java.net.URISyntaxException
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * File download analytics.
+ *
+ * `download` events come from links with one of the project's download
+ * extensions or matching one of its download patterns (`/download/*`). The
+ * event name is the file name and `targetUrl` the link. Downloads are grouped
+ * by the link without its query string, so signed or cache-busting URLs of the
+ * same file count together, and attributed to the page the link was clicked on
+ * and to the referrer of the visit (from the session's first pageview).
+ */
+object DownloadAnalysisUtils {
+
+    private const val MAX_FILES = 20
+    private const val MAX_SOURCES = 5
+    private const val MAX_SOURCES_TOTAL = 10
+
+    /**
+     * One `download` event
+     */
+    data class DownloadEvent(
+        val sessionId: String,
+        val visitorHash: String,
+        val file: String,
+        val url: String,
+        val path: String,
+        val timestamp: LocalDateTime
+    )
+
+    /**
+     * Link without query string and fragment
+     */
+    fun fileUrl(targetUrl: String): String = targetUrl.substringBefore('#').substringBefore('?')
+
+    /**
+     * Domain of a referrer URL without `www.`, or "Direct" without a referrer
+     */
+    fun referrerLabel(referrer: String?): String {
+        if (referrer.isNullOrBlank()) return "Direct"
+        return try {
+            URI(referrer).host?.removePrefix("www.") ?: referrer
+        } catch (_: URISyntaxException) {
+            referrer
+        }
+    }
+
+    private fun top(values: List<String>, limit: Int): List<StatEntry> =
+        values.groupingBy { it }.eachCount()
+            .map { (label, count) -> StatEntry(label, count.toLong()) }
+            .sortedByDescending { it.value }
+            .take(limit)
+
+    /**
+     * Build the report from download events and the referrer label of each session
+     */
+    fun buildReport(events: List<DownloadEvent>, sessionReferrers: Map<String, String>): DownloadReport {
+        fun referrer(event: DownloadEvent) = sessionReferrers[event.sessionId] ?: "Direct"
+
+        val files = events.groupBy { fileUrl(it.url) }.map { (url, downloads) ->
+            DownloadFileStats(
+                // The most recent name, in case the tracker's naming changed within the period
+                file = downloads.maxBy { it.timestamp }.file,
+                url = url,
+                downloads = downloads.size.toLong(),
+                visitors = downloads.map { it.visitorHash }.toSet().size.toLong(),
+                sourcePages = top(downloads.map { it.path }, MAX_SOURCES),
+                referrers = top(downloads.map { referrer(it) }, MAX_SOURCES)
+            )
+        }.sortedByDescending { it.downloads }
+
+        return DownloadReport(
+            totalDownloads = events.size.toLong(),
+            uniqueFiles = files.size.toLong(),
+            visitors = events.map { it.visitorHash }.toSet().size.toLong(),
+            files = files.take(MAX_FILES),
+            sourcePages = top(events.map { it.path }, MAX_SOURCES_TOTAL),
+            referrers = top(events.map { referrer(it) }, MAX_SOURCES_TOTAL)
+        )
+    }
+
+    /**
+     * Counts scaled by a [samplingFactor]; the number of distinct files is left as measured
+     */
+    private fun DownloadReport.scaled(factor: Double): DownloadReport = if (factor == 1.0) this else copy(
+        totalDownloads = scaleCount(totalDownloads, factor),
+        visitors = scaleCount(visitors, factor),
+        files = files.map {
+            it.copy(
+                downloads = scaleCount(it.downloads, factor),
+                visitors = scaleCount(it.visitors, factor),
+                sourcePages = it.sourcePages.scaled(factor),
+                referrers = it.referrers.scaled(factor)
+            )
+        },
+        sourcePages = sourcePages.scaled(factor),
+        referrers = referrers.scaled(factor)
+    )
+
+    /**
+     * File downloads report for a project in a time period
+     */
+    fun calculateDownloads(projectId: UUID, start: LocalDateTime, end: LocalDateTime): DownloadReport {
+        return transaction {
+            val rows = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "download")
+            }.toList()
+            val events = rows.mapNotNull { row ->
+                val url = row[Events.targetUrl] ?: return@mapNotNull null
+                DownloadEvent(
+                    sessionId = row[Events.sessionId],
+                    visitorHash = row[Events.visitorHash],
+                    file = row[Events.eventName] ?: fileUrl(url).substringAfterLast('/'),
+                    url = url,
+                    path = row[Events.path],
+                    timestamp = row[Events.timestamp]
+                )
+            }
+            val sessions = events.map { it.sessionId }.toSet()
+            // A visit that started before the period still has its referrer on its first pageview
+            val referrers = if (sessions.isEmpty()) emptyMap() else {
+                Events.selectAll().where {
+                    (Events.projectId eq projectId) and
+                    (Events.timestamp lessEq end) and
+                    (Events.eventType eq "pageview") and
+                    (Events.sessionId inList sessions)
+                }.groupBy { it[Events.sessionId] }
+                    .mapValues { (_, rows) -> referrerLabel(rows.minBy { it[Events.timestamp] }[Events.referrer]) }
+            }
+            buildReport(events, referrers).scaled(samplingFactor(rows.map { it[Events.sampleRate] }))
+        }
+    }
+}
@@ -0,0 +1,179 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.insertIgnore
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.StatEntry
+import se.onemanstudio.api.models.admin.ErrorGroup
+import se.onemanstudio.api.models.admin.ErrorReport
+import se.onemanstudio.db.ErrorFingerprints
+import se.onemanstudio.db.Events
+import java.security.MessageDigest
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * JavaScript error analytics.
+ *
+ * With `data-track-errors="true"` the tracker reports uncaught errors and
+ * unhandled promise rejections as `error` events whose properties JSON holds
+ * the message and the top stack frame, e.g.
+ * `{"message":"x is not defined","frame":"https://example.com/app.js:12:5","kind":"error"}`.
+ *
+ * The server groups errors by a [fingerprint] of message and top frame and
+ * stores it as the event name, so [calculateErrors] can rank errors and break
+ * them down by page, browser and OS. The first occurrence of a fingerprint is
+ * detected by [recordFingerprint] (see the `new_error` webhook).
+ */
+object ErrorAnalysisUtils {
+
+    private const val MAX_ERRORS = 20
+    private const val MAX_BREAKDOWN = 10
+    private const val FINGERPRINT_LENGTH = 16
+
+    // Query string and fragment of the script URL in a stack frame (cache busters, tokens)
+    private val FRAME_QUERY_REGEX = Regex("[?#][^\\s:]*")
+    private val WHITESPACE_REGEX = Regex("\\s+")
+
+    /**
+     * Message, top stack frame and kind (`error` or `unhandledrejection`) of an error event
+     */
+    data class ErrorDetails(
+        val message: String,
+        val frame: String?,
+        val kind: String?
+    )
+
+    /**
+     * Parse an error event's properties JSON. Returns null when no message is present.
+     */
+    fun parseError(properties: String?): ErrorDetails? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+
+        fun field(name: String) = (json[name] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull
+        val message = field("message")?.takeIf { it.isNotBlank() } ?: return null
+        return ErrorDetails(message, field("frame")?.takeIf { it.isNotBlank() }, field("kind"))
+    }
+
+    /**
+     * Stable fingerprint of an error: the same message thrown from the same
+     * top frame always maps to the same 16-character hex ID, regardless of
+     * whitespace, the "Uncaught " prefix some browsers add, or query strings
+     * on the script URL.
+     */
+    fun fingerprint(message: String, frame: String?): String {
+        val normalizedMessage = message.trim().removePrefix("Uncaught ").replace(WHITESPACE_REGEX, " ")
+        val normalizedFrame = frame?.trim()?.replace(FRAME_QUERY_REGEX, "") ?: ""
+        return MessageDigest.getInstance("SHA-256")
+            .digest("$normalizedMessage\n$normalizedFrame".toByteArray())
+            .joinToString("") { "%02x".format(it) }
+            .take(FINGERPRINT_LENGTH)
+    }
+
+    /**
+     * Remember that [fingerprint] occurred in a project. Returns true only for
+     * the request that recorded it first: the insert is ignored when the row
+     * exists, so concurrent reports of a new error cannot all count as new.
+     * Errors stored before fingerprints were recorded are looked up in the
+     * events, so they are not reported as new again.
+     * Must be called within a transaction, before the error event is stored.
+     */
+    fun recordFingerprint(projectId: UUID, fingerprint: String, seenAt: LocalDateTime): Boolean {
+        val recorded = ErrorFingerprints.insertIgnore {
+            it[ErrorFingerprints.projectId] = projectId
+            it[ErrorFingerprints.fingerprint] = fingerprint
+            it[firstSeen] = seenAt
+        }.insertedCount > 0
+        return recorded && Events.selectAll().where {
+            (Events.projectId eq projectId) and
+            (Events.eventType eq "error") and
+            (Events.eventName eq fingerprint)
+        }.limit(1).empty()
+    }
+
+    private fun <T> topEntries(items: List<T>, key: (T) -> String?): List<StatEntry> =
+        items.groupingBy { key(it) ?: "Unknown" }.eachCount()
+            .entries.sortedByDescending { it.value }
+            .take(MAX_BREAKDOWN)
+            .map { StatEntry(it.key, it.value.toLong()) }
+
+    private fun mostCommon(values: List<String?>): String? =
+        values.filterNotNull().groupingBy { it }.eachCount().maxByOrNull { it.value }?.key
+
+    private data class ErrorRow(
+        val fingerprint: String,
+        val details: ErrorDetails,
+        val sessionId: String,
+        val path: String,
+        val browser: String?,
+        val os: String?,
+        val timestamp: LocalDateTime
+    )
+
+    /**
+     * Error report for a project in a time period: the [MAX_ERRORS] most frequent
+     * errors, plus error counts by page, browser and OS.
+     */
+    fun calculateErrors(projectId: UUID, start: LocalDateTime, end: LocalDateTime): ErrorReport {
+        return transaction {
+            val events = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "error")
+            }.toList()
+            val factor = samplingFactor(events.map { it[Events.sampleRate] })
+            fun scale(count: Int) = scaleCount(count.toLong(), factor).toInt()
+
+            val rows = events.mapNotNull { row ->
+                val details = parseError(row[Events.properties]) ?: return@mapNotNull null
+                ErrorRow(
+                    fingerprint = row[Events.eventName] ?: fingerprint(details.message, details.frame),
+                    details = details,
+                    sessionId = row[Events.sessionId],
+                    path = row[Events.path],
+                    browser = row[Events.browser],
+                    os = row[Events.os],
+                    timestamp = row[Events.timestamp]
+                )
+            }
+
+            val groups = rows.groupBy { it.fingerprint }.map { (fingerprint, group) ->
+                val latest = group.maxBy { it.timestamp }
+                ErrorGroup(
+                    fingerprint = fingerprint,
+                    message = latest.details.message,
+                    frame = latest.details.frame,
+                    occurrences = scale(group.size),
+                    sessions = scale(group.map { it.sessionId }.distinct().size),
+                    firstSeen = group.minOf { it.timestamp }.toString(),
+                    lastSeen = latest.timestamp.toString(),
+                    topPage = mostCommon(group.map { it.path }) ?: latest.path,
+                    topBrowser = mostCommon(group.map { it.browser }),
+                    topOs = mostCommon(group.map { it.os })
+                )
+            }.sortedByDescending { it.occurrences }
+
+            ErrorReport(
+                totalErrors = scale(rows.size),
+                uniqueErrors = groups.size,
+                affectedSessions = scale(rows.map { it.sessionId }.distinct().size),
+                errors = groups.take(MAX_ERRORS),
+                pages = topEntries(rows) { it.path }.scaled(factor),
+                browsers = topEntries(rows) { it.browser }.scaled(factor),
+                os = topEntries(rows) { it.os }.scaled(factor)
+            )
+        }
+    }
+}
@@ -0,0 +1,142 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonArray
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import kotlinx.serialization.json.doubleOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.FormFieldStats
+import se.onemanstudio.api.models.admin.FormReport
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Form analytics.
+ *
+ * With `data-track-forms="true"` the tracker watches forms marked with
+ * `data-mn-form="checkout"` and sends one `form` event per form and page,
+ * named after the form, once it is submitted or abandoned (the visitor
+ * navigated away after focusing at least one field). Its properties JSON
+ * lists the fields in the order they were first focused, with the time spent
+ * in each, and the last field touched, e.g.
+ * `{"outcome":"abandoned","fields":[{"name":"email","ms":3200},{"name":"card","ms":8100}],"last":"card"}`.
+ * Field values are never recorded.
+ *
+ * [calculateForms] turns these into a drop-off report per form: how many
+ * interactions reached each field, how many were abandoned at it and how long
+ * visitors spent in it, with fields ordered by their average focus position.
+ */
+object FormAnalysisUtils {
+
+    private const val MAX_FORMS = 10
+    private const val MAX_FIELDS = 20
+
+    /**
+     * One submitted or abandoned form interaction
+     */
+    data class FormInteraction(
+        val submitted: Boolean,
+        val fields: List<Pair<String, Double>>, // Field name to milliseconds, in focus order
+        val last: String?
+    )
+
+    /**
+     * Parse a form event's properties JSON. Returns null when the outcome is missing.
+     */
+    fun parseInteraction(properties: String?): FormInteraction? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+
+        fun string(element: Any?) = (element as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull
+        val outcome = string(json["outcome"])?.takeIf { it == "submitted" || it == "abandoned" } ?: return null
+        val fields = (json["fields"] as? JsonArray).orEmpty().mapNotNull { field ->
+            val name = string((field as? JsonObject)?.get("name")) ?: return@mapNotNull null
+            val ms = ((field as? JsonObject)?.get("ms") as? JsonPrimitive)?.doubleOrNull ?: 0.0
+            name to ms
+        }
+        return FormInteraction(outcome == "submitted", fields, string(json["last"]))
+    }
+
+    private fun percent(part: Long, total: Long): Double =
+        if (total > 0) (part.toDouble() / total) * 100.0 else 0.0
+
+    /**
+     * Drop-off report for one form's interactions
+     */
+    fun buildReport(form: String, interactions: List<FormInteraction>): FormReport {
+        val total = interactions.size.toLong()
+        val submissions = interactions.count { it.submitted }.toLong()
+        val abandoned = interactions.filterNot { it.submitted }
+
+        val fieldNames = interactions.flatMap { i -> i.fields.map { it.first } }.distinct()
+        val fields = fieldNames.map { name ->
+            val reached = interactions.filter { i -> i.fields.any { it.first == name } }
+            val positions = reached.map { i -> i.fields.indexOfFirst { it.first == name } }
+            val times = reached.map { i -> i.fields.first { it.first == name }.second }
+            val abandonments = abandoned.count { it.last == name }.toLong()
+            positions.average() to FormFieldStats(
+                field = name,
+                interactions = reached.size.toLong(),
+                reachRate = percent(reached.size.toLong(), total),
+                abandonments = abandonments,
+                dropOffRate = percent(abandonments, reached.size.toLong()),
+                avgTimeMs = times.average()
+            )
+        }.sortedWith(compareBy<Pair<Double, FormFieldStats>> { it.first }.thenByDescending { it.second.interactions })
+            .map { it.second }
+            .take(MAX_FIELDS)
+
+        return FormReport(
+            form = form,
+            interactions = total,
+            submissions = submissions,
+            abandonments = abandoned.size.toLong(),
+            completionRate = percent(submissions, total),
+            fields = fields
+        )
+    }
+
+    /**
+     * Counts scaled by a [samplingFactor]; rates and times are left as measured
+     */
+    private fun FormReport.scaled(factor: Double): FormReport = if (factor == 1.0) this else copy(
+        interactions = scaleCount(interactions, factor),
+        submissions = scaleCount(submissions, factor),
+        abandonments = scaleCount(abandonments, factor),
+        fields = fields.map {
+            it.copy(interactions = scaleCount(it.interactions, factor), abandonments = scaleCount(it.abandonments, factor))
+        }
+    )
+
+    /**
+     * Form reports for a project in a time period, for the [MAX_FORMS] forms with the most interactions
+     */
+    fun calculateForms(projectId: UUID, start: LocalDateTime, end: LocalDateTime): List<FormReport> {
+        return transaction {
+            val rows = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "form")
+            }.toList()
+            val factor = samplingFactor(rows.map { it[Events.sampleRate] })
+            rows.mapNotNull { row ->
+                val form = row[Events.eventName] ?: return@mapNotNull null
+                parseInteraction(row[Events.properties])?.let { form to it }
+            }.groupBy({ it.first }, { it.second })
+                .map { (form, interactions) -> buildReport(form, interactions).scaled(factor) }
+                .sortedByDescending { it.interactions }
+                .take(MAX_FORMS)
+        }
+    }
+}
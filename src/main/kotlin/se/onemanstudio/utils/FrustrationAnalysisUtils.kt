@@ -0,0 +1,124 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.FrustrationElement
+import se.onemanstudio.api.models.admin.FrustrationPage
+import se.onemanstudio.api.models.admin.FrustrationReport
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Frustration signal analytics.
+ *
+ * With `data-track-frustration="true"` the tracker reports `rage_click` events
+ * (three or more clicks within a second close to each other) and `dead_click`
+ * events (a click on a non-interactive element after which the page neither
+ * changed nor navigated within a second). Both carry the CSS selector path of
+ * the clicked element in their properties, e.g.
+ * `{"selector":"main > div.pricing > span:nth-of-type(2)","clicks":4}`.
+ *
+ * [calculateFrustration] ranks pages and elements by their number of signals.
+ */
+object FrustrationAnalysisUtils {
+
+    private const val MAX_PAGES = 10
+    private const val MAX_ELEMENTS = 20
+
+    /**
+     * One rage or dead click
+     */
+    data class FrustrationSignal(
+        val rage: Boolean,
+        val path: String,
+        val selector: String,
+        val sessionId: String
+    )
+
+    /**
+     * The CSS selector from a rage or dead click's properties JSON, if any
+     */
+    fun parseSelector(properties: String?): String? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+        return (json["selector"] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull?.takeIf { it.isNotBlank() }
+    }
+
+    /**
+     * Totals, plus pages and elements ranked by rage and dead clicks combined
+     */
+    fun buildReport(signals: List<FrustrationSignal>): FrustrationReport {
+        fun rageCount(group: List<FrustrationSignal>) = group.count { it.rage }.toLong()
+        fun sessionCount(group: List<FrustrationSignal>) = group.map { it.sessionId }.toSet().size.toLong()
+
+        val pages = signals.groupBy { it.path }.map { (path, group) ->
+            FrustrationPage(path, rageCount(group), group.size - rageCount(group), sessionCount(group))
+        }.sortedWith(compareByDescending<FrustrationPage> { it.rageClicks + it.deadClicks }.thenByDescending { it.sessions })
+
+        val elements = signals.groupBy { it.path to it.selector }.map { (key, group) ->
+            FrustrationElement(key.first, key.second, rageCount(group), group.size - rageCount(group), sessionCount(group))
+        }.sortedWith(compareByDescending<FrustrationElement> { it.rageClicks + it.deadClicks }.thenByDescending { it.sessions })
+
+        return FrustrationReport(
+            rageClicks = rageCount(signals),
+            deadClicks = signals.size - rageCount(signals),
+            affectedSessions = sessionCount(signals),
+            pages = pages.take(MAX_PAGES),
+            elements = elements.take(MAX_ELEMENTS)
+        )
+    }
+
+    /**
+     * Counts scaled by a [samplingFactor]
+     */
+    private fun FrustrationReport.scaled(factor: Double): FrustrationReport = if (factor == 1.0) this else copy(
+        rageClicks = scaleCount(rageClicks, factor),
+        deadClicks = scaleCount(deadClicks, factor),
+        affectedSessions = scaleCount(affectedSessions, factor),
+        pages = pages.map {
+            it.copy(
+                rageClicks = scaleCount(it.rageClicks, factor),
+                deadClicks = scaleCount(it.deadClicks, factor),
+                sessions = scaleCount(it.sessions, factor)
+            )
+        },
+        elements = elements.map {
+            it.copy(
+                rageClicks = scaleCount(it.rageClicks, factor),
+                deadClicks = scaleCount(it.deadClicks, factor),
+                sessions = scaleCount(it.sessions, factor)
+            )
+        }
+    )
+
+    /**
+     * Frustration report for a project in a time period
+     */
+    fun calculateFrustration(projectId: UUID, start: LocalDateTime, end: LocalDateTime): FrustrationReport {
+        return transaction {
+            val rows = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType inList listOf("rage_click", "dead_click"))
+            }.toList()
+            val signals = rows.mapNotNull { row ->
+                parseSelector(row[Events.properties])?.let { selector ->
+                    FrustrationSignal(row[Events.eventType] == "rage_click", row[Events.path], selector, row[Events.sessionId])
+                }
+            }
+            buildReport(signals).scaled(samplingFactor(rows.map { it[Events.sampleRate] }))
+        }
+    }
+}
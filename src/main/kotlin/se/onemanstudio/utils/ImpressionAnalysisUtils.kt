@@ -0,0 +1,84 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.ImpressionStats
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Element impression analytics.
+ *
+ * The tracker sends one `impression` event per pageview for each element with
+ * `data-mn-impression="hero-cta"` once at least half of it has been visible
+ * for a second, named after the attribute. When the element also has
+ * `data-mn-event="signup"`, the impression's properties carry that click event
+ * name (`{"event":"signup"}`), and [calculateImpressions] reports how many of
+ * the sessions that saw the element also sent that click event.
+ */
+object ImpressionAnalysisUtils {
+
+    private const val MAX_ELEMENTS = 20
+
+    /**
+     * Click event name from an impression's properties JSON, if any
+     */
+    fun parseClickEvent(properties: String?): String? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+        return (json["event"] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull?.takeIf { it.isNotBlank() }
+    }
+
+    /**
+     * Impressions and impression-to-click rates for the [MAX_ELEMENTS] most seen elements
+     */
+    fun calculateImpressions(projectId: UUID, start: LocalDateTime, end: LocalDateTime): List<ImpressionStats> {
+        return transaction {
+            fun eventsOfType(type: String) = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq type) and
+                Events.eventName.isNotNull()
+            }
+
+            val impressions = eventsOfType("impression").toList()
+            val factor = samplingFactor(impressions.map { it[Events.sampleRate] })
+            val clickEvents = impressions.mapNotNull { parseClickEvent(it[Events.properties]) }.toSet()
+
+            // Sessions that sent each click event
+            val clickSessions: Map<String, Set<String>> = if (clickEvents.isEmpty()) emptyMap() else {
+                eventsOfType("custom")
+                    .filter { it[Events.eventName] in clickEvents }
+                    .groupBy({ it[Events.eventName].orEmpty() }, { it[Events.sessionId] })
+                    .mapValues { it.value.toSet() }
+            }
+
+            impressions.groupBy { it[Events.eventName].orEmpty() }.map { (element, rows) ->
+                val sessions = rows.map { it[Events.sessionId] }.toSet()
+                val clickEvent = rows.asReversed().firstNotNullOfOrNull { parseClickEvent(it[Events.properties]) }
+                val clicked = clickEvent?.let { event -> sessions.count { it in clickSessions[event].orEmpty() } } ?: 0
+                ImpressionStats(
+                    element = element,
+                    impressions = scaleCount(rows.size.toLong(), factor),
+                    sessions = scaleCount(sessions.size.toLong(), factor),
+                    clickEvent = clickEvent,
+                    clickedSessions = scaleCount(clicked.toLong(), factor),
+                    clickRate = clickEvent?.let { (clicked.toDouble() / sessions.size) * 100.0 }
+                )
+            }.sortedByDescending { it.impressions }
+                .take(MAX_ELEMENTS)
+        }
+    }
+}
@@ -0,0 +1,125 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import kotlinx.serialization.json.doubleOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.MediaStats
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Media engagement analytics.
+ *
+ * The tracker sends `media` events for `<video>` and `<audio>` elements with
+ * `data-mn-media="intro"`, named after the attribute (or the file name). The
+ * properties JSON holds the action:
+ * - `{"action":"play","kind":"video","duration":94}` when playback starts
+ *   (resuming after a pause is not a new play; a replay is)
+ * - `{"action":"pause","position":41}` when it is paused before the end
+ * - `{"action":"progress","percent":50}` at 25, 50, 75 and 100% of each play
+ * - `{"action":"watch","ms":38200}` with the time spent playing, once per page
+ *
+ * [calculateMedia] reports plays, milestone reach, completion rate and watch
+ * time per media asset.
+ */
+object MediaAnalysisUtils {
+
+    private const val MAX_MEDIA = 20
+
+    /**
+     * One media event's properties
+     */
+    data class MediaAction(
+        val action: String,
+        val kind: String? = null,
+        val percent: Int? = null,
+        val ms: Double? = null
+    )
+
+    /**
+     * Parse a media event's properties JSON. Returns null when the action is missing.
+     */
+    fun parseAction(properties: String?): MediaAction? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+
+        fun string(name: String) = (json[name] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull
+        fun number(name: String) = (json[name] as? JsonPrimitive)?.takeUnless { it.isString }?.doubleOrNull
+        val action = string("action") ?: return null
+        return MediaAction(action, string("kind"), number("percent")?.toInt(), number("ms"))
+    }
+
+    private fun percent(part: Long, total: Long): Double =
+        if (total > 0) ((part.toDouble() / total) * 100.0).coerceAtMost(100.0) else 0.0
+
+    /**
+     * Stats for one media asset from its events, given as session ID to action
+     */
+    fun buildStats(media: String, events: List<Pair<String, MediaAction>>): MediaStats {
+        val plays = events.filter { it.second.action == "play" }
+        fun reached(milestone: Int) =
+            events.count { it.second.action == "progress" && it.second.percent == milestone }.toLong()
+        val completions = reached(100)
+        val totalWatchMs = events.filter { it.second.action == "watch" }.sumOf { it.second.ms ?: 0.0 }.toLong()
+
+        return MediaStats(
+            media = media,
+            kind = plays.lastOrNull { it.second.kind != null }?.second?.kind,
+            plays = plays.size.toLong(),
+            sessions = plays.map { it.first }.toSet().size.toLong(),
+            reached25 = reached(25),
+            reached50 = reached(50),
+            reached75 = reached(75),
+            completions = completions,
+            completionRate = percent(completions, plays.size.toLong()),
+            totalWatchMs = totalWatchMs,
+            avgWatchMs = if (plays.isNotEmpty()) totalWatchMs.toDouble() / plays.size else 0.0
+        )
+    }
+
+    /**
+     * Counts and the total watch time scaled by a [samplingFactor]; rates and averages are left as measured
+     */
+    private fun MediaStats.scaled(factor: Double): MediaStats = if (factor == 1.0) this else copy(
+        plays = scaleCount(plays, factor),
+        sessions = scaleCount(sessions, factor),
+        reached25 = scaleCount(reached25, factor),
+        reached50 = scaleCount(reached50, factor),
+        reached75 = scaleCount(reached75, factor),
+        completions = scaleCount(completions, factor),
+        totalWatchMs = scaleCount(totalWatchMs, factor)
+    )
+
+    /**
+     * Media stats for a project in a time period, for the [MAX_MEDIA] assets with the most plays
+     */
+    fun calculateMedia(projectId: UUID, start: LocalDateTime, end: LocalDateTime): List<MediaStats> {
+        return transaction {
+            val rows = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "media")
+            }.toList()
+            val factor = samplingFactor(rows.map { it[Events.sampleRate] })
+            rows.mapNotNull { row ->
+                val media = row[Events.eventName] ?: return@mapNotNull null
+                parseAction(row[Events.properties])?.let { media to (row[Events.sessionId] to it) }
+            }.groupBy({ it.first }, { it.second })
+                .map { (media, events) -> buildStats(media, events).scaled(factor) }
+                .sortedByDescending { it.plays }
+                .take(MAX_MEDIA)
+        }
+    }
+}
@@ -36,6 +36,9 @@ import kotlin.math.roundToInt
  *   "purchase" vs "subscription" vs "upgrade").
  * - [calculateRevenueAttribution] — which referrer / UTM source drove the
  *   most revenue, with per-source conversion rates.
+ *
+ * Revenue, transactions and visitors from sampled sessions are scaled up
+ * (see [samplingFactor]); averages and conversion rates are left as measured.
  */
 object RevenueAnalysisUtils {
 
@@ -82,20 +85,27 @@ object RevenueAnalysisUtils {
                 (Events.eventType eq "custom") and
                 Events.properties.isNotNull()
             }.mapNotNull { row ->
-                extractRevenue(row[Events.properties])
+                extractRevenue(row[Events.properties])?.let { it to row[Events.sampleRate] }
             }
 
-            val totalRevenue = events.sum()
-            val transactions = events.size.toLong()
-            val aov = if (transactions > 0) totalRevenue / transactions else 0.0
+            // Revenue and counts are scaled up from sampled sessions, averages are not
+            val factor = samplingFactor(events.map { it.second })
+            val sampledRevenue = events.sumOf { it.first }
+            val totalRevenue = sampledRevenue * factor
+            val transactions = scaleCount(events.size.toLong(), factor)
+            val aov = if (events.isNotEmpty()) sampledRevenue / events.size else 0.0
 
             // Unique visitors in period for revenue-per-visitor
-            val uniqueVisitors = Events.selectAll().where {
+            val pageviews = Events.selectAll().where {
                 (Events.projectId eq projectId) and
                 (Events.timestamp greaterEq start) and
                 (Events.timestamp lessEq end) and
                 (Events.eventType eq "pageview")
-            }.map { it[Events.visitorHash] }.toSet().size.toLong()
+            }.toList()
+            val uniqueVisitors = scaleCount(
+                pageviews.map { it[Events.visitorHash] }.toSet().size.toLong(),
+                samplingFactor(pageviews.map { it[Events.sampleRate] })
+            )
 
             val rpv = if (uniqueVisitors > 0) totalRevenue / uniqueVisitors else 0.0
 
@@ -111,16 +121,17 @@ object RevenueAnalysisUtils {
                 (Events.eventType eq "custom") and
                 Events.properties.isNotNull()
             }.mapNotNull { row ->
-                extractRevenue(row[Events.properties])
+                extractRevenue(row[Events.properties])?.let { it to row[Events.sampleRate] }
             }
+            val prevFactor = samplingFactor(prevEvents.map { it.second })
 
             RevenueStats(
                 totalRevenue = (totalRevenue * 100.0).roundToInt() / 100.0,
                 transactions = transactions,
                 averageOrderValue = (aov * 100.0).roundToInt() / 100.0,
                 revenuePerVisitor = (rpv * 100.0).roundToInt() / 100.0,
-                previousRevenue = (prevEvents.sum() * 100.0).roundToInt() / 100.0,
-                previousTransactions = prevEvents.size.toLong()
+                previousRevenue = (prevEvents.sumOf { it.first } * prevFactor * 100.0).roundToInt() / 100.0,
+                previousTransactions = scaleCount(prevEvents.size.toLong(), prevFactor)
             )
         }
     }
@@ -139,17 +150,20 @@ object RevenueAnalysisUtils {
                 Events.eventName.isNotNull()
             }.toList()
 
-            rows.mapNotNull { row ->
+            val revenueRows = rows.mapNotNull { row ->
                 val revenue = extractRevenue(row[Events.properties]) ?: return@mapNotNull null
-                Triple(row[Events.eventName] ?: "unknown", revenue, 1)
-            }.groupBy { it.first }
+                Triple(row[Events.eventName] ?: "unknown", revenue, row[Events.sampleRate])
+            }
+            val factor = samplingFactor(revenueRows.map { it.third })
+
+            revenueRows.groupBy { it.first }
                 .map { (name, entries) ->
                     val totalRev = entries.sumOf { it.second }
                     val count = entries.size.toLong()
                     RevenueByEvent(
                         eventName = name,
-                        revenue = (totalRev * 100.0).roundToInt() / 100.0,
-                        transactions = count,
+                        revenue = (totalRev * factor * 100.0).roundToInt() / 100.0,
+                        transactions = scaleCount(count, factor),
                         avgValue = ((totalRev / count) * 100.0).roundToInt() / 100.0
                     )
                 }
@@ -173,10 +187,11 @@ object RevenueAnalysisUtils {
                 Events.properties.isNotNull()
             }.mapNotNull { row ->
                 val rev = extractRevenue(row[Events.properties]) ?: return@mapNotNull null
-                row[Events.sessionId] to rev
+                Triple(row[Events.sessionId], rev, row[Events.sampleRate])
             }
 
             if (revenueEvents.isEmpty()) return@transaction emptyList()
+            val factor = samplingFactor(revenueEvents.map { it.third })
 
             val revenueSessions = revenueEvents.map { it.first }.toSet()
 
@@ -218,8 +233,8 @@ object RevenueAnalysisUtils {
                 val totalSessions = totalSessionsBySource[source] ?: 1
                 RevenueAttribution(
                     source = source,
-                    revenue = (totalRev * 100.0).roundToInt() / 100.0,
-                    transactions = txns,
+                    revenue = (totalRev * factor * 100.0).roundToInt() / 100.0,
+                    transactions = scaleCount(txns, factor),
                     avgValue = ((totalRev / txns) * 100.0).roundToInt() / 100.0,
                     conversionRate = ((txns.toDouble() / totalSessions) * 10000.0).roundToInt() / 100.0
                 )
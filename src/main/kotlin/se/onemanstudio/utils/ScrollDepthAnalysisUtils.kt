@@ -0,0 +1,98 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.longOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.count
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.PageScrollDepth
+import se.onemanstudio.api.models.admin.ScrollThresholdStats
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Scroll-depth analytics per path.
+ *
+ * The tracker sends one `scroll` event per page and threshold (25, 50, 75 and
+ * 100% unless the site sets `data-scroll-thresholds`), with the depth in
+ * `scrollDepth` and the engaged time it took to get there in the properties:
+ * `{"ms":4200}`. Events from older trackers have no properties.
+ *
+ * [calculateScrollDepth] reports, for the paths with the most pageviews, the
+ * share of pageviews that reached each threshold and the median time to reach it.
+ */
+object ScrollDepthAnalysisUtils {
+
+    private const val MAX_PATHS = 20
+
+    /**
+     * One `scroll` event: the threshold reached on a path, and after how long
+     */
+    data class ScrollSample(val path: String, val depth: Int, val ms: Long? = null)
+
+    /**
+     * Time to reach the threshold from a scroll event's properties JSON, when present
+     */
+    fun parseMs(properties: String?): Long? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        }
+        return (json?.get("ms") as? JsonPrimitive)?.takeUnless { it.isString }?.longOrNull?.takeIf { it >= 0 }
+    }
+
+    private fun percent(part: Long, total: Long): Double =
+        if (total > 0) ((part.toDouble() / total) * 100.0).coerceAtMost(100.0) else 0.0
+
+    /**
+     * Distribution of one path from its pageview count and scroll events
+     */
+    fun buildStats(path: String, pageviews: Long, samples: List<ScrollSample>): PageScrollDepth {
+        val thresholds = samples.groupBy { it.depth }.toSortedMap().map { (depth, reached) ->
+            val times = reached.mapNotNull { it.ms?.toDouble() }.sorted()
+            ScrollThresholdStats(
+                depth = depth,
+                reached = reached.size.toLong(),
+                reachRate = percent(reached.size.toLong(), pageviews),
+                medianMs = times.takeIf { it.isNotEmpty() }?.let { VitalsAnalysisUtils.percentile(it, 50.0).toLong() }
+            )
+        }
+        return PageScrollDepth(path, pageviews, thresholds)
+    }
+
+    /**
+     * Scroll-depth distribution of the [MAX_PATHS] most viewed paths with scroll events in a time period
+     */
+    fun calculateScrollDepth(projectId: UUID, start: LocalDateTime, end: LocalDateTime): List<PageScrollDepth> {
+        return transaction {
+            val samples = Events.select(Events.path, Events.scrollDepth, Events.properties).where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "scroll")
+            }.mapNotNull { row ->
+                row[Events.scrollDepth]?.let { ScrollSample(row[Events.path], it, parseMs(row[Events.properties])) }
+            }.groupBy { it.path }
+            if (samples.isEmpty()) return@transaction emptyList()
+
+            val countCol = Events.path.count()
+            val pageviews = Events.select(Events.path, countCol).where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "pageview")
+            }.groupBy(Events.path)
+                .associate { it[Events.path] to it[countCol] }
+
+            samples.map { (path, pathSamples) -> buildStats(path, pageviews[path] ?: 0L, pathSamples) }
+                .sortedByDescending { it.pageviews }
+                .take(MAX_PATHS)
+        }
+    }
+}
@@ -0,0 +1,157 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.contentOrNull
+import kotlinx.serialization.json.intOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.SearchReport
+import se.onemanstudio.api.models.admin.SearchTermStats
+import se.onemanstudio.db.Events
+import java.time.LocalDateTime
+import java.util.*
+
+/**
+ * Site search analytics.
+ *
+ * `search` events carry the search term and, when the site reports it, the
+ * number of results in their properties (`{"term":"pricing","results":0}`).
+ * They come from pageviews with the query parameter named by
+ * `data-search-param`, or from `MiniNumbers.search(term, resultCount)`. A site
+ * may do both on its results page, so searches for the same term on the same
+ * page of a session count once, keeping the reported result count.
+ *
+ * A search is an exit when the session has no later pageview.
+ */
+object SearchAnalysisUtils {
+
+    private const val MAX_TERMS = 20
+
+    /**
+     * One `search` event
+     */
+    data class SearchEvent(
+        val sessionId: String,
+        val path: String,
+        val term: String,
+        val results: Int?,
+        val timestamp: LocalDateTime
+    )
+
+    /**
+     * Term and result count from a search event's properties JSON. Returns null without a term.
+     */
+    fun parseSearch(properties: String?): Pair<String, Int?>? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+        val term = (json["term"] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull
+            ?.let { normalizeTerm(it) }?.takeIf { it.isNotEmpty() } ?: return null
+        return term to (json["results"] as? JsonPrimitive)?.takeUnless { it.isString }?.intOrNull
+    }
+
+    /**
+     * Terms are compared case-insensitively, with whitespace collapsed
+     */
+    fun normalizeTerm(term: String): String = term.trim().replace(Regex("\\s+"), " ").lowercase()
+
+    /**
+     * Apply [scrub] (the project's PII detectors) to the term of a search event's properties JSON
+     */
+    fun scrubTerm(properties: String, scrub: (String) -> String): String {
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return properties
+        val term = (json["term"] as? JsonPrimitive)?.takeIf { it.isString }?.contentOrNull ?: return properties
+        return JsonObject(json + ("term" to JsonPrimitive(scrub(term)))).toString()
+    }
+
+    private fun percent(part: Long, total: Long): Double =
+        if (total > 0) (part.toDouble() / total) * 100.0 else 0.0
+
+    /**
+     * Build the report from search events and the pageview times of each session
+     */
+    fun buildReport(events: List<SearchEvent>, pageviews: Map<String, List<LocalDateTime>>): SearchReport {
+        // One search per session, page and term: the earliest event, with the last reported result count
+        val searches = events.groupBy { Triple(it.sessionId, it.path, it.term) }.values.map { group ->
+            group.minBy { it.timestamp }.copy(results = group.sortedBy { it.timestamp }.lastOrNull { it.results != null }?.results)
+        }
+        fun isExit(search: SearchEvent) = pageviews[search.sessionId].orEmpty().none { it.isAfter(search.timestamp) }
+
+        fun termStats(group: List<SearchEvent>) = group.groupBy { it.term }.map { (term, termSearches) ->
+            val reported = termSearches.mapNotNull { it.results }
+            SearchTermStats(
+                term = term,
+                searches = termSearches.size.toLong(),
+                sessions = termSearches.map { it.sessionId }.toSet().size.toLong(),
+                avgResults = if (reported.isNotEmpty()) reported.average() else null,
+                exitRate = percent(termSearches.count { isExit(it) }.toLong(), termSearches.size.toLong())
+            )
+        }.sortedByDescending { it.searches }
+        val terms = termStats(searches)
+        val zeroResults = searches.filter { it.results == 0 }
+
+        return SearchReport(
+            totalSearches = searches.size.toLong(),
+            uniqueTerms = terms.size.toLong(),
+            zeroResultSearches = zeroResults.size.toLong(),
+            exitRate = percent(searches.count { isExit(it) }.toLong(), searches.size.toLong()),
+            topSearches = terms.take(MAX_TERMS),
+            zeroResultTerms = termStats(zeroResults).take(MAX_TERMS)
+        )
+    }
+
+    /**
+     * Counts scaled by a [samplingFactor]; rates and the number of distinct terms are left as measured
+     */
+    private fun SearchReport.scaled(factor: Double): SearchReport {
+        if (factor == 1.0) return this
+        fun SearchTermStats.scaled() = copy(searches = scaleCount(searches, factor), sessions = scaleCount(sessions, factor))
+        return copy(
+            totalSearches = scaleCount(totalSearches, factor),
+            zeroResultSearches = scaleCount(zeroResultSearches, factor),
+            topSearches = topSearches.map { it.scaled() },
+            zeroResultTerms = zeroResultTerms.map { it.scaled() }
+        )
+    }
+
+    /**
+     * Site search report for a project in a time period
+     */
+    fun calculateSearches(projectId: UUID, start: LocalDateTime, end: LocalDateTime): SearchReport {
+        return transaction {
+            val rows = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "search")
+            }.toList()
+            val events = rows.mapNotNull { row ->
+                parseSearch(row[Events.properties])?.let { (term, results) ->
+                    SearchEvent(row[Events.sessionId], row[Events.path], term, results, row[Events.timestamp])
+                }
+            }
+            val sessions = events.map { it.sessionId }.toSet()
+            // Pageviews after the period still show whether a search near its end was an exit
+            val pageviews = if (sessions.isEmpty()) emptyMap() else {
+                Events.selectAll().where {
+                    (Events.projectId eq projectId) and
+                    (Events.timestamp greaterEq start) and
+                    (Events.eventType eq "pageview") and
+                    (Events.sessionId inList sessions)
+                }.groupBy({ it[Events.sessionId] }, { it[Events.timestamp] })
+            }
+            buildReport(events, pageviews).scaled(samplingFactor(rows.map { it[Events.sampleRate] }))
+        }
+    }
+}
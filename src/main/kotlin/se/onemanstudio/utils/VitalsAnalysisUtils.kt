@@ -0,0 +1,119 @@
+package se.onemanstudio.utils
+
+import kotlinx.serialization.SerializationException
+import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.JsonObject
+import kotlinx.serialization.json.JsonPrimitive
+import kotlinx.serialization.json.doubleOrNull
+import org.jetbrains.exposed.sql.and
+import org.jetbrains.exposed.sql.selectAll
+import org.jetbrains.exposed.sql.transactions.transaction
+import se.onemanstudio.api.models.admin.VitalsBreakdown
+import se.onemanstudio.api.models.admin.VitalsPercentiles
+import se.onemanstudio.api.models.admin.VitalsReport
+import se.onemanstudio.db.Events
+import se.onemanstudio.middleware.InputValidator
+import java.time.LocalDateTime
+import java.util.*
+import kotlin.math.ceil
+import kotlin.math.roundToInt
+
+/**
+ * Web Vitals (real-user performance) analytics.
+ *
+ * With `data-web-vitals="true"` the tracker sends one `vitals` event per
+ * pageview whose properties JSON holds the page's LCP, FCP, INP, CLS and
+ * TTFB measurements, e.g. `{"lcp":1840,"cls":0.04,"ttfb":210}`. Metrics the
+ * browser could not measure are simply absent.
+ *
+ * [calculateVitals] reports the 50th, 75th and 95th percentile of every
+ * metric overall, per page and per device type. Google's "good" thresholds
+ * are assessed at p75, which is why the dashboard highlights that column.
+ */
+object VitalsAnalysisUtils {
+
+    private const val MAX_PAGES = 20
+
+    private data class VitalsSample(
+        val path: String,
+        val device: String,
+        val metrics: Map<String, Double>
+    )
+
+    /**
+     * Parse the metric map from a vitals event's properties JSON.
+     * Unknown keys and non-numeric values are ignored.
+     */
+    private fun parseMetrics(properties: String?): Map<String, Double>? {
+        if (properties.isNullOrBlank()) return null
+        val json = try {
+            Json.parseToJsonElement(properties) as? JsonObject
+        } catch (_: SerializationException) {
+            null
+        } ?: return null
+
+        return InputValidator.WEB_VITALS_METRICS.mapNotNull { metric ->
+            (json[metric] as? JsonPrimitive)?.doubleOrNull?.let { metric to it }
+        }.toMap().ifEmpty { null }
+    }
+
+    /**
+     * Nearest-rank percentile of an ascending list
+     */
+    internal fun percentile(sorted: List<Double>, p: Double): Double {
+        if (sorted.isEmpty()) return 0.0
+        val rank = ceil(p / 100.0 * sorted.size).toInt().coerceIn(1, sorted.size)
+        return sorted[rank - 1]
+    }
+
+    private fun summarize(samples: List<VitalsSample>): List<VitalsPercentiles> {
+        return InputValidator.WEB_VITALS_METRICS.mapNotNull { metric ->
+            val values = samples.mapNotNull { it.metrics[metric] }.sorted()
+            if (values.isEmpty()) return@mapNotNull null
+            // CLS is a small unitless score, keep three decimals; times are whole milliseconds
+            val round: (Double) -> Double = if (metric == "cls") {
+                { v -> (v * 1000.0).roundToInt() / 1000.0 }
+            } else {
+                { v -> v.roundToInt().toDouble() }
+            }
+            VitalsPercentiles(
+                metric = metric,
+                p50 = round(percentile(values, 50.0)),
+                p75 = round(percentile(values, 75.0)),
+                p95 = round(percentile(values, 95.0)),
+                samples = values.size
+            )
+        }
+    }
+
+    /**
+     * Web Vitals percentiles for a project in a time period: overall,
+     * for the [MAX_PAGES] most-measured pages, and per device type.
+     */
+    fun calculateVitals(projectId: UUID, start: LocalDateTime, end: LocalDateTime): VitalsReport {
+        return transaction {
+            val samples = Events.selectAll().where {
+                (Events.projectId eq projectId) and
+                (Events.timestamp greaterEq start) and
+                (Events.timestamp lessEq end) and
+                (Events.eventType eq "vitals") and
+                Events.properties.isNotNull()
+            }.mapNotNull { row ->
+                val metrics = parseMetrics(row[Events.properties]) ?: return@mapNotNull null
+                VitalsSample(row[Events.path], row[Events.device] ?: "Unknown", metrics)
+            }
+
+            fun breakdown(key: (VitalsSample) -> String): List<VitalsBreakdown> =
+                samples.groupBy(key)
+                    .map { (label, group) -> VitalsBreakdown(label, group.size, summarize(group)) }
+                    .sortedByDescending { it.samples }
+
+            VitalsReport(
+                samples = samples.size,
+                overall = summarize(samples),
+                pages = breakdown { it.path }.take(MAX_PAGES),
+                devices = breakdown { it.device }
+            )
+        }
+    }
+}
@@ -58,7 +58,16 @@ const Dashboard = {
       countries: null,
       referrers: null,
       topPages: null
-    }
+    },
+
+    // Web Vitals report (re-rendered when the metric selector changes)
+    vitals: null,
+    scrollDepth: null,
+
+    // Project whose privacy and tracker settings are shown in the settings modal
+    privacySettingsFor: null,
+    trackerModulesFor: null,
+    trackerSettingsFor: null
   },
 
   /**
@@ -690,7 +699,15 @@ const Dashboard = {
         this.loadSegments(),
         this.loadWebhooks(),
         this.loadEmailReports(),
-        this.loadRevenue()
+        this.loadRevenue(),
+        this.loadDownloads(),
+        this.loadSearches(),
+        this.loadScrollDepth(),
+        this.loadImpressions(),
+        this.loadMedia(),
+        this.loadPerformance(),
+        this.loadErrors(),
+        this.loadFrustration()
       ]);
     } catch (error) {
       console.error('Failed to refresh report:', error);
@@ -829,6 +846,11 @@ const Dashboard = {
    * @param {Object} data - Report data
    */
   updateStats(data) {
+    // Counts scaled up from sampled sessions are marked as estimates
+    document.querySelectorAll('.estimated-badge').forEach(el => {
+      el.hidden = !data.estimated;
+    });
+
     // Animate total views
     const viewsEl = document.getElementById('total-views');
     animateCountUp(viewsEl, data.totalViews || 0, 800, v => Utils.format.number(v));
@@ -1124,16 +1146,16 @@ const Dashboard = {
       }
     }
 
-    // Outbound Links & File Downloads
+    // Outbound Links, Email & Phone Links
     const outboundSection = document.getElementById('outbound-section');
     if (outboundSection) {
-      if (data.outboundLinks?.length || data.fileDownloads?.length) {
+      if (data.outboundLinks?.length || data.contactLinks?.length) {
         outboundSection.style.display = '';
         if (data.outboundLinks?.length) {
           this.renderBarChartWithShowMore('chart-outbound-links', data.outboundLinks, 5);
         }
-        if (data.fileDownloads?.length) {
-          this.renderBarChartWithShowMore('chart-file-downloads', data.fileDownloads, 5);
+        if (data.contactLinks?.length) {
+          this.renderBarChartWithShowMore('chart-contact-links', data.contactLinks, 5);
         }
       } else {
         outboundSection.style.display = 'none';
@@ -1750,19 +1772,21 @@ const Dashboard = {
   },
 
   /**
-   * Load goals and funnels data
+   * Load goals, funnels and form drop-off data
    */
   async loadGoalsAndFunnels() {
     if (!this.state.currentProjectId) return;
 
     try {
-      const [goalStats, funnels] = await Promise.all([
+      const [goalStats, funnels, forms] = await Promise.all([
         GoalsManager.loadGoalStats(this.state.currentProjectId, this.state.currentFilter),
-        GoalsManager.loadFunnels(this.state.currentProjectId)
+        GoalsManager.loadFunnels(this.state.currentProjectId),
+        GoalsManager.loadForms(this.state.currentProjectId, this.state.currentFilter)
       ]);
 
       GoalsManager.renderGoals(goalStats);
       GoalsManager.renderFunnels(funnels, this.state.currentProjectId, this.state.currentFilter);
+      GoalsManager.renderForms(forms);
     } catch (error) {
       console.error('Failed to load goals and funnels:', error);
     }
@@ -1869,6 +1893,541 @@ const Dashboard = {
     }
   },
 
+  // ── Performance (Web Vitals) ──────────────────────────────────
+
+  /**
+   * Web Vitals metadata with Google's "good" / "poor" thresholds, assessed at p75
+   */
+  vitalsMetrics: {
+    lcp: { name: 'Largest Contentful Paint', short: 'LCP', good: 2500, poor: 4000 },
+    inp: { name: 'Interaction to Next Paint', short: 'INP', good: 200, poor: 500 },
+    cls: { name: 'Cumulative Layout Shift', short: 'CLS', good: 0.1, poor: 0.25, unitless: true },
+    fcp: { name: 'First Contentful Paint', short: 'FCP', good: 1800, poor: 3000 },
+    ttfb: { name: 'Time to First Byte', short: 'TTFB', good: 800, poor: 1800 }
+  },
+
+  /**
+   * Format a Web Vitals value: milliseconds (or seconds above 1000 ms), CLS as a plain score
+   */
+  formatVital(metric, value) {
+    if (this.vitalsMetrics[metric]?.unitless) return value.toFixed(3);
+    return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+  },
+
+  /**
+   * Load and render Web Vitals for current project
+   */
+  async loadPerformance() {
+    if (!this.state.currentProjectId) return;
+    const overview = document.getElementById('vitals-overview');
+
+    try {
+      this.state.vitals = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/vitals?filter=${this.state.currentFilter}`
+      );
+      this.renderPerformance();
+    } catch (error) {
+      console.error('Failed to load web vitals:', error);
+      if (overview) Utils.dom.showError(overview, 'Failed to load performance data', () => this.loadPerformance(), '/assets/set_3/png/030-research.png');
+    }
+  },
+
+  /**
+   * Render p75 stat cards (colored by rating) and the per-page / per-device charts
+   */
+  renderPerformance() {
+    const overview = document.getElementById('vitals-overview');
+    const breakdown = document.getElementById('vitals-breakdown-section');
+    const samplesEl = document.getElementById('vitals-samples');
+    const data = this.state.vitals;
+    if (!overview) return;
+
+    if (!data || !data.samples) {
+      if (breakdown) breakdown.style.display = 'none';
+      if (samplesEl) samplesEl.textContent = '';
+      Utils.dom.showEmptyState(overview, {
+        illustration: '/assets/set_3/png/033-speed.png',
+        message: 'No performance data yet',
+        hint: 'Add data-web-vitals="true" to your tracker script tag to measure real-user page speed.'
+      });
+      return;
+    }
+
+    if (samplesEl) samplesEl.textContent = `${Utils.format.number(data.samples)} page loads measured`;
+    overview.innerHTML = data.overall.map(m => {
+      const meta = this.vitalsMetrics[m.metric];
+      const rating = m.p75 <= meta.good ? 'success' : (m.p75 <= meta.poor ? 'warning' : 'danger');
+      return `
+        <div class="card stat-card" title="${meta.name}">
+          <div class="stat-card__header">
+            <div class="stat-card__icon" aria-hidden="true"><i class="ri-speed-up-line"></i></div>
+            <small>${meta.short}</small>
+          </div>
+          <div class="stat-card__value" style="color: var(--color-${rating});">${this.formatVital(m.metric, m.p75)}</div>
+          <small class="text-secondary">p50 ${this.formatVital(m.metric, m.p50)} &middot; p95 ${this.formatVital(m.metric, m.p95)}</small>
+        </div>`;
+    }).join('');
+
+    if (breakdown) breakdown.style.display = '';
+    const metricSelect = document.getElementById('vitals-metric');
+    if (metricSelect) metricSelect.onchange = () => this.renderVitalsCharts();
+    this.renderVitalsCharts();
+  },
+
+  /**
+   * Render p50/p75/p95 of the selected metric for the top pages and each device type
+   */
+  renderVitalsCharts() {
+    const data = this.state.vitals;
+    if (!data) return;
+    const metric = document.getElementById('vitals-metric')?.value || 'lcp';
+    const toRows = (groups) => groups
+      .map(g => {
+        const m = g.metrics.find(x => x.metric === metric);
+        return m ? { label: g.label, p50: m.p50, p75: m.p75, p95: m.p95 } : null;
+      })
+      .filter(Boolean);
+    const formatValue = (v) => this.formatVital(metric, v);
+
+    ChartManager.createPercentileChart('chart-vitals-pages', toRows(data.pages).slice(0, 10), { formatValue });
+    ChartManager.createPercentileChart('chart-vitals-devices', toRows(data.devices), { formatValue });
+  },
+
+  // ── Downloads ─────────────────────────────────────────────────
+
+  /**
+   * Load and render file downloads for current project
+   */
+  async loadDownloads() {
+    if (!this.state.currentProjectId) return;
+
+    try {
+      const report = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/downloads?filter=${this.state.currentFilter}`
+      );
+      this.renderDownloads(report);
+    } catch (error) {
+      console.error('Failed to load downloads:', error);
+    }
+  },
+
+  /**
+   * Render download stat cards and the files with the pages and referrers
+   * they were downloaded from; the card stays hidden until a download is recorded
+   * @param {Object} report - Downloads report
+   */
+  renderDownloads(report) {
+    const section = document.getElementById('downloads-section');
+    const overview = document.getElementById('downloads-overview');
+    if (!section || !overview) return;
+
+    section.style.display = report.totalDownloads ? '' : 'none';
+    if (!report.totalDownloads) return;
+
+    const stats = [
+      { label: 'Downloads', value: Utils.format.number(report.totalDownloads), icon: 'ri-download-2-line' },
+      { label: 'Files', value: Utils.format.number(report.uniqueFiles), icon: 'ri-file-line' },
+      { label: 'Visitors', value: Utils.format.number(report.visitors), icon: 'ri-user-line' }
+    ];
+    overview.innerHTML = stats.map(stat => `
+      <div class="card stat-card">
+        <div class="stat-card__header">
+          <div class="stat-card__icon" aria-hidden="true"><i class="${stat.icon}"></i></div>
+          <small>${stat.label}</small>
+        </div>
+        <div class="stat-card__value">${stat.value}</div>
+      </div>`).join('');
+
+    const entries = list => list
+      .map(e => `${Utils.escapeHtml(e.label)} <span class="text-secondary">(${Utils.format.number(e.value)})</span>`)
+      .join('<br>');
+    const body = document.getElementById('downloads-body');
+    if (body) {
+      body.innerHTML = report.files.map(f => `
+        <tr>
+          <td style="font-weight: 500;" title="${Utils.escapeHtml(f.url)}">${Utils.escapeHtml(f.file)}</td>
+          <td>${Utils.format.number(f.downloads)}</td>
+          <td>${Utils.format.number(f.visitors)}</td>
+          <td>${entries(f.sourcePages)}</td>
+          <td>${entries(f.referrers)}</td>
+        </tr>`).join('');
+    }
+  },
+
+  // ── Site Search ───────────────────────────────────────────────
+
+  /**
+   * Load and render site search stats for current project
+   */
+  async loadSearches() {
+    if (!this.state.currentProjectId) return;
+
+    try {
+      const report = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/search?filter=${this.state.currentFilter}`
+      );
+      this.renderSearches(report);
+    } catch (error) {
+      console.error('Failed to load site search:', error);
+    }
+  },
+
+  /**
+   * Render search stat cards, top searches and searches without results;
+   * the card stays hidden until a search is recorded
+   * @param {Object} report - Site search report
+   */
+  renderSearches(report) {
+    const section = document.getElementById('search-section');
+    const overview = document.getElementById('search-overview');
+    if (!section || !overview) return;
+
+    section.style.display = report.totalSearches ? '' : 'none';
+    if (!report.totalSearches) return;
+
+    const stats = [
+      { label: 'Searches', value: Utils.format.number(report.totalSearches), icon: 'ri-search-line' },
+      { label: 'Unique terms', value: Utils.format.number(report.uniqueTerms), icon: 'ri-text' },
+      { label: 'No results', value: Utils.format.number(report.zeroResultSearches), icon: 'ri-search-eye-line' },
+      { label: 'Search exit rate', value: Utils.format.percentage(report.exitRate), icon: 'ri-logout-box-line' }
+    ];
+    overview.innerHTML = stats.map(stat => `
+      <div class="card stat-card">
+        <div class="stat-card__header">
+          <div class="stat-card__icon" aria-hidden="true"><i class="${stat.icon}"></i></div>
+          <small>${stat.label}</small>
+        </div>
+        <div class="stat-card__value">${stat.value}</div>
+      </div>`).join('');
+
+    const emptyRow = message => `<tr><td colspan="4" class="text-secondary">${message}</td></tr>`;
+    const topBody = document.getElementById('search-top-body');
+    if (topBody) {
+      topBody.innerHTML = report.topSearches.map(t => `
+        <tr>
+          <td style="font-weight: 500;">${Utils.escapeHtml(t.term)}</td>
+          <td>${Utils.format.number(t.searches)}</td>
+          <td>${t.avgResults != null ? t.avgResults.toFixed(1) : '—'}</td>
+          <td>${Utils.format.percentage(t.exitRate)}</td>
+        </tr>`).join('');
+    }
+    const zeroBody = document.getElementById('search-zero-body');
+    if (zeroBody) {
+      zeroBody.innerHTML = report.zeroResultTerms.map(t => `
+        <tr>
+          <td style="font-weight: 500;">${Utils.escapeHtml(t.term)}</td>
+          <td>${Utils.format.number(t.searches)}</td>
+          <td>${Utils.format.number(t.sessions)}</td>
+          <td>${Utils.format.percentage(t.exitRate)}</td>
+        </tr>`).join('') || emptyRow('No zero-result searches reported. Pass the result count to MiniNumbers.search() to find them.');
+    }
+  },
+
+  // ── Scroll Depth ──────────────────────────────────────────────
+
+  /**
+   * Load per-page scroll depth for current project
+   */
+  async loadScrollDepth() {
+    if (!this.state.currentProjectId) return;
+
+    try {
+      this.state.scrollDepth = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/scroll-depth?filter=${this.state.currentFilter}`
+      );
+      this.renderScrollDepth();
+    } catch (error) {
+      console.error('Failed to load scroll depth:', error);
+    }
+  },
+
+  /**
+   * Fill the page picker, keeping the selected page when it is still listed;
+   * the card stays hidden until a scroll event is recorded
+   */
+  renderScrollDepth() {
+    const section = document.getElementById('scroll-pages-section');
+    const select = document.getElementById('scroll-page');
+    const pages = this.state.scrollDepth || [];
+    if (!section || !select) return;
+
+    section.style.display = pages.length ? '' : 'none';
+    if (!pages.length) return;
+
+    const selected = select.value;
+    select.innerHTML = pages.map(p => `<option value="${Utils.escapeHtml(p.path)}">${Utils.escapeHtml(p.path)}</option>`).join('');
+    if (pages.some(p => p.path === selected)) select.value = selected;
+    select.onchange = () => this.renderScrollDepthPage();
+    this.renderScrollDepthPage();
+  },
+
+  /**
+   * Render the share of pageviews reaching each threshold on the selected page
+   */
+  renderScrollDepthPage() {
+    const path = document.getElementById('scroll-page')?.value;
+    const page = (this.state.scrollDepth || []).find(p => p.path === path);
+    if (!page) return;
+
+    ChartManager.createBarChart(
+      'chart-scroll-page',
+      page.thresholds.map(t => ({ label: `${t.depth}%`, value: Math.round(t.reachRate * 10) / 10 })),
+      {
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { label: (context) => `${context.parsed.x}% of pageviews` } },
+        },
+      }
+    );
+
+    const body = document.getElementById('scroll-page-body');
+    if (body) {
+      body.innerHTML = page.thresholds.map(t => `
+        <tr>
+          <td style="font-weight: 500;">${t.depth}%</td>
+          <td>${Utils.format.number(t.reached)} / ${Utils.format.number(page.pageviews)}</td>
+          <td>${Utils.format.percentage(t.reachRate)}</td>
+          <td>${t.medianMs != null ? Utils.format.duration(Math.round(t.medianMs / 1000)) : '—'}</td>
+        </tr>`).join('');
+    }
+  },
+
+  // ── Impressions ───────────────────────────────────────────────
+
+  /**
+   * Load and render element impressions for current project
+   */
+  async loadImpressions() {
+    if (!this.state.currentProjectId) return;
+
+    try {
+      const impressions = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/impressions?filter=${this.state.currentFilter}`
+      );
+      this.renderImpressions(impressions);
+    } catch (error) {
+      console.error('Failed to load impressions:', error);
+    }
+  },
+
+  /**
+   * Render the impressions table; the card stays hidden until an impression is recorded
+   * @param {Array} impressions - Impression stats per element
+   */
+  renderImpressions(impressions) {
+    const section = document.getElementById('impressions-section');
+    const tbody = document.getElementById('impressions-table-body');
+    if (!section || !tbody) return;
+
+    section.style.display = impressions.length ? '' : 'none';
+    tbody.innerHTML = impressions.map(i => `
+      <tr>
+        <td style="font-weight: 500;">${Utils.escapeHtml(i.element)}</td>
+        <td>${Utils.format.number(i.impressions)}</td>
+        <td>${Utils.format.number(i.sessions)}</td>
+        <td>${i.clickEvent ? Utils.escapeHtml(i.clickEvent) : '—'}</td>
+        <td>${i.clickEvent ? Utils.format.number(i.clickedSessions) : '—'}</td>
+        <td>${i.clickRate != null ? `${i.clickRate.toFixed(1)}%` : '—'}</td>
+      </tr>`).join('');
+  },
+
+  // ── Media ─────────────────────────────────────────────────────
+
+  /**
+   * Load and render media playback stats for current project
+   */
+  async loadMedia() {
+    if (!this.state.currentProjectId) return;
+
+    try {
+      const media = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/media?filter=${this.state.currentFilter}`
+      );
+      this.renderMedia(media);
+    } catch (error) {
+      console.error('Failed to load media:', error);
+    }
+  },
+
+  /**
+   * Render the media table, ordered by plays; the card stays hidden until media is played
+   * @param {Array} media - Playback stats per media asset
+   */
+  renderMedia(media) {
+    const section = document.getElementById('media-section');
+    const tbody = document.getElementById('media-table-body');
+    if (!section || !tbody) return;
+
+    const reach = (count, plays) => Utils.format.percentage(plays ? Math.min(100, (count / plays) * 100) : 0, 0);
+    section.style.display = media.length ? '' : 'none';
+    tbody.innerHTML = media.map(m => `
+      <tr>
+        <td style="font-weight: 500;">
+          <i class="${m.kind === 'audio' ? 'ri-music-2-line' : 'ri-film-line'}" aria-hidden="true"></i>
+          ${Utils.escapeHtml(m.media)}
+        </td>
+        <td>${Utils.format.number(m.plays)}</td>
+        <td>${Utils.format.number(m.sessions)}</td>
+        <td>${reach(m.reached25, m.plays)} / ${reach(m.reached50, m.plays)} / ${reach(m.reached75, m.plays)}</td>
+        <td>${Utils.format.percentage(m.completionRate)}</td>
+        <td>${Utils.format.duration(Math.round(m.avgWatchMs / 1000))}</td>
+      </tr>`).join('');
+  },
+
+  // ── JavaScript Errors ─────────────────────────────────────────
+
+  /**
+   * Load and render JavaScript errors for current project
+   */
+  async loadErrors() {
+    if (!this.state.currentProjectId) return;
+    const overview = document.getElementById('errors-overview');
+
+    try {
+      const data = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/errors?filter=${this.state.currentFilter}`
+      );
+      this.renderErrors(data);
+    } catch (error) {
+      console.error('Failed to load errors:', error);
+      if (overview) Utils.dom.showError(overview, 'Failed to load error data', () => this.loadErrors(), '/assets/set_3/png/030-research.png');
+    }
+  },
+
+  /**
+   * Render error stat cards, the top errors table and the page / browser / OS charts
+   * @param {Object} data - Error report
+   */
+  renderErrors(data) {
+    const overview = document.getElementById('errors-overview');
+    const details = document.getElementById('errors-details');
+    if (!overview) return;
+
+    if (!data.totalErrors) {
+      if (details) details.style.display = 'none';
+      Utils.dom.showEmptyState(overview, {
+        illustration: '/assets/set_3/png/034-web%20optimization.png',
+        message: 'No JavaScript errors recorded',
+        hint: 'Add data-track-errors="true" to your tracker script tag to report uncaught errors.'
+      });
+      return;
+    }
+
+    const stats = [
+      { label: 'Errors', value: data.totalErrors, icon: 'ri-error-warning-line' },
+      { label: 'Unique errors', value: data.uniqueErrors, icon: 'ri-fingerprint-line' },
+      { label: 'Affected sessions', value: data.affectedSessions, icon: 'ri-user-unfollow-line' }
+    ];
+    overview.innerHTML = stats.map(stat => `
+      <div class="card stat-card">
+        <div class="stat-card__header">
+          <div class="stat-card__icon" aria-hidden="true"><i class="${stat.icon}"></i></div>
+          <small>${stat.label}</small>
+        </div>
+        <div class="stat-card__value">${Utils.format.number(stat.value)}</div>
+      </div>`).join('');
+
+    const tbody = document.getElementById('errors-table-body');
+    if (tbody) {
+      tbody.innerHTML = data.errors.map(e => `
+        <tr>
+          <td>
+            <div style="font-weight: 500; word-break: break-word;">${Utils.escapeHtml(e.message)}</div>
+            ${e.frame ? `<small class="text-secondary" style="word-break: break-all;">${Utils.escapeHtml(e.frame)}</small>` : ''}
+          </td>
+          <td>${Utils.format.number(e.occurrences)}</td>
+          <td>${Utils.format.number(e.sessions)}</td>
+          <td>${Utils.escapeHtml(e.topPage)}</td>
+          <td>${Utils.escapeHtml([e.topBrowser, e.topOs].filter(Boolean).join(' / ') || '—')}</td>
+          <td>${Utils.format.relative(e.lastSeen)}</td>
+        </tr>`).join('');
+    }
+
+    if (details) details.style.display = '';
+    ChartManager.createBarChart('chart-errors-pages', data.pages);
+    ChartManager.createBarChart('chart-errors-browsers', data.browsers);
+    ChartManager.createBarChart('chart-errors-os', data.os);
+  },
+
+  // ── Frustration Signals ───────────────────────────────────────
+
+  /**
+   * Load and render rage and dead clicks for current project
+   */
+  async loadFrustration() {
+    if (!this.state.currentProjectId) return;
+    const overview = document.getElementById('frustration-overview');
+
+    try {
+      const data = await Utils.api.fetch(
+        `/admin/projects/${this.state.currentProjectId}/frustration?filter=${this.state.currentFilter}`
+      );
+      this.renderFrustration(data);
+    } catch (error) {
+      console.error('Failed to load frustration signals:', error);
+      if (overview) Utils.dom.showError(overview, 'Failed to load frustration signals', () => this.loadFrustration(), '/assets/set_3/png/030-research.png');
+    }
+  },
+
+  /**
+   * Render frustration stat cards and the pages and elements ranked by signals
+   * @param {Object} data - Frustration report
+   */
+  renderFrustration(data) {
+    const overview = document.getElementById('frustration-overview');
+    const details = document.getElementById('frustration-details');
+    if (!overview) return;
+
+    if (!data.rageClicks && !data.deadClicks) {
+      if (details) details.style.display = 'none';
+      Utils.dom.showEmptyState(overview, {
+        illustration: '/assets/set_3/png/034-web%20optimization.png',
+        message: 'No frustration signals recorded',
+        hint: 'Add data-track-frustration="true" to your tracker script tag to detect rage and dead clicks.'
+      });
+      return;
+    }
+
+    const stats = [
+      { label: 'Rage clicks', value: data.rageClicks, icon: 'ri-cursor-line' },
+      { label: 'Dead clicks', value: data.deadClicks, icon: 'ri-forbid-line' },
+      { label: 'Affected sessions', value: data.affectedSessions, icon: 'ri-user-unfollow-line' }
+    ];
+    overview.innerHTML = stats.map(stat => `
+      <div class="card stat-card">
+        <div class="stat-card__header">
+          <div class="stat-card__icon" aria-hidden="true"><i class="${stat.icon}"></i></div>
+          <small>${stat.label}</small>
+        </div>
+        <div class="stat-card__value">${Utils.format.number(stat.value)}</div>
+      </div>`).join('');
+
+    const pagesBody = document.getElementById('frustration-pages-body');
+    if (pagesBody) {
+      pagesBody.innerHTML = data.pages.map(p => `
+        <tr>
+          <td>${Utils.escapeHtml(p.path)}</td>
+          <td>${Utils.format.number(p.rageClicks)}</td>
+          <td>${Utils.format.number(p.deadClicks)}</td>
+          <td>${Utils.format.number(p.sessions)}</td>
+        </tr>`).join('');
+    }
+
+    const elementsBody = document.getElementById('frustration-elements-body');
+    if (elementsBody) {
+      elementsBody.innerHTML = data.elements.map(e => `
+        <tr>
+          <td><code style="word-break: break-all;">${Utils.escapeHtml(e.selector)}</code></td>
+          <td>${Utils.escapeHtml(e.path)}</td>
+          <td>${Utils.format.number(e.rageClicks)}</td>
+          <td>${Utils.format.number(e.deadClicks)}</td>
+          <td>${Utils.format.number(e.sessions)}</td>
+        </tr>`).join('');
+    }
+
+    if (details) details.style.display = '';
+  },
+
   /**
    * Render contribution calendar
    * @param {Object} calendar - Calendar data
@@ -2138,6 +2697,139 @@ const Dashboard = {
   /**
    * Setup settings panel with project information
    */
+  /**
+   * Load the project's privacy settings into the settings modal
+   */
+  async loadPrivacySettings(projectId) {
+    const checkbox = document.getElementById('setting-honor-gpc');
+    if (!checkbox) return;
+    this.state.privacySettingsFor = null;
+    try {
+      const settings = await Utils.api.fetch(`/admin/projects/${projectId}/privacy`, { useCache: false });
+      checkbox.checked = settings.honorGpc;
+      this.state.privacySettingsFor = projectId;
+    } catch (error) {
+      console.error('Failed to load privacy settings:', error);
+    }
+  },
+
+  /**
+   * Save the privacy settings, if they were loaded for this project
+   */
+  async savePrivacySettings(projectId) {
+    if (this.state.privacySettingsFor !== projectId) return true;
+    try {
+      const response = await fetch(`/admin/projects/${projectId}/privacy`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ honorGpc: document.getElementById('setting-honor-gpc').checked })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to save privacy settings:', error);
+      Utils.toast.error('Failed to save privacy settings');
+      return false;
+    }
+  },
+
+  /**
+   * Load the project's tracker modules and bundle snippet into the settings modal
+   */
+  async loadTrackerModules(project) {
+    const snippet = document.getElementById('tracker-bundle-snippet');
+    if (!snippet) return;
+    this.state.trackerModulesFor = null;
+    snippet.textContent = `<script async src="${window.location.origin}/tracker/bundle.js?key=${project.apiKey}"\n`
+      + `        data-project-key="${project.apiKey}"></script>`;
+    try {
+      const settings = await Utils.api.fetch(`/admin/projects/${project.id}/tracker-modules`, { useCache: false });
+      document.querySelectorAll('.tracker-module-cb').forEach(cb => {
+        cb.checked = settings.modules.includes(cb.value);
+      });
+      this.state.trackerModulesFor = project.id;
+    } catch (error) {
+      console.error('Failed to load tracker modules:', error);
+    }
+  },
+
+  /**
+   * Save the tracker modules, if they were loaded for this project
+   */
+  async saveTrackerModules(projectId) {
+    if (this.state.trackerModulesFor !== projectId) return true;
+    const modules = Array.from(document.querySelectorAll('.tracker-module-cb'))
+      .filter(cb => cb.checked)
+      .map(cb => cb.value);
+    try {
+      const response = await fetch(`/admin/projects/${projectId}/tracker-modules`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ modules })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to save tracker modules:', error);
+      Utils.toast.error('Failed to save tracker modules');
+      return false;
+    }
+  },
+
+  /**
+   * Load the project's tracker behaviour settings into the settings modal
+   */
+  async loadTrackerSettings(projectId) {
+    const sampleRate = document.getElementById('setting-sample-rate');
+    if (!sampleRate) return;
+    this.state.trackerSettingsFor = null;
+    try {
+      const settings = await Utils.api.fetch(`/admin/projects/${projectId}/tracker-settings`, { useCache: false });
+      sampleRate.value = settings.sampleRate;
+      document.getElementById('setting-spa-routing').value = settings.hashRouting ? 'hash' : 'history';
+      document.getElementById('setting-download-extensions').value = settings.downloadExtensions.join(', ');
+      document.getElementById('setting-excluded-paths').value = settings.excludedPaths.join('\n');
+      document.getElementById('setting-internal-domains').value = settings.internalDomains.join(', ');
+      document.getElementById('setting-download-patterns').value = settings.downloadPatterns.join('\n');
+      this.state.trackerSettingsFor = projectId;
+    } catch (error) {
+      console.error('Failed to load tracker settings:', error);
+    }
+  },
+
+  /**
+   * Save the tracker behaviour settings, if they were loaded for this project.
+   * Returns false when the server rejected them.
+   */
+  async saveTrackerSettings(projectId) {
+    if (this.state.trackerSettingsFor !== projectId) return true;
+    const settings = {
+      hashRouting: document.getElementById('setting-spa-routing').value === 'hash',
+      excludedPaths: document.getElementById('setting-excluded-paths').value.split('\n'),
+      downloadExtensions: document.getElementById('setting-download-extensions').value.split(','),
+      internalDomains: document.getElementById('setting-internal-domains').value.split(','),
+      downloadPatterns: document.getElementById('setting-download-patterns').value.split('\n'),
+      sampleRate: parseInt(document.getElementById('setting-sample-rate').value, 10) || 0
+    };
+    try {
+      const response = await fetch(`/admin/projects/${projectId}/tracker-settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        Utils.toast.error((body.details && body.details.join('; ')) || body.error || 'Failed to save tracker settings');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to save tracker settings:', error);
+      Utils.toast.error('Failed to save tracker settings');
+      return false;
+    }
+  },
+
   setupSettingsPanel() {
     const modal = document.getElementById('settings-modal');
     const openBtn = document.getElementById('open-settings-btn');
@@ -2175,6 +2867,10 @@ const Dashboard = {
             document.getElementById('setting-project-name').value = currentProject.name;
             document.getElementById('setting-project-domain').value = currentProject.domain;
             document.getElementById('setting-project-api-key').textContent = currentProject.apiKey;
+            PathRulesManager.load(currentProject.id);
+            this.loadPrivacySettings(currentProject.id);
+            this.loadTrackerModules(currentProject);
+            this.loadTrackerSettings(currentProject.id);
           } else {
             projectSection.style.display = 'none';
           }
@@ -2219,6 +2915,15 @@ const Dashboard = {
             return;
           }
         }
+
+        // Save path rules (the server reports invalid patterns)
+        if (!(await PathRulesManager.save(this.state.currentProjectId))) return;
+
+        if (!(await this.savePrivacySettings(this.state.currentProjectId))) return;
+
+        if (!(await this.saveTrackerModules(this.state.currentProjectId))) return;
+
+        if (!(await this.saveTrackerSettings(this.state.currentProjectId))) return;
       }
 
       modal.classList.remove('show');
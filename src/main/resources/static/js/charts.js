@@ -533,6 +533,79 @@ const ChartManager = {
     );
   },
 
+  /**
+   * Create grouped horizontal bar chart of p50 / p75 / p95 percentiles
+   * @param {string} id - Canvas element ID
+   * @param {Array} rows - Array of {label, p50, p75, p95} objects
+   * @param {Object} options - Additional options; `formatValue` formats axis ticks and tooltips
+   * @returns {Chart} Chart instance
+   */
+  createPercentileChart(id, rows, options = {}) {
+    const colors = this.getColors();
+    const { formatValue = (v) => Utils.format.compact(v), ...chartOptions } = options;
+    const percentiles = [
+      { key: 'p50', label: 'p50', color: colors.chart[1] },
+      { key: 'p75', label: 'p75', color: colors.chart[0] },
+      { key: 'p95', label: 'p95', color: colors.chart[3] },
+    ];
+
+    return this.create(
+      id,
+      'bar',
+      {
+        labels: rows.map((row) => row.label),
+        datasets: percentiles.map((p) => ({
+          label: p.label,
+          data: rows.map((row) => row[p.key]),
+          backgroundColor: p.color,
+          borderRadius: 4,
+          barPercentage: 0.8,
+          categoryPercentage: 0.7,
+        })),
+      },
+      {
+        indexAxis: 'y',
+        interaction: {
+          mode: 'index',
+          axis: 'y',
+          intersect: false,
+        },
+        plugins: {
+          legend: { display: true },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.x)}`,
+            },
+          },
+        },
+        scales: {
+          x: {
+            beginAtZero: true,
+            grid: {
+              display: true,
+              drawBorder: false,
+              color: colors.border,
+            },
+            ticks: {
+              maxTicksLimit: 6,
+              callback: (value) => formatValue(value),
+            },
+          },
+          y: {
+            grid: {
+              display: false,
+            },
+            ticks: {
+              padding: 8,
+              autoSkip: false,
+            },
+          },
+        },
+        ...chartOptions,
+      }
+    );
+  },
+
   /**
    * Create HTML-based horizontal bar chart with icons
    * Replaces Canvas chart with styled HTML bars for icon support
@@ -1,13 +1,14 @@
 /**
  * Goals & Funnels Manager
- * Handles conversion goals and funnel tracking UI
+ * Handles conversion goals, funnel tracking and form drop-off UI
  */
 
 const GoalsManager = {
   state: {
     goals: [],
     funnels: [],
-    funnelAnalyses: {}
+    funnelAnalyses: {},
+    forms: []
   },
 
   // ── Goals ──────────────────────────────────────────────────
@@ -112,6 +113,20 @@ const GoalsManager = {
     }
   },
 
+  // ── Forms ──────────────────────────────────────────────────
+
+  async loadForms(projectId, filter) {
+    try {
+      const response = await fetch(`/admin/projects/${projectId}/forms?filter=${filter}`);
+      if (!response.ok) return [];
+      this.state.forms = await response.json();
+      return this.state.forms;
+    } catch (e) {
+      console.error('Failed to load form analytics:', e);
+      return [];
+    }
+  },
+
   // ── Rendering ──────────────────────────────────────────────
 
   renderGoals(goalStats) {
@@ -212,17 +227,23 @@ const GoalsManager = {
     }
 
     const maxSessions = analysis.totalSessions || analysis.steps[0]?.sessions || 1;
+    container.innerHTML = this.renderFunnelSteps(analysis.steps, maxSessions);
+  },
 
-    container.innerHTML = analysis.steps.map((step, i) => {
+  /**
+   * Funnel bars for a list of steps, each with a drop-off connector to the next
+   */
+  renderFunnelSteps(steps, maxSessions, unit = 'sessions') {
+    return steps.map((step, i) => {
       const widthPercent = maxSessions > 0 ? (step.sessions / maxSessions) * 100 : 0;
-      const isLast = i === analysis.steps.length - 1;
+      const isLast = i === steps.length - 1;
 
       return `
         <div class="funnel-step">
           <div class="funnel-step__info">
             <span class="funnel-step__number">${step.stepNumber}</span>
             <span class="funnel-step__name">${Utils.escapeHtml(step.name)}</span>
-            <span class="funnel-step__sessions">${step.sessions} sessions</span>
+            <span class="funnel-step__sessions">${step.sessions} ${unit}</span>
           </div>
           <div class="funnel-step__bar-container">
             <div class="funnel-step__bar" style="width: ${Math.max(widthPercent, 2)}%">
@@ -241,6 +262,57 @@ const GoalsManager = {
     }).join('');
   },
 
+  /**
+   * Form drop-off: each field is a funnel step (interactions that reached it),
+   * its connector shows the share abandoned at that field, and the last step
+   * is the submissions
+   */
+  renderForms(forms) {
+    const container = document.getElementById('forms-list');
+    const section = document.getElementById('forms-section');
+    if (!container || !section) return;
+
+    section.style.display = '';
+
+    if (!forms || forms.length === 0) {
+      container.innerHTML = `
+        <div style="text-align: center; padding: var(--spacing-lg); color: var(--color-text-muted);">
+          <p>No form interactions recorded yet.</p>
+          <p style="font-size: var(--font-size-sm);">Add data-track-forms="true" to your tracker script tag and data-mn-form="name" to your forms.</p>
+        </div>`;
+      return;
+    }
+
+    container.innerHTML = forms.map(form => {
+      const steps = form.fields.map((field, i) => ({
+        stepNumber: i + 1,
+        name: field.field,
+        sessions: field.interactions,
+        conversionRate: field.reachRate,
+        dropOffRate: field.dropOffRate,
+        avgTimeFromPrevious: field.avgTimeMs / 1000
+      }));
+      steps.push({
+        stepNumber: steps.length + 1,
+        name: 'Submitted',
+        sessions: form.submissions,
+        conversionRate: form.completionRate,
+        dropOffRate: 0
+      });
+
+      return `
+        <div class="funnel-card">
+          <div class="funnel-card__header">
+            <h4>${Utils.escapeHtml(form.form)}</h4>
+            <span class="text-muted text-xs">${form.interactions} interactions &middot; ${form.completionRate.toFixed(1)}% submitted</span>
+          </div>
+          <div class="funnel-visualization">
+            ${this.renderFunnelSteps(steps, form.interactions, 'interactions')}
+          </div>
+        </div>`;
+    }).join('');
+  },
+
   formatDuration(seconds) {
     if (seconds < 60) return `${Math.round(seconds)}s avg`;
     if (seconds < 3600) return `${Math.round(seconds / 60)}m avg`;
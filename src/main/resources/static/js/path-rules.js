@@ -0,0 +1,144 @@
+/**
+ * Path Rules Manager
+ * Handles the per-project path normalization rules in the settings modal,
+ * with a live preview that applies the rules the same way the tracker does
+ */
+const PathRulesManager = {
+  // Built-in detectors, in the order the server and tracker apply them
+  detectors: [
+    ['email', /[A-Za-z0-9._%+\-]+(?:@|%40)[A-Za-z0-9.\-]+\.[A-Za-z]{2,}/g, ':email'],
+    ['uuid', /\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b/g, ':uuid'],
+    ['number', /\b\d{5,}\b/g, ':number'],
+  ],
+
+  initialized: false,
+  loadedProjectId: null,
+
+  /**
+   * Load a project's rules into the settings modal
+   */
+  async load(projectId) {
+    this.init();
+    const list = document.getElementById('path-rules-list');
+    if (!list) return;
+    list.innerHTML = '';
+    this.loadedProjectId = null;
+
+    try {
+      const config = await Utils.api.fetch(`/admin/projects/${projectId}/path-rules`, { useCache: false });
+      config.rules.forEach(rule => this.addRuleRow(rule.pattern, rule.template));
+      document.querySelectorAll('.path-detector-cb').forEach(cb => {
+        cb.checked = config.detectors.includes(cb.value);
+      });
+      this.loadedProjectId = projectId;
+    } catch (error) {
+      console.error('Failed to load path rules:', error);
+    }
+    this.updatePreview();
+  },
+
+  /**
+   * Save the rules currently in the form. Returns false when the server rejected them.
+   * Nothing is saved unless the project's rules were loaded, so a failed load never clears them.
+   */
+  async save(projectId) {
+    if (this.loadedProjectId !== projectId) return true;
+    const config = this.readForm();
+    try {
+      const response = await fetch(`/admin/projects/${projectId}/path-rules`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(config)
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        Utils.toast.error((body.details && body.details.join('; ')) || body.error || 'Failed to save path rules');
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to save path rules:', error);
+      Utils.toast.error('Failed to save path rules');
+      return false;
+    }
+  },
+
+  init() {
+    if (this.initialized) return;
+    this.initialized = true;
+
+    document.getElementById('add-path-rule-btn')?.addEventListener('click', () => this.addRuleRow('', ''));
+    document.getElementById('path-rule-preview-input')?.addEventListener('input', () => this.updatePreview());
+    document.getElementById('path-rules-list')?.addEventListener('input', () => this.updatePreview());
+    document.querySelectorAll('.path-detector-cb').forEach(cb => {
+      cb.addEventListener('change', () => this.updatePreview());
+    });
+  },
+
+  /**
+   * Add a pattern → template row to the rule list
+   */
+  addRuleRow(pattern, template) {
+    const list = document.getElementById('path-rules-list');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'path-rule-row';
+    row.setAttribute('role', 'listitem');
+    row.innerHTML = `
+      <input type="text" class="input" data-rule="pattern" placeholder="^/users/[^/]+" aria-label="Pattern (regular expression)">
+      <i class="ri-arrow-right-line" aria-hidden="true"></i>
+      <input type="text" class="input" data-rule="template" placeholder="/users/:id" aria-label="Template">
+      <button class="btn btn-ghost btn-icon" aria-label="Remove rule">
+        <i class="ri-close-line"></i>
+      </button>
+    `;
+    row.querySelector('[data-rule="pattern"]').value = pattern;
+    row.querySelector('[data-rule="template"]').value = template;
+    row.querySelector('button').addEventListener('click', () => {
+      row.remove();
+      this.updatePreview();
+    });
+    list.appendChild(row);
+  },
+
+  readForm() {
+    const rules = [];
+    document.querySelectorAll('#path-rules-list .path-rule-row').forEach(row => {
+      const pattern = row.querySelector('[data-rule="pattern"]').value.trim();
+      const template = row.querySelector('[data-rule="template"]').value.trim();
+      if (pattern) rules.push({ pattern, template });
+    });
+    const detectors = Array.from(document.querySelectorAll('.path-detector-cb'))
+      .filter(cb => cb.checked)
+      .map(cb => cb.value);
+    return { rules, detectors };
+  },
+
+  /**
+   * Apply rules, then detectors, to a path (mirrors the tracker and server)
+   */
+  normalize(path, config) {
+    let result = path;
+    config.rules.forEach(rule => {
+      try {
+        result = result.replace(new RegExp(rule.pattern, 'g'), rule.template);
+      } catch (e) {
+        // Invalid patterns are reported by the server on save
+      }
+    });
+    this.detectors.forEach(([name, regex, placeholder]) => {
+      if (config.detectors.includes(name)) result = result.replace(regex, placeholder);
+    });
+    return result.substring(0, 512) || '/';
+  },
+
+  updatePreview() {
+    const input = document.getElementById('path-rule-preview-input');
+    const output = document.getElementById('path-rule-preview-output');
+    if (!input || !output) return;
+
+    const path = input.value.trim();
+    output.textContent = path ? this.normalize(path, this.readForm()) : '—';
+  },
+};
@@ -16,6 +16,8 @@ const SettingsManager = {
       events: false,
       realtime: false,
       conversions: false,
+      performance: false,
+      errors: false,
     },
   },
 
@@ -2,21 +2,104 @@
 var s = document.currentScript;
 var key = s.getAttribute('data-project-key');
 var endpoint = s.getAttribute('data-api-endpoint') || window.location.origin + '/collect';
+try { endpoint = new URL(endpoint, window.location.origin + '/').href; } catch (e) { /* URL API unavailable */ }
+var apiBase = endpoint.replace(/\/collect$/, '');
 if (!key) return;
-var heartbeatInterval = parseInt(s.getAttribute('data-heartbeat-interval')) || 30000;
+var idleTimeout = parseInt(s.getAttribute('data-idle-timeout')) || 30000;
 var spaEnabled = s.getAttribute('data-disable-spa') !== 'true';
+var flushInterval = parseInt(s.getAttribute('data-flush-interval')) || 5000;
+var trackHash = s.getAttribute('data-track-hash') === 'true';
+var respectDnt = s.getAttribute('data-respect-dnt') === 'true';
+var requireConsent = s.getAttribute('data-require-consent') === 'true';
+var projectBundle = false;
+var config = null;
+function enabled(name, attr) {
+var value = attr ? s.getAttribute(attr) : null;
+if (value === 'true' || value === 'false') return value === 'true';
+if (config && config.modules) return config.modules.indexOf(name) !== -1;
+return projectBundle || !attr;
+}
+function globRegex(glob) {
+return new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+}
+var queryAllow = [];
+(s.getAttribute('data-include-query') || '').split(',').forEach(function(name) {
+name = name.trim();
+if (name) queryAllow.push(globRegex(name));
+});
+var searchParams = [];
+(s.getAttribute('data-search-param') || '').split(',').forEach(function(name) {
+name = name.trim();
+if (name) searchParams.push(name);
+});
+function randomId() {
+var a = new Uint8Array(16);
+crypto.getRandomValues(a);
+return Array.from(a, function(b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+}
 var sid = null;
 try {
 sid = sessionStorage.getItem('mn_sid');
 if (!sid) {
-var a = new Uint8Array(16);
-crypto.getRandomValues(a);
-sid = Array.from(a, function(b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+sid = randomId();
 sessionStorage.setItem('mn_sid', sid);
 }
 } catch (e) {
 sid = 'anon-' + Math.random().toString(36).substring(2, 15);
 }
+var xdToken = null;
+try {
+var xdUrl = new URL(location.href);
+xdToken = xdUrl.searchParams.get('_mn');
+if (xdToken) {
+xdUrl.searchParams.delete('_mn');
+history.replaceState(history.state, '', xdUrl.pathname + xdUrl.search + xdUrl.hash);
+}
+} catch (e) { /* URL API unavailable */ }
+var adopting = !!xdToken && !!window.fetch;
+function safePart(str) {
+return str.replace(/[^a-zA-Z0-9\/_\-?=&.%+#]/g, function(c) {
+var e = encodeURIComponent(c);
+return e === c ? '%' + c.charCodeAt(0).toString(16).toUpperCase() : e;
+});
+}
+function currentPath() {
+var path = location.pathname, query = [];
+if (queryAllow.length && location.search) {
+new URLSearchParams(location.search).forEach(function(value, name) {
+for (var i = 0; i < queryAllow.length; i++) {
+if (queryAllow[i].test(name)) {
+query.push(safePart(encodeURIComponent(name) + '=' + encodeURIComponent(value)));
+break;
+}
+}
+});
+}
+if (query.length) path += '?' + query.join('&');
+if (trackHash && location.hash.length > 1) path += safePart(location.hash);
+return path.substring(0, 512);
+}
+var PATH_DETECTORS = [
+['email', /[A-Za-z0-9._%+\-]+(?:@|%40)[A-Za-z0-9.\-]+\.[A-Za-z]{2,}/g, ':email'],
+['uuid', /\b[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}\b/g, ':uuid'],
+['number', /\b\d{5,}\b/g, ':number']
+];
+var pathRules = null;
+function usePathRules(config) {
+var rules = [];
+(config.rules || []).forEach(function(rule) {
+try { rules.push([new RegExp(rule.pattern, 'g'), rule.template]); } catch (e) { /* pattern unsupported in this browser */ }
+});
+PATH_DETECTORS.forEach(function(d) {
+if ((config.detectors || []).indexOf(d[0]) !== -1) rules.push([d[1], d[2]]);
+});
+pathRules = rules;
+}
+function normalizePath(path) {
+if (!pathRules) return path;
+for (var i = 0; i < pathRules.length; i++) path = path.replace(pathRules[i][0], pathRules[i][1]);
+return path.substring(0, 512) || '/';
+}
 function getUtmParams() {
 var params = new URLSearchParams(location.search);
 var map = {utm_source:'utmSource', utm_medium:'utmMedium', utm_campaign:'utmCampaign', utm_term:'utmTerm', utm_content:'utmContent'};
@@ -29,68 +112,376 @@ return JSON.parse(sessionStorage.getItem('mn_utm') || '{}');
 return utm;
 }
 }
+var optedOut = false;
+try { optedOut = localStorage.getItem('mn_optout') === '1'; } catch (e) { /* storage unavailable */ }
+function setOptOut(out) {
+optedOut = out;
+if (out) buffer = [];
+try {
+if (out) localStorage.setItem('mn_optout', '1');
+else localStorage.removeItem('mn_optout');
+} catch (e) { /* storage unavailable */ }
+}
+var privacySignal = respectDnt &&
+(navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
 var MN_QUEUE_KEY = 'mn_queue';
-var MN_QUEUE_MAX = 20;
-function queuePush(payload) {
+var MN_QUEUE_MAX = 500;
+var MN_QUEUE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+function lsRead() {
 try {
 var queue = JSON.parse(localStorage.getItem(MN_QUEUE_KEY) || '[]');
-if (!Array.isArray(queue)) queue = [];
-if (queue.length < MN_QUEUE_MAX) {
-queue.push(payload);
-localStorage.setItem(MN_QUEUE_KEY, JSON.stringify(queue));
+if (!Array.isArray(queue)) return [];
+for (var i = 0; i < queue.length; i++) {
+if (!queue[i].eventId) queue[i].eventId = randomId();
+if (!queue[i].timestamp) queue[i].timestamp = Date.now();
+}
+return queue;
+} catch (e) { return []; }
 }
+function lsWrite(queue) {
+try {
+if (queue.length) localStorage.setItem(MN_QUEUE_KEY, JSON.stringify(queue));
+else localStorage.removeItem(MN_QUEUE_KEY);
 } catch (e) { /* storage unavailable */ }
 }
-function queueDrain() {
+var lsStore = {
+put: function(items, cb) {
+var all = lsRead().concat(items), cutoff = Date.now() - MN_QUEUE_MAX_AGE, seen = {}, queue = [];
+for (var i = 0; i < all.length; i++) {
+if (!seen[all[i].eventId] && all[i].timestamp > cutoff) {
+seen[all[i].eventId] = true;
+queue.push(all[i]);
+}
+}
+queue.sort(function(a, b) { return a.timestamp - b.timestamp; });
+lsWrite(queue.slice(-MN_QUEUE_MAX));
+if (cb) cb();
+},
+read: function(limit, cb) { cb(lsRead().slice(0, limit)); },
+remove: function(ids, cb) {
+lsWrite(lsRead().filter(function(ev) { return ids.indexOf(ev.eventId) < 0; }));
+if (cb) cb();
+}
+};
+function idbStore(db) {
+function done(t, cb) { t.oncomplete = t.onerror = t.onabort = function() { if (cb) cb(); }; }
+return {
+put: function(items, cb) {
+var t = db.transaction('queue', 'readwrite'), os = t.objectStore('queue');
+for (var i = 0; i < items.length; i++) os.put(items[i]);
+var cutoff = Date.now() - MN_QUEUE_MAX_AGE;
+os.count().onsuccess = function(e) {
+var excess = e.target.result - MN_QUEUE_MAX;
+os.index('timestamp').openCursor().onsuccess = function(ev) {
+var c = ev.target.result;
+if (c && (excess > 0 || c.value.timestamp < cutoff)) {
+c.delete();
+excess--;
+c.continue();
+}
+};
+};
+t.onabort = function() { lsStore.put(items, cb); };
+t.oncomplete = function() { if (cb) cb(); };
+},
+read: function(limit, cb) {
+var t = db.transaction('queue', 'readonly'), out = [];
+t.objectStore('queue').index('timestamp').openCursor().onsuccess = function(e) {
+var c = e.target.result;
+if (c && out.length < limit) {
+out.push(c.value);
+c.continue();
+}
+};
+done(t, function() { cb(out); });
+},
+remove: function(ids, cb) {
+var t = db.transaction('queue', 'readwrite'), os = t.objectStore('queue');
+for (var i = 0; i < ids.length; i++) os.delete(ids[i]);
+done(t, cb);
+}
+};
+}
+var store = lsStore;
+var MN_RETRY_BASE = 2000;
+var MN_RETRY_MAX = 5 * 60 * 1000;
+var MN_DRAIN_BATCH = 50;
+var MN_DRAIN_BYTES = 60000;
+var retryDelay = MN_RETRY_BASE;
+var retryTimer = null;
+var draining = false;
+var collectUrl = endpoint + '?key=' + key;
+function serialize(batch) {
+var now = Date.now();
+for (var i = 0; i < batch.length; i++) {
+batch[i].sentAt = now;
+batch[i].path = normalizePath(batch[i].path);
+}
+return JSON.stringify(batch);
+}
+function post(batch, cb) {
+if (!window.fetch) { cb(navigator.sendBeacon(collectUrl, serialize(batch))); return; }
+fetch(collectUrl, { method: 'POST', body: serialize(batch), keepalive: true })
+.then(function(r) { cb(r.status !== 429 && r.status < 500); }, function() { cb(false); });
+}
+function scheduleRetry() {
+if (retryTimer) return;
+var delay = retryDelay;
+retryDelay = Math.min(retryDelay * 2, MN_RETRY_MAX);
+retryTimer = setTimeout(function() { retryTimer = null; drain(); }, delay * (0.5 + Math.random() / 2));
+}
+function fitBatch(events) {
+var size = 2;
+for (var i = 0; i < events.length; i++) {
+size += new Blob([JSON.stringify(events[i])]).size + 1;
+if (size > MN_DRAIN_BYTES && i > 0) return events.slice(0, i);
+}
+return events;
+}
+function drain() {
+if (draining || navigator.onLine === false || optedOut || privacySignal) return;
+draining = true;
+store.read(MN_DRAIN_BATCH, function(events) {
+if (!events.length) { draining = false; return; }
+var batch = fitBatch(events);
+post(batch, function(ok) {
+if (!ok) { draining = false; scheduleRetry(); return; }
+retryDelay = MN_RETRY_BASE;
+store.remove(batch.map(function(ev) { return ev.eventId; }), function() {
+draining = false;
+if (batch.length < events.length || events.length === MN_DRAIN_BATCH) drain();
+});
+});
+});
+}
 try {
-var queue = JSON.parse(localStorage.getItem(MN_QUEUE_KEY) || '[]');
-if (!Array.isArray(queue) || !queue.length) return;
-var remaining = [];
-for (var i = 0; i < queue.length; i++) {
-var ok = navigator.sendBeacon(endpoint + '?key=' + key, JSON.stringify(queue[i]));
-if (!ok) remaining.push(queue[i]);
+var req = indexedDB.open('mn', 1);
+req.onupgradeneeded = function() {
+req.result.createObjectStore('queue', { keyPath: 'eventId' }).createIndex('timestamp', 'timestamp');
+};
+req.onsuccess = function() {
+var legacy = lsRead();
+store = idbStore(req.result);
+if (legacy.length) store.put(legacy, function() { lsWrite([]); drain(); });
+else drain();
+};
+req.onerror = drain;
+} catch (e) { drain(); }
+window.addEventListener('online', function() { retryDelay = MN_RETRY_BASE; drain(); });
+var MN_BATCH_MAX = 10;
+var buffer = [];
+function flush(unloading) {
+if (!buffer.length || consent !== true || (adopting && unloading !== true)) return;
+var batch = buffer;
+buffer = [];
+if (unloading === true) {
+if (!navigator.sendBeacon(collectUrl, serialize(batch))) store.put(batch);
+return;
 }
-if (remaining.length) {
-localStorage.setItem(MN_QUEUE_KEY, JSON.stringify(remaining));
-} else {
-localStorage.removeItem(MN_QUEUE_KEY);
+post(batch, function(ok) {
+if (!ok) store.put(batch, scheduleRetry);
+});
+}
+setInterval(flush, flushInterval);
+window.addEventListener('pagehide', function() { flush(true); });
+var MN_HOLD_MAX = 100;
+var consent = requireConsent ? null : true;
+function setConsent(granted) {
+consent = !!granted;
+if (consent) flush();
+else buffer = [];
+}
+var MN_CONFIG_KEY = 'mn_config_' + key;
+var excludeAttr = [];
+(s.getAttribute('data-exclude') || '').split(',').forEach(function(glob) {
+glob = glob.trim();
+if (glob) excludeAttr.push(globRegex(glob));
+});
+var excludedPaths = excludeAttr;
+function sampleBucket(id) {
+var h = 0;
+for (var i = 0; i < id.length; i++) h = (h * 31 + id.charCodeAt(i)) >>> 0;
+return h % 100;
 }
+var attrSampleRate = parseInt(s.getAttribute('data-sample-rate'));
+var hasSampleAttr = attrSampleRate >= 1 && attrSampleRate <= 100;
+var sampleRate = hasSampleAttr ? attrSampleRate : 100;
+var sampledOut = false;
+function updateSampling() {
+sampledOut = !adopting && sampleBucket(sid) >= sampleRate;
+if (sampledOut) buffer = [];
+}
+updateSampling();
+function isExcluded(path) {
+path = String(path).split(/[?#]/)[0];
+for (var i = 0; i < excludedPaths.length; i++) {
+if (excludedPaths[i].test(path)) return true;
+}
+return false;
+}
+function useConfig(c) {
+config = c;
+usePathRules(c.pathRules || {});
+excludedPaths = excludeAttr.concat((c.excludedPaths || []).map(globRegex));
+if (!hasSampleAttr) sampleRate = c.sampleRate || 100;
+updateSampling();
+buffer = buffer.filter(function(ev) { return !isExcluded(ev.path); });
+buffer.forEach(function(ev) {
+if (sampleRate < 100) ev.sampleRate = sampleRate;
+else delete ev.sampleRate;
+});
+}
+try {
+var cachedConfig = JSON.parse(localStorage.getItem(MN_CONFIG_KEY));
+if (cachedConfig) useConfig(cachedConfig);
 } catch (e) { /* storage unavailable */ }
+var configChecked = false;
+try { configChecked = sessionStorage.getItem('mn_config') === '1'; } catch (e) { /* storage unavailable */ }
+if (!configChecked && window.fetch) {
+fetch(apiBase + '/tracker/config?key=' + encodeURIComponent(key), { cache: 'no-cache' })
+.then(function(r) { return r.ok ? r.json() : null; })
+.then(function(c) {
+if (!c) return;
+useConfig(c);
+try {
+localStorage.setItem(MN_CONFIG_KEY, JSON.stringify(c));
+sessionStorage.setItem('mn_config', '1');
+} catch (e) { /* storage unavailable */ }
+}, function() { /* keep the cached config */ });
+}
+if (adopting) {
+fetch(apiBase + '/tracker/session?key=' + encodeURIComponent(key) + '&token=' + encodeURIComponent(xdToken))
+.then(function(r) { return r.ok ? r.json() : null; })
+.then(function(r) {
+if (!r || !r.sessionId) return;
+sid = r.sessionId;
+try { sessionStorage.setItem('mn_sid', sid); } catch (e) { /* storage unavailable */ }
+buffer.forEach(function(ev) { ev.sessionId = sid; });
+}, function() { /* keep this tab's session */ })
+.then(function() {
+adopting = false;
+updateSampling();
+flush();
+});
 }
-queueDrain();
-window.addEventListener('online', queueDrain);
+if (config && config.spaMode === 'off') spaEnabled = false;
+if (config && config.spaMode === 'hash' && s.getAttribute('data-track-hash') === null) trackHash = true;
 function send(type, eventName, extra) {
+if (optedOut || privacySignal || sampledOut || consent === false) return;
+if (consent === null && buffer.length >= MN_HOLD_MAX) return;
 var payload = {
-path: location.pathname,
+path: currentPath(),
 referrer: document.referrer || null,
 sessionId: sid,
-type: type || 'pageview'
+type: type || 'pageview',
+eventId: randomId(),
+timestamp: Date.now()
 };
+if (sampleRate < 100) payload.sampleRate = sampleRate;
 if (eventName) payload.eventName = eventName;
 if (type === 'pageview') {
 var utm = getUtmParams();
 for (var k in utm) payload[k] = utm[k];
 }
 if (extra) { for (var k in extra) payload[k] = extra[k]; }
-var sent = navigator.sendBeacon(endpoint + '?key=' + key, JSON.stringify(payload));
-if (!sent) queuePush(payload);
+if (isExcluded(payload.path)) return;
+buffer.push(payload);
+if (buffer.length >= MN_BATCH_MAX) flush();
+}
+var defaultProps = {};
+function setDefaultProps(props) {
+if (!props || typeof props !== 'object') { defaultProps = {}; return; }
+for (var k in props) defaultProps[k] = props[k];
+}
+function withDefaults(props) {
+var merged = {}, any = false, k;
+for (k in defaultProps) { merged[k] = defaultProps[k]; any = true; }
+if (props && typeof props === 'object') {
+for (k in props) { merged[k] = props[k]; any = true; }
+}
+return any ? merged : null;
+}
+var api = {
+track: trackEvent,
+pageview: trackPageview,
+search: function(term, resultCount) { trackSearch(term, resultCount); },
+setDefaultProps: setDefaultProps,
+optOut: function() { setOptOut(true); },
+optIn: function() { setOptOut(false); },
+consent: setConsent,
+previewPath: function(path) { return normalizePath(path || currentPath()); },
+getSessionId: function() { return optedOut || privacySignal || consent !== true ? null : sid; }
+};
+function dispatch(args) {
+var fn = api[args[0]];
+if (typeof fn === 'function') fn.apply(null, Array.prototype.slice.call(args, 1));
+}
+var queued = (window.mn && window.mn.q) || [];
+var SETTINGS = { setDefaultProps: 1, optOut: 1, optIn: 1, consent: 1 };
+for (var qi = 0; qi < queued.length; qi++) {
+if (SETTINGS[queued[qi][0]]) dispatch(queued[qi]);
+}
+var engagedMs = 0;
+var engagedSince = null;
+var engagedPath = null;
+var lastInput = 0;
+var idleTimer = null;
+var pageEndHandlers = [];
+var pageStartHandlers = [];
+function pauseEngagement() {
+if (engagedSince !== null) {
+engagedMs += Date.now() - engagedSince;
+engagedSince = null;
 }
-send('pageview');
-var hb = setInterval(function() { send('heartbeat'); }, heartbeatInterval);
+}
+function onInput() {
+var now = Date.now();
+if (engagedSince !== null && now - lastInput < 1000) return;
+lastInput = now;
+if (engagedSince === null && !document.hidden && document.hasFocus()) engagedSince = now;
+clearTimeout(idleTimer);
+idleTimer = setTimeout(pauseEngagement, idleTimeout);
+}
+function endEngagement(path) {
+pauseEngagement();
+if (engagedPath !== null) {
+for (var i = 0; i < pageEndHandlers.length; i++) pageEndHandlers[i]();
+}
+if (engagedPath !== null && engagedMs > 0) {
+send('engagement', null, { path: engagedPath, engagedMs: engagedMs });
+}
+engagedMs = 0;
+engagedPath = path;
+if (path !== null) onInput();
+}
+['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'].forEach(function(type) {
+window.addEventListener(type, onInput, { capture: true, passive: true });
+});
+window.addEventListener('focus', onInput);
+window.addEventListener('blur', pauseEngagement);
+window.addEventListener('pageshow', function() { if (engagedPath === null) endEngagement(currentPath()); });
+window.addEventListener('pagehide', function() {
+endEngagement(null);
+flush(true);
+});
 document.addEventListener('visibilitychange', function() {
 if (document.hidden) {
-if (hb) {
-clearInterval(hb);
-hb = null;
-}
+pauseEngagement();
+flush(true);
 } else {
-if (!hb) {
-hb = setInterval(function() { send('heartbeat'); }, heartbeatInterval);
-}
+onInput();
 }
 });
-var scrollThresholds = [25, 50, 75, 100];
+trackPageview();
+var scrollThresholds = [];
+(s.getAttribute('data-scroll-thresholds') || '').split(',').forEach(function(value) {
+var t = parseInt(value, 10);
+if (t > 0 && t <= 100 && scrollThresholds.indexOf(t) === -1) scrollThresholds.push(t);
+});
+if (!scrollThresholds.length) scrollThresholds = [25, 50, 75, 100];
+scrollThresholds.sort(function(a, b) { return a - b; });
 var scrollFired = {};
+pageStartHandlers.push(function() { scrollFired = {}; });
 function getScrollPercent() {
 var h = document.documentElement;
 var b = document.body;
@@ -98,54 +489,564 @@ var st = window.pageYOffset || h.scrollTop || b.scrollTop || 0;
 var sh = Math.max(h.scrollHeight, b.scrollHeight) - Math.max(h.clientHeight, b.clientHeight);
 return sh > 0 ? Math.round((st / sh) * 100) : 0;
 }
-window.addEventListener('scroll', function() {
+if (enabled('scroll')) window.addEventListener('scroll', function() {
 var pct = getScrollPercent();
 for (var i = 0; i < scrollThresholds.length; i++) {
 var t = scrollThresholds[i];
 if (pct >= t && !scrollFired[t]) {
 scrollFired[t] = true;
-send('scroll', null, { scrollDepth: t });
+var ms = engagedMs + (engagedSince !== null ? Date.now() - engagedSince : 0);
+send('scroll', null, { scrollDepth: t, properties: JSON.stringify({ ms: ms }) });
 }
 }
 });
-var fileExts = /\.(pdf|zip|xlsx?|docx?|pptx?|csv|rar|7z|tar|gz|dmg|exe|mp3|mp4|avi|mov)$/i;
+function trackEvent(name, props) {
+var extra = {};
+var merged = withDefaults(props);
+if (merged) extra.properties = JSON.stringify(merged);
+send('custom', name, extra);
+}
+function trackPageview(path, props) {
+var extra = {};
+if (path) extra.path = String(path);
+endEngagement(extra.path || currentPath());
+for (var h = 0; h < pageStartHandlers.length; h++) pageStartHandlers[h]();
+var merged = withDefaults(props);
+if (merged) extra.properties = JSON.stringify(merged);
+send('pageview', null, extra);
+if (searchParams.length) {
+var query = new URLSearchParams(path ? (String(path).split('?')[1] || '').split('#')[0] : location.search);
+for (var i = 0; i < searchParams.length; i++) {
+var term = query.get(searchParams[i]);
+if (term) {
+trackSearch(term, null, extra.path);
+break;
+}
+}
+}
+}
+function trackSearch(term, resultCount, path) {
+term = String(term == null ? '' : term).replace(/\s+/g, ' ').trim().toLowerCase().substring(0, 100);
+if (!term) return;
+var props = { term: term };
+if (typeof resultCount === 'number' && isFinite(resultCount) && resultCount >= 0) props.results = Math.floor(resultCount);
+var extra = { properties: JSON.stringify(props) };
+if (path) extra.path = path;
+send('search', null, extra);
+}
+function attrName(value) {
+return String(value == null ? '' : value).trim().replace(/[^\w\-. ]/g, '_').substring(0, 100).trim();
+}
+function attrProps(el) {
+var props = null;
+for (var i = 0; i < el.attributes.length; i++) {
+var a = el.attributes[i];
+if (a.name.indexOf('data-mn-prop-') === 0 && a.name.length > 13) {
+props = props || {};
+props[a.name.substring(13)] = a.value;
+}
+}
+return props;
+}
+document.addEventListener('submit', function(e) {
+var form = e.target;
+var name = form && form.getAttribute ? attrName(form.getAttribute('data-mn-form')) : '';
+if (name) trackEvent(name, attrProps(form));
+}, true);
+if (enabled('forms', 'data-track-forms')) {
+var MN_FORM_FIELDS = 20;
+var formStates = [];
+function formField(el) {
+var form = el && el.form;
+if (!form || !form.getAttribute || !attrName(form.getAttribute('data-mn-form'))) return null;
+var type = (el.type || '').toLowerCase();
+if (!/^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName) || /^(hidden|submit|button|reset|image)$/.test(type)) return null;
+return String(el.getAttribute('name') || el.id || type || el.tagName.toLowerCase()).substring(0, 50);
+}
+function formState(form, create) {
+for (var i = 0; i < formStates.length; i++) {
+if (formStates[i].form === form) return formStates[i];
+}
+if (!create) return null;
+var st = { form: form, name: attrName(form.getAttribute('data-mn-form')), fields: [], times: {}, current: null, since: 0, last: null };
+formStates.push(st);
+return st;
+}
+function leaveField(st) {
+if (st.current !== null) {
+st.times[st.current] += Date.now() - st.since;
+st.current = null;
+}
+}
+function sendForm(st, outcome, extra) {
+leaveField(st);
+formStates.splice(formStates.indexOf(st), 1);
+var fields = st.fields.map(function(name) { return { name: name, ms: st.times[name] }; });
+extra = extra || {};
+extra.properties = JSON.stringify({ outcome: outcome, fields: fields, last: st.last });
+send('form', st.name, extra);
+}
+document.addEventListener('focusin', function(e) {
+var name = formField(e.target);
+if (!name) return;
+var st = formState(e.target.form, true);
+leaveField(st);
+if (!(name in st.times)) {
+if (st.fields.length >= MN_FORM_FIELDS) return;
+st.fields.push(name);
+st.times[name] = 0;
+}
+st.current = name;
+st.since = Date.now();
+st.last = name;
+}, true);
+document.addEventListener('focusout', function(e) {
+var st = formField(e.target) && formState(e.target.form, false);
+if (st) leaveField(st);
+}, true);
+document.addEventListener('submit', function(e) {
+var form = e.target;
+if (!form || !form.getAttribute || !attrName(form.getAttribute('data-mn-form'))) return;
+sendForm(formState(form, true), 'submitted');
+}, true);
+pageEndHandlers.push(function() {
+while (formStates.length) sendForm(formStates[0], 'abandoned', { path: engagedPath });
+});
+}
+function onDomains(host, domains) {
+for (var i = 0; i < domains.length; i++) {
+var d = domains[i];
+if (host === d || host.slice(-d.length - 1) === '.' + d) return true;
+}
+return false;
+}
+function closestLink(target) {
+return target && target.closest ? target.closest('a[href]') : null;
+}
+var linkHandlers = [];
+var lastFollowed = null;
+function followLink(href) {
+try {
+var url = new URL(href, location.href);
+var now = Date.now();
+if (lastFollowed && lastFollowed.href === url.href && now - lastFollowed.at < 500) return;
+lastFollowed = { href: url.href, at: now };
+for (var i = 0; i < linkHandlers.length; i++) {
+if (linkHandlers[i](url)) return;
+}
+} catch (ex) { /* ignore invalid URLs */ }
+}
 document.addEventListener('click', function(e) {
-var link = e.target.closest ? e.target.closest('a') : null;
-if (!link || !link.href) return;
+var tagged = e.target.closest ? e.target.closest('[data-mn-event]') : null;
+var name = tagged ? attrName(tagged.getAttribute('data-mn-event')) : '';
+if (name) trackEvent(name, attrProps(tagged));
+var link = closestLink(e.target);
+if (link) followLink(link.href);
+});
+document.addEventListener('auxclick', function(e) {
+var link = e.button === 1 && closestLink(e.target);
+if (link) followLink(link.href);
+});
+document.addEventListener('keydown', function(e) {
+var link = e.key === 'Enter' && closestLink(e.target);
+if (link) followLink(link.href);
+});
+var origOpen = window.open;
+if (typeof origOpen === 'function') {
+window.open = function(href) {
+if (href) followLink(String(href));
+return origOpen.apply(this, arguments);
+};
+}
+var xdDomains = [];
+(s.getAttribute('data-cross-domain') || '').split(',').forEach(function(domain) {
+domain = domain.trim().toLowerCase();
+if (domain) xdDomains.push(domain);
+});
+var xdSession = null;
+function xdLink(target) {
+var link = closestLink(target);
+if (!link) return null;
 try {
 var url = new URL(link.href, location.origin);
-if (fileExts.test(url.pathname)) {
-var fname = url.pathname.split('/').pop() || url.pathname;
-send('download', fname.substring(0, 100), { targetUrl: link.href.substring(0, 1024) });
-return;
+if (url.protocol.indexOf('http') !== 0 || url.hostname === location.hostname) return null;
+if (onDomains(url.hostname, xdDomains)) return { link: link, url: url };
+} catch (e) { /* ignore invalid URLs */ }
+return null;
+}
+function xdRefresh() {
+if (optedOut || privacySignal || consent !== true) return;
+if (xdSession && (xdSession.pending || xdSession.sid === sid && xdSession.expires - Date.now() > 60000)) return;
+var requested = sid;
+xdSession = { pending: true };
+fetch(apiBase + '/tracker/session-token?key=' + encodeURIComponent(key) + '&sid=' + encodeURIComponent(requested))
+.then(function(r) { return r.ok ? r.json() : null; })
+.then(function(t) {
+xdSession = t ? { token: t.token, sid: requested, expires: Date.now() + t.expiresIn * 1000 } : null;
+}, function() { xdSession = null; });
+}
+function xdDecorate(e) {
+var target = xdLink(e.target);
+if (!target || !xdSession || !xdSession.token || xdSession.sid !== sid || xdSession.expires <= Date.now()) return;
+target.url.searchParams.set('_mn', xdSession.token);
+target.link.href = target.url.href;
+}
+if (xdDomains.length && window.fetch) {
+xdRefresh();
+['mouseover', 'focusin', 'touchstart'].forEach(function(type) {
+document.addEventListener(type, function(e) { if (xdLink(e.target)) xdRefresh(); }, { passive: true });
+});
+document.addEventListener('click', xdDecorate);
+document.addEventListener('auxclick', xdDecorate);
+document.addEventListener('contextmenu', xdDecorate);
+}
+var MN_DOWNLOAD_EXTS = ['pdf', 'zip', 'xls', 'xlsx', 'doc', 'docx', 'ppt', 'pptx', 'csv', 'rar',
+'7z', 'tar', 'gz', 'dmg', 'exe', 'mp3', 'mp4', 'avi', 'mov'];
+var downloadAttr = [];
+(s.getAttribute('data-download-patterns') || '').split(',').forEach(function(glob) {
+glob = glob.trim();
+if (glob) downloadAttr.push(globRegex(glob));
+});
+function isDownload(url) {
+var ext = /\.([^.\/]+)$/.exec(url.pathname);
+var exts = (config && config.downloadExtensions) || MN_DOWNLOAD_EXTS;
+if (ext && exts.indexOf(ext[1].toLowerCase()) !== -1) return true;
+if (url.hostname !== location.hostname) return false;
+var patterns = downloadAttr.concat(((config && config.downloadPatterns) || []).map(globRegex));
+for (var i = 0; i < patterns.length; i++) {
+if (patterns[i].test(url.pathname)) return true;
+}
+return false;
+}
+function fileName(url) {
+var name = url.pathname.replace(/\/+$/, '').split('/').pop() || url.hostname;
+try { name = decodeURIComponent(name); } catch (e) { /* keep it encoded */ }
+return name.replace(/[^\w. -]/g, '_').substring(0, 100);
+}
+if (enabled('downloads')) linkHandlers.push(function(url) {
+if (!isDownload(url)) return false;
+send('download', fileName(url), { targetUrl: url.href.substring(0, 1024) });
+return true;
+});
+var internalAttr = [];
+(s.getAttribute('data-internal-domains') || '').split(',').forEach(function(domain) {
+domain = domain.trim().toLowerCase().replace(/^\*?\./, '');
+if (domain) internalAttr.push(domain);
+});
+function contactTarget(url) {
+var target = url.pathname;
+try { target = decodeURIComponent(target); } catch (e) { /* keep it encoded */ }
+if (url.protocol === 'tel:') return 'tel:' + target.replace(/[\s().-]/g, '');
+return 'mailto:' + target.trim().toLowerCase();
+}
+if (enabled('outbound')) linkHandlers.push(function(url) {
+if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+send(url.protocol.slice(0, -1), null, { targetUrl: contactTarget(url).substring(0, 1024) });
+return true;
+}
+if (!url.hostname || url.hostname === location.hostname || url.protocol.indexOf('http') !== 0) return false;
+if (onDomains(url.hostname, internalAttr.concat((config && config.internalDomains) || []))) return false;
+send('outbound', url.hostname, { targetUrl: url.href.substring(0, 1024) });
+return true;
+});
+if (enabled('frustration', 'data-track-frustration')) {
+var MN_RAGE_CLICKS = 3;
+var MN_RAGE_WINDOW = 1000;
+var MN_RAGE_RADIUS = 30;
+var MN_DEAD_WAIT = 1000;
+var MN_INTERACTIVE = 'a,button,input,select,textarea,label,summary,video,audio,[onclick],[tabindex],' +
+'[contenteditable],[role=button],[role=link],[role=checkbox],[role=tab],[role=menuitem],[role=option]';
+var recentClicks = [];
+var rageBurst = null;
+var rageTimer = null;
+var deadClick = null;
+var deadTimer = null;
+var deadObserver = window.MutationObserver ? new MutationObserver(function() { settleDeadClick(false); }) : null;
+function cssPath(el) {
+var parts = [];
+while (el && el.nodeType === 1 && parts.length < 5) {
+var tag = el.tagName.toLowerCase();
+if (tag === 'html' || tag === 'body') break;
+if (el.id && /^[A-Za-z][\w-]*$/.test(el.id)) {
+parts.unshift(tag + '#' + el.id);
+break;
+}
+var part = tag;
+var classes = typeof el.className === 'string' ? el.className.split(/\s+/) : [];
+classes.filter(function(c) { return /^[A-Za-z][\w-]*$/.test(c); }).slice(0, 2).forEach(function(c) {
+part += '.' + c;
+});
+var parent = el.parentNode;
+if (parent && parent.children) {
+var same = Array.prototype.filter.call(parent.children, function(c) { return c.tagName === el.tagName; });
+if (same.length > 1) part += ':nth-of-type(' + (same.indexOf(el) + 1) + ')';
+}
+parts.unshift(part);
+el = parent;
 }
-if (url.hostname && url.hostname !== location.hostname && url.protocol.indexOf('http') === 0) {
-send('outbound', url.hostname, { targetUrl: link.href.substring(0, 1024) });
+return parts.join(' > ').substring(0, 256) || 'body';
 }
-} catch(ex) { /* ignore invalid URLs */ }
+function sendRage() {
+clearTimeout(rageTimer);
+if (rageBurst) {
+send('rage_click', null, {
+path: rageBurst.path,
+properties: JSON.stringify({ selector: cssPath(rageBurst.el), clicks: rageBurst.clicks })
 });
-if (spaEnabled) {
-var lastPath = location.pathname;
+}
+rageBurst = null;
+recentClicks = [];
+}
+function settleDeadClick(dead) {
+clearTimeout(deadTimer);
+if (deadObserver) deadObserver.disconnect();
+if (dead && deadClick && location.href === deadClick.href) {
+send('dead_click', null, { properties: JSON.stringify({ selector: deadClick.selector }) });
+}
+deadClick = null;
+}
+document.addEventListener('click', function(e) {
+var el = e.target;
+if (!el || el.nodeType !== 1) return;
+var now = Date.now();
+recentClicks = recentClicks.filter(function(c) {
+return now - c.t <= MN_RAGE_WINDOW &&
+Math.abs(c.x - e.clientX) <= MN_RAGE_RADIUS && Math.abs(c.y - e.clientY) <= MN_RAGE_RADIUS;
+});
+if (!recentClicks.length && rageBurst) sendRage();
+recentClicks.push({ t: now, x: e.clientX, y: e.clientY, el: el });
+if (rageBurst) {
+rageBurst.clicks++;
+} else if (recentClicks.length >= MN_RAGE_CLICKS) {
+rageBurst = { el: recentClicks[0].el, clicks: recentClicks.length, path: currentPath() };
+}
+if (rageBurst) {
+clearTimeout(rageTimer);
+rageTimer = setTimeout(sendRage, MN_RAGE_WINDOW);
+}
+var selecting = window.getSelection && String(window.getSelection());
+if (!deadObserver || selecting || (el.closest && el.closest(MN_INTERACTIVE))) return;
+settleDeadClick(false);
+deadClick = { selector: cssPath(el), href: location.href };
+deadObserver.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+deadTimer = setTimeout(function() { settleDeadClick(true); }, MN_DEAD_WAIT);
+}, true);
+pageEndHandlers.push(function() {
+sendRage();
+settleDeadClick(false);
+});
+}
+var impressionsSeen = {};
+var impressionObserver = null;
+var impressionTimers = null;
+function observeImpressions(restart) {
+if (!impressionObserver) return;
+var els = document.querySelectorAll('[data-mn-impression]');
+for (var i = 0; i < els.length; i++) {
+if (restart) impressionObserver.unobserve(els[i]);
+impressionObserver.observe(els[i]);
+}
+}
+if (enabled('impressions') && window.IntersectionObserver && window.WeakMap) {
+impressionTimers = new WeakMap();
+impressionObserver = new IntersectionObserver(function(entries) {
+entries.forEach(function(entry) {
+var el = entry.target;
+clearTimeout(impressionTimers.get(el));
+if (!entry.isIntersecting || entry.intersectionRatio < 0.5) return;
+impressionTimers.set(el, setTimeout(function() {
+var name = attrName(el.getAttribute('data-mn-impression'));
+if (!name || impressionsSeen[name] || document.hidden) return;
+impressionsSeen[name] = true;
+var click = attrName(el.getAttribute('data-mn-event'));
+send('impression', name, click ? { properties: JSON.stringify({ event: click }) } : null);
+}, 1000));
+});
+}, { threshold: 0.5 });
+observeImpressions(false);
+if (window.MutationObserver) {
+var impressionScan = null;
+new MutationObserver(function() {
+clearTimeout(impressionScan);
+impressionScan = setTimeout(function() { observeImpressions(false); }, 200);
+}).observe(document.documentElement, { childList: true, subtree: true });
+}
+document.addEventListener('visibilitychange', function() {
+if (!document.hidden) observeImpressions(true);
+});
+}
+pageStartHandlers.push(function() {
+impressionsSeen = {};
+observeImpressions(true);
+});
+var mediaStates = [];
+var mediaMilestones = [25, 50, 75, 100];
+function mediaState(el) {
+for (var i = 0; i < mediaStates.length; i++) {
+if (mediaStates[i].el === el) return mediaStates[i];
+}
+var st = { el: el, started: false, ended: false, reached: {}, playingSince: null, watchMs: 0 };
+mediaStates.push(st);
+return st;
+}
+function sendMedia(st, props, extra) {
+var src = (st.el.currentSrc || '').split('?')[0].split('/').pop();
+var name = attrName(st.el.getAttribute('data-mn-media')) || attrName(src) || st.el.tagName.toLowerCase();
+extra = extra || {};
+extra.properties = JSON.stringify(props);
+send('media', name, extra);
+}
+function stopWatching(st) {
+if (st.playingSince === null) return;
+st.watchMs += Date.now() - st.playingSince;
+st.playingSince = null;
+}
+function mediaProgress(st, percent) {
+for (var i = 0; i < mediaMilestones.length; i++) {
+var m = mediaMilestones[i];
+if (percent >= m && !st.reached[m]) {
+st.reached[m] = true;
+sendMedia(st, { action: 'progress', percent: m });
+}
+}
+}
+if (enabled('media')) ['play', 'pause', 'ended', 'timeupdate'].forEach(function(type) {
+document.addEventListener(type, function(e) {
+var el = e.target;
+if (!el || !el.getAttribute || el.getAttribute('data-mn-media') === null) return;
+var st = mediaState(el);
+var duration = isFinite(el.duration) && el.duration > 0 ? el.duration : 0;
+if (type === 'play') {
+if (!st.started || st.ended) {
+st.started = true;
+st.ended = false;
+st.reached = {};
+var props = { action: 'play', kind: el.tagName.toLowerCase() };
+if (duration) props.duration = Math.round(duration);
+sendMedia(st, props);
+}
+if (st.playingSince === null) st.playingSince = Date.now();
+} else if (type === 'pause') {
+stopWatching(st);
+if (!el.ended) sendMedia(st, { action: 'pause', position: Math.round(el.currentTime || 0) });
+} else if (type === 'ended') {
+stopWatching(st);
+st.ended = true;
+if (duration) mediaProgress(st, 100);
+} else if (duration) {
+mediaProgress(st, (el.currentTime / duration) * 100);
+}
+}, true);
+});
+pageEndHandlers.push(function() {
+mediaStates.forEach(function(st) {
+var playing = st.playingSince !== null;
+stopWatching(st);
+if (st.watchMs > 0) sendMedia(st, { action: 'watch', ms: st.watchMs }, { path: engagedPath });
+st.watchMs = 0;
+if (playing) st.playingSince = Date.now();
+});
+});
+if (enabled('errors', 'data-track-errors')) {
+var MN_ERROR_MAX = 10;
+var errorsSeen = {};
+var errorCount = 0;
+try { errorCount = parseInt(sessionStorage.getItem('mn_errors')) || 0; } catch (e) { /* storage unavailable */ }
+function topFrame(stack) {
+var lines = String(stack || '').split('\n');
+for (var i = 0; i < lines.length; i++) {
+if (!/^\s*at |@/.test(lines[i])) continue;
+var m = /([^\s()@]+):(\d+):(\d+)\)?\s*$/.exec(lines[i]);
+if (m) return m[1].split(/[?#]/)[0] + ':' + m[2] + ':' + m[3];
+}
+return null;
+}
+function reportError(message, frame, kind) {
+message = String(message || 'Unknown error').substring(0, 500);
+var key = message + '\n' + (frame || '');
+if (errorsSeen[key] || errorCount >= MN_ERROR_MAX) return;
+errorsSeen[key] = true;
+errorCount++;
+try { sessionStorage.setItem('mn_errors', errorCount); } catch (e) { /* storage unavailable */ }
+var details = { message: message, kind: kind };
+if (frame) details.frame = frame.substring(0, 512);
+send('error', null, { properties: JSON.stringify(details) });
+}
+window.addEventListener('error', function(e) {
+if (!e.message) return;
+var frame = topFrame(e.error && e.error.stack);
+if (!frame && e.filename) frame = e.filename.split(/[?#]/)[0] + ':' + e.lineno + ':' + e.colno;
+reportError(e.message, frame, 'error');
+});
+window.addEventListener('unhandledrejection', function(e) {
+var r = e.reason;
+var message = r && r.message ? (r.name ? r.name + ': ' : '') + r.message : String(r);
+reportError(message, topFrame(r && r.stack), 'unhandledrejection');
+});
+}
+if (enabled('vitals', 'data-web-vitals') && window.PerformanceObserver) {
+var vitals = {};
+var vitalsPath = currentPath();
+var vitalsSent = false;
+var clsWindow = 0, clsFirst = 0, clsLast = 0;
+function observe(type, cb, opts) {
+try {
+var po = new PerformanceObserver(function(list) { list.getEntries().forEach(cb); });
+opts = opts || {};
+opts.type = type;
+opts.buffered = true;
+po.observe(opts);
+} catch (e) { /* entry type not supported by this browser */ }
+}
+observe('paint', function(e) {
+if (e.name === 'first-contentful-paint') vitals.fcp = Math.round(e.startTime);
+});
+observe('largest-contentful-paint', function(e) { vitals.lcp = Math.round(e.startTime); });
+observe('layout-shift', function(e) {
+if (e.hadRecentInput) return;
+if (clsWindow && e.startTime - clsLast < 1000 && e.startTime - clsFirst < 5000) {
+clsWindow += e.value;
+} else {
+clsWindow = e.value;
+clsFirst = e.startTime;
+}
+clsLast = e.startTime;
+vitals.cls = Math.max(vitals.cls || 0, Math.round(clsWindow * 1000) / 1000);
+});
+observe('event', function(e) {
+if (e.interactionId) vitals.inp = Math.max(vitals.inp || 0, Math.round(e.duration));
+}, { durationThreshold: 40 });
+function sendVitals() {
+if (vitalsSent) return;
+var nav = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+if (nav && nav.responseStart > 0) vitals.ttfb = Math.round(nav.responseStart);
+if (!Object.keys(vitals).length) return;
+vitalsSent = true;
+send('vitals', null, { path: vitalsPath, properties: JSON.stringify(vitals) });
+flush(true);
+}
+document.addEventListener('visibilitychange', function() { if (document.hidden) sendVitals(); });
+window.addEventListener('pagehide', sendVitals);
+}
+var lastPath = currentPath();
 function onNav() {
-if (lastPath !== location.pathname) {
-lastPath = location.pathname;
-scrollFired = {};
-send('pageview');
+var path = currentPath();
+if (lastPath !== path) {
+lastPath = path;
+trackPageview();
 }
 }
+if (spaEnabled && enabled('spa')) {
 var origPush = history.pushState;
 var origReplace = history.replaceState;
 history.pushState = function() { origPush.apply(this, arguments); onNav(); };
 history.replaceState = function() { origReplace.apply(this, arguments); onNav(); };
 window.addEventListener('popstate', onNav);
 }
-window.MiniNumbers = {
-track: function(name, props) {
-var extra = {};
-if (props && typeof props === 'object') {
-extra.properties = JSON.stringify(props);
+if (trackHash) window.addEventListener('hashchange', onNav);
+window.MiniNumbers = api;
+window.mn = function() { dispatch(arguments); };
+for (qi = 0; qi < queued.length; qi++) {
+if (!SETTINGS[queued[qi][0]]) dispatch(queued[qi]);
 }
-send('custom', name, extra);
-}
-};
 })();
\ No newline at end of file
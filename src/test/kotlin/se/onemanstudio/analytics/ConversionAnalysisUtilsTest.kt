@@ -62,7 +62,8 @@ class ConversionAnalysisUtilsTest {
         path: String,
         eventType: String = "pageview",
         eventName: String? = null,
-        timestamp: LocalDateTime = LocalDateTime.now()
+        timestamp: LocalDateTime = LocalDateTime.now(),
+        sampleRate: Int? = null
     ) {
         transaction {
             Events.insert {
@@ -73,6 +74,7 @@ class ConversionAnalysisUtilsTest {
                 it[Events.eventType] = eventType
                 it[Events.eventName] = eventName
                 it[Events.timestamp] = timestamp
+                it[Events.sampleRate] = sampleRate
             }
         }
     }
@@ -122,6 +124,24 @@ class ConversionAnalysisUtilsTest {
         assertEquals(50.0, rate)
     }
 
+    @Test
+    fun `goal conversions of sampled sessions are scaled and the rate is left as measured`() {
+        ensureTestDb()
+        val projectId = createProject()
+        val now = LocalDateTime.now()
+
+        // Sessions sampled at 25%, each standing for four sessions
+        insertEvent(projectId, "s1", "/checkout/success", timestamp = now.minusHours(1), sampleRate = 25)
+        insertEvent(projectId, "s2", "/home", timestamp = now.minusHours(1), sampleRate = 25)
+
+        val (conversions, rate) = transaction {
+            calculateGoalConversions("url", "/checkout/success", projectId, now.minusDays(1), now)
+        }
+
+        assertEquals(4L, conversions)
+        assertEquals(50.0, rate)
+    }
+
     @Test
     fun `goal conversions returns zero for empty project`() {
         ensureTestDb()
@@ -17,6 +17,8 @@ import se.onemanstudio.utils.generateReport
 import se.onemanstudio.utils.generateTimeSeries
 import se.onemanstudio.utils.getCurrentPeriod
 import se.onemanstudio.utils.getPreviousPeriod
+import se.onemanstudio.utils.samplingFactor
+import se.onemanstudio.utils.scaleCount
 import java.time.LocalDateTime
 import java.util.UUID
 import kotlin.test.*
@@ -156,6 +158,35 @@ class DataAnalysisUtilsTest {
         assertEquals(5, report.totalViews)
     }
 
+    @Test
+    fun `generateReport counts only pageviews as views`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            // One pageview followed by the events the tracker sends for the same page
+            listOf("pageview", "vitals", "scroll", "engagement", "engagement").forEachIndexed { i, type ->
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-1"
+                    it[sessionId] = "session-1"
+                    it[eventType] = type
+                    it[path] = "/home"
+                    it[browser] = "Firefox"
+                    it[timestamp] = now.minusMinutes(10L - i)
+                    it[duration] = 0
+                }
+            }
+        }
+
+        val report = generateReport(projectId, now.minusDays(1), now.plusMinutes(1))
+        assertEquals(1, report.totalViews)
+        assertEquals(1, report.topPages.single().value)
+        assertEquals(1, report.browsers.single().value)
+        assertEquals(1, report.uniqueVisitors)
+
+        val timeSeries = generateTimeSeries(projectId, now.minusDays(1), now.plusMinutes(1), "24h")
+        assertEquals(1, timeSeries.sumOf { it.views })
+    }
+
     @Test
     fun `generateReport returns correct uniqueVisitors count`() {
         val now = LocalDateTime.now()
@@ -269,6 +300,38 @@ class DataAnalysisUtilsTest {
         assertEquals(2, report.customEvents.first().value)
     }
 
+    @Test
+    fun `generateReport lists email and phone links apart from outbound links`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            listOf(
+                "mailto" to "mailto:sales@example.com",
+                "mailto" to "mailto:sales@example.com",
+                "tel" to "tel:+46701234567",
+                "outbound" to "https://github.com/example"
+            ).forEachIndexed { i, (type, target) ->
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-$i"
+                    it[sessionId] = "session-$i"
+                    it[eventType] = type
+                    it[eventName] = if (type == "outbound") "github.com" else null
+                    it[path] = "/contact"
+                    it[targetUrl] = target
+                    it[timestamp] = now.minusMinutes(i.toLong())
+                    it[duration] = 0
+                }
+            }
+        }
+
+        val report = generateReport(projectId, now.minusDays(1), now.plusMinutes(1))
+        assertEquals(
+            listOf("mailto:sales@example.com" to 2L, "tel:+46701234567" to 1L),
+            report.contactLinks.map { it.label to it.value }
+        )
+        assertEquals(listOf("https://github.com/example"), report.outboundLinks.map { it.label })
+    }
+
     @Test
     fun `generateReport returns empty lists for project with no events`() {
         val now = LocalDateTime.now()
@@ -400,6 +463,67 @@ class DataAnalysisUtilsTest {
         assertEquals(0.0, bounceRate, "Session with heartbeat should not be bounced")
     }
 
+    @Test
+    fun `calculateBounceRate uses engaged time of single-page sessions`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            // session-1 engaged for 4s (bounced), session-2 for 45s (not bounced)
+            listOf("session-1" to 4_000L, "session-2" to 45_000L).forEach { (session, ms) ->
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-$session"
+                    it[sessionId] = session
+                    it[eventType] = "pageview"
+                    it[path] = "/home"
+                    it[timestamp] = now.minusMinutes(10)
+                }
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-$session"
+                    it[sessionId] = session
+                    it[eventType] = "engagement"
+                    it[path] = "/home"
+                    it[timestamp] = now.minusMinutes(9)
+                    it[engagedMs] = ms
+                }
+            }
+        }
+
+        val bounceRate = transaction { calculateBounceRate(projectId, now.minusDays(1), now.plusMinutes(1)) }
+        assertEquals(50.0, bounceRate)
+    }
+
+    @Test
+    fun `generateReport averages engaged time per session`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            // session-1: two pages engaged for 12.5s and 7.5s; session-2: legacy heartbeat (30s)
+            listOf("/home" to 12_500L, "/pricing" to 7_500L).forEach { (page, ms) ->
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-1"
+                    it[sessionId] = "session-1"
+                    it[eventType] = "engagement"
+                    it[path] = page
+                    it[timestamp] = now.minusMinutes(5)
+                    it[engagedMs] = ms
+                }
+            }
+            Events.insert {
+                it[Events.projectId] = pid
+                it[visitorHash] = "visitor-2"
+                it[sessionId] = "session-2"
+                it[eventType] = "heartbeat"
+                it[path] = "/home"
+                it[timestamp] = now.minusMinutes(5)
+                it[duration] = 30
+            }
+        }
+
+        val report = generateReport(projectId, now.minusDays(1), now.plusMinutes(1))
+        assertEquals(25.0, report.avgSessionDuration)
+    }
+
     // ==================== Heatmap & Peak Times Tests ====================
 
     @Test
@@ -577,6 +701,71 @@ class DataAnalysisUtilsTest {
         assertEquals(2, timeSeries.first().uniqueVisitors, "Should count 2 unique visitors")
     }
 
+    // ==================== Sampling Tests ====================
+
+    @Test
+    fun `samplingFactor weights events by their sample rate`() {
+        assertEquals(1.0, samplingFactor(emptyMap()))
+        assertEquals(1.0, samplingFactor(mapOf<Int?, Long>(null to 40L, 100 to 2L)))
+        assertEquals(10.0, samplingFactor(mapOf<Int?, Long>(10 to 5L)))
+        // 2 unsampled events and 2 events sampled at 50% stand for 6 events
+        assertEquals(1.5, samplingFactor(mapOf<Int?, Long>(null to 2L, 50 to 2L)))
+    }
+
+    @Test
+    fun `scaleCount rounds to the nearest count`() {
+        assertEquals(7, scaleCount(7, 1.0))
+        assertEquals(33, scaleCount(10, 3.333))
+    }
+
+    @Test
+    fun `generateReport scales sampled counts and marks them estimated`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            // Two sessions sampled at 10%, each standing for ten sessions
+            listOf("session-1", "session-2").forEach { session ->
+                Events.insert {
+                    it[Events.projectId] = pid
+                    it[visitorHash] = "visitor-$session"
+                    it[sessionId] = session
+                    it[eventType] = "pageview"
+                    it[path] = "/home"
+                    it[timestamp] = now.minusMinutes(5)
+                    it[sampleRate] = 10
+                }
+            }
+        }
+
+        val report = generateReport(projectId, now.minusDays(1), now.plusMinutes(1))
+        assertTrue(report.estimated)
+        assertEquals(20, report.totalViews)
+        assertEquals(20, report.uniqueVisitors)
+        assertEquals(20, report.totalSessions)
+        assertEquals(20, report.topPages.first().value)
+
+        val timeSeries = generateTimeSeries(projectId, now.minusDays(1), now.plusMinutes(1), "24h")
+        assertEquals(20, timeSeries.sumOf { it.views })
+    }
+
+    @Test
+    fun `generateReport is exact without sampled events`() {
+        val now = LocalDateTime.now()
+        val projectId = initAndSeed { pid ->
+            Events.insert {
+                it[Events.projectId] = pid
+                it[visitorHash] = "visitor-1"
+                it[sessionId] = "session-1"
+                it[eventType] = "pageview"
+                it[path] = "/home"
+                it[timestamp] = now.minusMinutes(5)
+            }
+        }
+
+        val report = generateReport(projectId, now.minusDays(1), now.plusMinutes(1))
+        assertFalse(report.estimated)
+        assertEquals(1, report.totalViews)
+    }
+
     // ==================== Contribution Calendar Tests ====================
 
     @Test
@@ -0,0 +1,146 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.DownloadAnalysisUtils
+import java.time.LocalDateTime
+import kotlin.test.*
+
+/**
+ * Tests for the file downloads report and the downloads endpoint
+ */
+class DownloadAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private val base = LocalDateTime.of(2026, 3, 1, 12, 0)
+
+    private fun download(sessionId: String, visitor: String, url: String, path: String, minute: Long, file: String) =
+        DownloadAnalysisUtils.DownloadEvent(sessionId, visitor, file, url, path, base.plusMinutes(minute))
+
+    @Test
+    fun `referrerLabel keeps the domain of the referrer`() {
+        assertEquals("news.ycombinator.com", DownloadAnalysisUtils.referrerLabel("https://news.ycombinator.com/item?id=1"))
+        assertEquals("google.com", DownloadAnalysisUtils.referrerLabel("https://www.google.com/"))
+        assertEquals("Direct", DownloadAnalysisUtils.referrerLabel(null))
+        assertEquals("Direct", DownloadAnalysisUtils.referrerLabel(""))
+    }
+
+    @Test
+    fun `buildReport groups downloads by file and attributes them to pages and referrers`() {
+        val report = DownloadAnalysisUtils.buildReport(
+            listOf(
+                download("s1", "v1", "https://site.test/files/guide.pdf?sig=abc", "/docs", 0, "guide.pdf"),
+                download("s2", "v2", "https://site.test/files/guide.pdf?sig=def", "/docs", 1, "guide.pdf"),
+                download("s3", "v2", "https://site.test/files/guide.pdf", "/pricing", 2, "guide.pdf"),
+                download("s1", "v1", "https://site.test/download/app", "/", 3, "app")
+            ),
+            mapOf("s1" to "google.com", "s2" to "google.com")
+        )
+
+        assertEquals(4L, report.totalDownloads)
+        assertEquals(2L, report.uniqueFiles)
+        assertEquals(2L, report.visitors)
+
+        val guide = report.files.first()
+        assertEquals("guide.pdf", guide.file)
+        assertEquals("https://site.test/files/guide.pdf", guide.url)
+        assertEquals(3L, guide.downloads)
+        assertEquals(2L, guide.visitors)
+        assertEquals(listOf("/docs" to 2L, "/pricing" to 1L), guide.sourcePages.map { it.label to it.value })
+        assertEquals(listOf("google.com" to 2L, "Direct" to 1L), guide.referrers.map { it.label to it.value })
+
+        assertEquals("app", report.files[1].file)
+        assertEquals(listOf("google.com" to 3L, "Direct" to 1L), report.referrers.map { it.label to it.value })
+        assertEquals("/docs", report.sourcePages.first().label)
+    }
+
+    @Test
+    fun `buildReport of no downloads is empty`() {
+        val report = DownloadAnalysisUtils.buildReport(emptyList(), emptyMap())
+
+        assertEquals(0L, report.totalDownloads)
+        assertTrue(report.files.isEmpty())
+        assertTrue(report.referrers.isEmpty())
+    }
+
+    @Test
+    fun `downloads endpoint reports files with their source pages and referrers`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Download Test 1", "download-test1.com")
+            ?: return@testApplication
+
+        val now = System.currentTimeMillis()
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {"path": "/docs", "sessionId": "dl1", "type": "pageview",
+                        "referrer": "https://www.google.com/search", "timestamp": ${now - 120_000}},
+                    {"path": "/docs", "sessionId": "dl1", "type": "download", "eventName": "guide.pdf",
+                        "targetUrl": "https://download-test1.com/files/guide.pdf?v=2", "timestamp": ${now - 110_000}},
+                    {"path": "/", "sessionId": "dl2", "type": "pageview", "timestamp": ${now - 60_000}},
+                    {"path": "/", "sessionId": "dl2", "type": "download", "eventName": "app-installer",
+                        "targetUrl": "https://download-test1.com/download/app-installer", "timestamp": ${now - 50_000}}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":4"""))
+
+        val response = authClient.get("/admin/projects/$projectId/downloads?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""totalDownloads":2,"uniqueFiles":2"""))
+        assertTrue(body.contains(""""file":"guide.pdf","url":"https://download-test1.com/files/guide.pdf","downloads":1"""))
+        assertTrue(body.contains(""""sourcePages":[{"label":"/docs","value":1}],"referrers":[{"label":"google.com","value":1}]"""))
+        assertTrue(body.contains(""""file":"app-installer""""))
+        assertTrue(body.contains(""""label":"Direct","value":1"""))
+    }
+
+    @Test
+    fun `downloads endpoint rejects an invalid project ID`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        assertEquals(HttpStatusCode.BadRequest, authClient.get("/admin/projects/not-a-uuid/downloads").status)
+    }
+}
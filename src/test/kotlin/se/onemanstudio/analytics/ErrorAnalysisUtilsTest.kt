@@ -0,0 +1,207 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.deleteWhere
+import org.jetbrains.exposed.sql.transactions.transaction
+import org.junit.Test
+import se.onemanstudio.db.ErrorFingerprints
+import se.onemanstudio.module
+import se.onemanstudio.utils.ErrorAnalysisUtils
+import java.time.LocalDateTime
+import java.util.UUID
+import java.util.concurrent.atomic.AtomicInteger
+import kotlin.concurrent.thread
+import kotlin.test.*
+
+/**
+ * Tests for JavaScript error fingerprinting and the errors endpoint
+ */
+class ErrorAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `fingerprint is stable for the same message and frame`() {
+        val a = ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js:12:5")
+        val b = ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js:12:5")
+
+        assertEquals(a, b)
+        assertEquals(16, a.length)
+        assertTrue(a.all { it in '0'..'9' || it in 'a'..'f' })
+    }
+
+    @Test
+    fun `fingerprint ignores Uncaught prefix, whitespace and script query string`() {
+        val plain = ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js:12:5")
+
+        assertEquals(plain, ErrorAnalysisUtils.fingerprint("Uncaught TypeError:  x is undefined ", "https://example.com/app.js:12:5"))
+        assertEquals(plain, ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js?v=42:12:5"))
+    }
+
+    @Test
+    fun `fingerprint differs by message and by frame`() {
+        val base = ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js:12:5")
+
+        assertNotEquals(base, ErrorAnalysisUtils.fingerprint("TypeError: y is undefined", "https://example.com/app.js:12:5"))
+        assertNotEquals(base, ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://example.com/app.js:40:1"))
+        assertNotEquals(base, ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", null))
+    }
+
+    @Test
+    fun `parseError reads message, frame and kind`() {
+        val details = ErrorAnalysisUtils.parseError(
+            """{"message":"boom","frame":"https://example.com/api.js:57:11","kind":"unhandledrejection"}"""
+        )
+
+        assertNotNull(details)
+        assertEquals("boom", details.message)
+        assertEquals("https://example.com/api.js:57:11", details.frame)
+        assertEquals("unhandledrejection", details.kind)
+        assertNull(ErrorAnalysisUtils.parseError("""{"frame":"app.js:1:1"}"""))
+        assertNull(ErrorAnalysisUtils.parseError("not json"))
+    }
+
+    @Test
+    fun `errors endpoint returns empty report for project without errors`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Errors Test 1", "errors-test1.com")
+            ?: return@testApplication
+
+        val response = authClient.get("/admin/projects/$projectId/errors?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""totalErrors":0"""))
+        assertTrue(body.contains(""""errors":[]"""))
+    }
+
+    @Test
+    fun `errors endpoint groups collected errors by fingerprint`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Errors Test 2", "errors-test2.com")
+            ?: return@testApplication
+
+        val error = """{\"message\":\"TypeError: x is undefined\",\"frame\":\"https://errors-test2.com/app.js:12:5\",\"kind\":\"error\"}"""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {"path": "/checkout", "sessionId": "error-session-1", "type": "error", "properties": "$error"},
+                    {"path": "/checkout", "sessionId": "error-session-2", "type": "error", "properties": "$error"},
+                    {"path": "/cart", "sessionId": "error-session-2", "type": "error", "properties": "$error"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":3"""))
+
+        val response = authClient.get("/admin/projects/$projectId/errors?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        val fingerprint = ErrorAnalysisUtils.fingerprint("TypeError: x is undefined", "https://errors-test2.com/app.js:12:5")
+        assertTrue(body.contains(""""totalErrors":3"""))
+        assertTrue(body.contains(""""uniqueErrors":1"""))
+        assertTrue(body.contains(""""affectedSessions":2"""))
+        assertTrue(body.contains(""""fingerprint":"$fingerprint""""))
+        assertTrue(body.contains(""""occurrences":3,"sessions":2"""))
+        assertTrue(body.contains(""""topPage":"/checkout""""))
+    }
+
+    @Test
+    fun `recordFingerprint reports a new error once, even when recorded concurrently`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Errors Test 3", "errors-test3.com")
+            ?: return@testApplication
+
+        val uuid = UUID.fromString(projectId)
+        val fingerprint = ErrorAnalysisUtils.fingerprint("TypeError: y is undefined", "https://errors-test3.com/app.js:3:1")
+        val newCount = AtomicInteger()
+        val threads = (1..4).map {
+            thread {
+                val isNew = transaction { ErrorAnalysisUtils.recordFingerprint(uuid, fingerprint, LocalDateTime.now()) }
+                if (isNew) newCount.incrementAndGet()
+            }
+        }
+        threads.forEach { it.join() }
+
+        assertEquals(1, newCount.get())
+        assertFalse(transaction { ErrorAnalysisUtils.recordFingerprint(uuid, fingerprint, LocalDateTime.now()) })
+    }
+
+    @Test
+    fun `recordFingerprint does not report errors stored before fingerprints were recorded`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Errors Test 4", "errors-test4.com")
+            ?: return@testApplication
+
+        val error = """{\"message\":\"boom\",\"frame\":\"https://errors-test4.com/app.js:1:1\",\"kind\":\"error\"}"""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/", "sessionId": "error-session-4", "type": "error", "properties": "$error"}""")
+        }
+        assertEquals(HttpStatusCode.Accepted, collectResponse.status)
+
+        val uuid = UUID.fromString(projectId)
+        val fingerprint = ErrorAnalysisUtils.fingerprint("boom", "https://errors-test4.com/app.js:1:1")
+        transaction { ErrorFingerprints.deleteWhere { ErrorFingerprints.projectId eq uuid } }
+
+        assertFalse(transaction { ErrorAnalysisUtils.recordFingerprint(uuid, fingerprint, LocalDateTime.now()) })
+    }
+
+    @Test
+    fun `errors endpoint rejects invalid project ID`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val response = authClient.get("/admin/projects/not-a-uuid/errors")
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -0,0 +1,152 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.FormAnalysisUtils
+import kotlin.test.*
+
+/**
+ * Tests for form interaction parsing, the drop-off report and the forms endpoint
+ */
+class FormAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private fun interaction(submitted: Boolean, vararg fields: Pair<String, Int>) =
+        FormAnalysisUtils.FormInteraction(submitted, fields.map { it.first to it.second.toDouble() }, fields.lastOrNull()?.first)
+
+    @Test
+    fun `parseInteraction reads outcome, fields and last field`() {
+        val parsed = FormAnalysisUtils.parseInteraction(
+            """{"outcome":"abandoned","fields":[{"name":"email","ms":3200},{"name":"card","ms":8100}],"last":"card"}"""
+        )
+
+        assertNotNull(parsed)
+        assertFalse(parsed.submitted)
+        assertEquals(listOf("email" to 3200.0, "card" to 8100.0), parsed.fields)
+        assertEquals("card", parsed.last)
+    }
+
+    @Test
+    fun `parseInteraction rejects unknown outcomes and invalid JSON`() {
+        assertNull(FormAnalysisUtils.parseInteraction("""{"outcome":"maybe","fields":[]}"""))
+        assertNull(FormAnalysisUtils.parseInteraction("not json"))
+        assertNull(FormAnalysisUtils.parseInteraction(null))
+    }
+
+    @Test
+    fun `buildReport orders fields by focus position and counts drop-off`() {
+        val report = FormAnalysisUtils.buildReport(
+            "checkout",
+            listOf(
+                interaction(true, "email" to 2000, "card" to 6000, "zip" to 1000),
+                interaction(false, "email" to 4000, "card" to 10000),
+                interaction(false, "email" to 3000),
+                interaction(true, "email" to 1000, "card" to 2000, "zip" to 3000)
+            )
+        )
+
+        assertEquals(4L, report.interactions)
+        assertEquals(2L, report.submissions)
+        assertEquals(2L, report.abandonments)
+        assertEquals(50.0, report.completionRate)
+        assertEquals(listOf("email", "card", "zip"), report.fields.map { it.field })
+
+        val email = report.fields[0]
+        assertEquals(4L, email.interactions)
+        assertEquals(1L, email.abandonments)
+        assertEquals(25.0, email.dropOffRate)
+        assertEquals(2500.0, email.avgTimeMs)
+
+        val card = report.fields[1]
+        assertEquals(75.0, card.reachRate)
+        assertEquals(1L, card.abandonments)
+        assertEquals(6000.0, card.avgTimeMs)
+
+        assertEquals(0L, report.fields[2].abandonments)
+    }
+
+    @Test
+    fun `forms endpoint reports collected form interactions`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Forms Test 1", "forms-test1.com")
+            ?: return@testApplication
+
+        val email = """{\"name\":\"email\",\"ms\":1200}"""
+        val card = """{\"name\":\"card\",\"ms\":5400}"""
+        val submitted = """{\"outcome\":\"submitted\",\"fields\":[$email,$card],\"last\":\"card\"}"""
+        val abandoned = """{\"outcome\":\"abandoned\",\"fields\":[$email],\"last\":\"email\"}"""
+        val checkout = """"path": "/checkout", "type": "form", "eventName": "checkout""""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {$checkout, "sessionId": "form-session-1", "properties": "$submitted"},
+                    {$checkout, "sessionId": "form-session-2", "properties": "$abandoned"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":2"""))
+
+        val response = authClient.get("/admin/projects/$projectId/forms?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""form":"checkout","interactions":2,"submissions":1,"abandonments":1"""))
+        assertTrue(body.contains(""""field":"email","interactions":2"""))
+    }
+
+    @Test
+    fun `form events without an outcome are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Forms Test 2", "forms-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/checkout", "sessionId": "form-session-3", "type": "form", "eventName": "checkout", "properties": "{}"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -0,0 +1,136 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.FrustrationAnalysisUtils
+import kotlin.test.*
+
+/**
+ * Tests for rage and dead click parsing, page and element ranking and the frustration endpoint
+ */
+class FrustrationAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private fun signal(rage: Boolean, path: String, selector: String, sessionId: String) =
+        FrustrationAnalysisUtils.FrustrationSignal(rage, path, selector, sessionId)
+
+    @Test
+    fun `parseSelector reads the selector path`() {
+        assertEquals("button#buy", FrustrationAnalysisUtils.parseSelector("""{"selector":"button#buy","clicks":4}"""))
+        assertNull(FrustrationAnalysisUtils.parseSelector("""{"selector":""}"""))
+        assertNull(FrustrationAnalysisUtils.parseSelector("""{"clicks":4}"""))
+        assertNull(FrustrationAnalysisUtils.parseSelector("not json"))
+        assertNull(FrustrationAnalysisUtils.parseSelector(null))
+    }
+
+    @Test
+    fun `buildReport ranks pages and elements by signal count`() {
+        val report = FrustrationAnalysisUtils.buildReport(
+            listOf(
+                signal(true, "/pricing", "button#buy", "s1"),
+                signal(true, "/pricing", "button#buy", "s2"),
+                signal(false, "/pricing", "span.badge", "s2"),
+                signal(false, "/", "img.hero", "s3"),
+                signal(false, "/checkout", "button#buy", "s1"),
+                signal(false, "/checkout", "div.total", "s1")
+            )
+        )
+
+        assertEquals(2L, report.rageClicks)
+        assertEquals(4L, report.deadClicks)
+        assertEquals(3L, report.affectedSessions)
+
+        assertEquals(listOf("/pricing", "/checkout", "/"), report.pages.map { it.path })
+        assertEquals(2L, report.pages[0].rageClicks)
+        assertEquals(1L, report.pages[0].deadClicks)
+        assertEquals(2L, report.pages[0].sessions)
+
+        val top = report.elements.first()
+        assertEquals("/pricing" to "button#buy", top.path to top.selector)
+        assertEquals(2L, top.rageClicks)
+        assertEquals(5, report.elements.size)
+    }
+
+    @Test
+    fun `frustration endpoint reports collected rage and dead clicks`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Frustration Test 1", "frustration-test1.com")
+            ?: return@testApplication
+
+        val pricing = """"path": "/pricing", "type""""
+        val buy = """\"selector\":\"button#buy\""""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {$pricing: "rage_click", "sessionId": "frustration-1", "properties": "{$buy,\"clicks\":5}"},
+                    {$pricing: "dead_click", "sessionId": "frustration-2", "properties": "{\"selector\":\"span.badge\"}"},
+                    {$pricing: "rage_click", "sessionId": "frustration-2", "properties": "{$buy}"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":3"""))
+
+        val response = authClient.get("/admin/projects/$projectId/frustration?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""rageClicks":2,"deadClicks":1,"affectedSessions":2"""))
+        assertTrue(body.contains(""""path":"/pricing","selector":"button#buy","rageClicks":2,"deadClicks":0,"sessions":2"""))
+    }
+
+    @Test
+    fun `rage clicks without a selector are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Frustration Test 2", "frustration-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/", "sessionId": "frustration-3", "type": "rage_click", "properties": "{\"clicks\":4}"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -0,0 +1,109 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.ImpressionAnalysisUtils
+import kotlin.test.*
+
+/**
+ * Tests for impression parsing and the impression-to-click rates of the impressions endpoint
+ */
+class ImpressionAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `parseClickEvent reads the click event name`() {
+        assertEquals("signup", ImpressionAnalysisUtils.parseClickEvent("""{"event":"signup"}"""))
+        assertNull(ImpressionAnalysisUtils.parseClickEvent("""{"event":""}"""))
+        assertNull(ImpressionAnalysisUtils.parseClickEvent("""{"event":42}"""))
+        assertNull(ImpressionAnalysisUtils.parseClickEvent("not json"))
+        assertNull(ImpressionAnalysisUtils.parseClickEvent(null))
+    }
+
+    @Test
+    fun `impressions endpoint reports impression-to-click rates`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Impressions Test 1", "impressions-test1.com")
+            ?: return@testApplication
+
+        val heroCta = """"path": "/", "type": "impression", "eventName": "hero-cta", "properties": "{\"event\":\"signup\"}""""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {$heroCta, "sessionId": "impression-session-1"},
+                    {$heroCta, "sessionId": "impression-session-2"},
+                    {$heroCta, "sessionId": "impression-session-2"},
+                    {$heroCta, "sessionId": "impression-session-3"},
+                    {$heroCta, "sessionId": "impression-session-4"},
+                    {"path": "/", "type": "custom", "eventName": "signup", "sessionId": "impression-session-2"},
+                    {"path": "/", "type": "impression", "eventName": "footer", "sessionId": "impression-session-1"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":7"""))
+
+        val response = authClient.get("/admin/projects/$projectId/impressions?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""element":"hero-cta","impressions":5,"sessions":4,"clickEvent":"signup","clickedSessions":1"""))
+        assertTrue(body.contains(""""clickRate":25.0"""))
+        assertTrue(body.contains(""""element":"footer","impressions":1,"sessions":1"""))
+    }
+
+    @Test
+    fun `impression events without an element name are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Impressions Test 2", "impressions-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/", "sessionId": "impression-session-5", "type": "impression"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -0,0 +1,143 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.MediaAnalysisUtils
+import kotlin.test.*
+
+/**
+ * Tests for media event parsing, per-asset playback stats and the media endpoint
+ */
+class MediaAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private fun action(action: String, percent: Int? = null, ms: Double? = null, kind: String? = null) =
+        MediaAnalysisUtils.MediaAction(action, kind, percent, ms)
+
+    @Test
+    fun `parseAction reads action, kind, percent and watch time`() {
+        assertEquals(
+            action("play", kind = "video"),
+            MediaAnalysisUtils.parseAction("""{"action":"play","kind":"video","duration":94}""")
+        )
+        assertEquals(action("progress", percent = 50), MediaAnalysisUtils.parseAction("""{"action":"progress","percent":50}"""))
+        assertEquals(action("watch", ms = 38200.0), MediaAnalysisUtils.parseAction("""{"action":"watch","ms":38200}"""))
+        assertNull(MediaAnalysisUtils.parseAction("""{"percent":50}"""))
+        assertNull(MediaAnalysisUtils.parseAction("not json"))
+        assertNull(MediaAnalysisUtils.parseAction(null))
+    }
+
+    @Test
+    fun `buildStats counts plays, milestones, completions and watch time`() {
+        val stats = MediaAnalysisUtils.buildStats(
+            "product-tour",
+            listOf(
+                "s1" to action("play", kind = "video"),
+                "s1" to action("progress", percent = 25),
+                "s1" to action("progress", percent = 50),
+                "s1" to action("progress", percent = 75),
+                "s1" to action("progress", percent = 100),
+                "s1" to action("play", kind = "video"),
+                "s1" to action("progress", percent = 25),
+                "s1" to action("watch", ms = 120_000.0),
+                "s2" to action("play", kind = "video"),
+                "s2" to action("pause"),
+                "s2" to action("watch", ms = 30_000.0)
+            )
+        )
+
+        assertEquals("video", stats.kind)
+        assertEquals(3L, stats.plays)
+        assertEquals(2L, stats.sessions)
+        assertEquals(2L, stats.reached25)
+        assertEquals(1L, stats.reached75)
+        assertEquals(1L, stats.completions)
+        assertEquals(100.0 / 3, stats.completionRate, 0.001)
+        assertEquals(150_000L, stats.totalWatchMs)
+        assertEquals(50_000.0, stats.avgWatchMs)
+    }
+
+    @Test
+    fun `media endpoint reports collected playback`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Media Test 1", "media-test1.com")
+            ?: return@testApplication
+
+        val tour = """"path": "/", "type": "media", "eventName": "product-tour""""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {$tour, "sessionId": "media-session-1", "properties": "{\"action\":\"play\",\"kind\":\"video\"}"},
+                    {$tour, "sessionId": "media-session-1", "properties": "{\"action\":\"progress\",\"percent\":100}"},
+                    {$tour, "sessionId": "media-session-1", "properties": "{\"action\":\"watch\",\"ms\":94000}"},
+                    {$tour, "sessionId": "media-session-2", "properties": "{\"action\":\"play\",\"kind\":\"video\"}"},
+                    {$tour, "sessionId": "media-session-2", "properties": "{\"action\":\"watch\",\"ms\":6000}"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":5"""))
+
+        val response = authClient.get("/admin/projects/$projectId/media?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""media":"product-tour","kind":"video","plays":2,"sessions":2"""))
+        assertTrue(body.contains(""""completions":1,"completionRate":50.0,"totalWatchMs":100000,"avgWatchMs":50000.0"""))
+    }
+
+    @Test
+    fun `media events without an action are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Media Test 2", "media-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/", "sessionId": "media-session-3", "type": "media", "eventName": "product-tour", "properties": "{}"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
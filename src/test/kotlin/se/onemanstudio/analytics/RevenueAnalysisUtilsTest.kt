@@ -157,4 +157,39 @@ class RevenueAnalysisUtilsTest {
             assertEquals(HttpStatusCode.OK, response.status, "Failed for filter=$filter")
         }
     }
+
+    @Test
+    fun `revenue sent from a server is attributed to the browser session`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val projectId = authClient.createTestProject("Revenue Test 6", "revenue-test6.com")
+            ?: return@testApplication
+        val projects = authClient.get("/admin/projects").bodyAsText()
+        val apiKey = Regex(""""id"\s*:\s*"$projectId"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects)?.groupValues?.get(1) ?: return@testApplication
+
+        // The visit starts in the browser...
+        client.post("/collect?key=$apiKey") {
+            contentType(ContentType.Application.Json)
+            header(HttpHeaders.UserAgent, "Mozilla/5.0 (Windows NT 10.0; Win64; x64)")
+            setBody("""{"path":"/pricing","sessionId":"browser-session-1","type":"pageview","utmSource":"newsletter"}""")
+        }
+        // ...and the purchase arrives from the backend with the same session ID
+        val purchase = client.post("/collect") {
+            contentType(ContentType.Application.Json)
+            header("X-Project-Key", apiKey)
+            header(HttpHeaders.UserAgent, "node")
+            setBody(
+                """[{"path":"/checkout","sessionId":"browser-session-1","type":"custom","eventName":"purchase",""" +
+                    """"properties":"{\"revenue\":49.99,\"currency\":\"USD\"}"}]"""
+            )
+        }
+        assertEquals(HttpStatusCode.MultiStatus, purchase.status)
+
+        val attribution = authClient.get("/admin/projects/$projectId/revenue/attribution?filter=24h").bodyAsText()
+        assertTrue(attribution.contains(""""source":"utm:newsletter""""), attribution)
+        assertTrue(attribution.contains(""""revenue":49.99"""), attribution)
+    }
 }
@@ -0,0 +1,138 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.ScrollDepthAnalysisUtils
+import se.onemanstudio.utils.ScrollDepthAnalysisUtils.ScrollSample
+import kotlin.test.*
+
+/**
+ * Tests for scroll timing parsing, per-path scroll-depth distribution and the scroll-depth endpoint
+ */
+class ScrollDepthAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `parseMs reads the time to reach a threshold`() {
+        assertEquals(4200L, ScrollDepthAnalysisUtils.parseMs("""{"ms":4200}"""))
+        assertNull(ScrollDepthAnalysisUtils.parseMs("""{"ms":"4200"}"""))
+        assertNull(ScrollDepthAnalysisUtils.parseMs("""{"ms":-1}"""))
+        assertNull(ScrollDepthAnalysisUtils.parseMs("not json"))
+        assertNull(ScrollDepthAnalysisUtils.parseMs(null))
+    }
+
+    @Test
+    fun `buildStats reports reach rate and median time per threshold`() {
+        val stats = ScrollDepthAnalysisUtils.buildStats(
+            "/pricing",
+            4,
+            listOf(
+                ScrollSample("/pricing", 50, 6000),
+                ScrollSample("/pricing", 10, 1000),
+                ScrollSample("/pricing", 10, 3000),
+                ScrollSample("/pricing", 10, 2000),
+                ScrollSample("/pricing", 10)
+            )
+        )
+
+        assertEquals(listOf(10, 50), stats.thresholds.map { it.depth })
+        assertEquals(4L, stats.thresholds[0].reached)
+        assertEquals(100.0, stats.thresholds[0].reachRate)
+        assertEquals(2000L, stats.thresholds[0].medianMs)
+        assertEquals(25.0, stats.thresholds[1].reachRate)
+        assertEquals(6000L, stats.thresholds[1].medianMs)
+    }
+
+    @Test
+    fun `buildStats keeps the median empty without timings`() {
+        val stats = ScrollDepthAnalysisUtils.buildStats("/", 0, listOf(ScrollSample("/", 25)))
+
+        assertNull(stats.thresholds.single().medianMs)
+        assertEquals(0.0, stats.thresholds.single().reachRate)
+    }
+
+    @Test
+    fun `scroll depth endpoint reports collected thresholds per path`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Scroll Test 1", "scroll-test1.com")
+            ?: return@testApplication
+
+        val pricing = """"path": "/pricing""""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {$pricing, "sessionId": "scroll-session-1", "type": "pageview"},
+                    {$pricing, "sessionId": "scroll-session-1", "type": "scroll", "scrollDepth": 25, "properties": "{\"ms\":1000}"},
+                    {$pricing, "sessionId": "scroll-session-1", "type": "scroll", "scrollDepth": 50, "properties": "{\"ms\":3000}"},
+                    {$pricing, "sessionId": "scroll-session-2", "type": "pageview"},
+                    {$pricing, "sessionId": "scroll-session-2", "type": "scroll", "scrollDepth": 25}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":5"""))
+
+        val response = authClient.get("/admin/projects/$projectId/scroll-depth?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""path":"/pricing","pageviews":2"""))
+        assertTrue(body.contains(""""depth":25,"reached":2,"reachRate":100.0,"medianMs":1000"""))
+        assertTrue(body.contains(""""depth":50,"reached":1,"reachRate":50.0,"medianMs":3000"""))
+    }
+
+    @Test
+    fun `scroll events with a negative time are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Scroll Test 2", "scroll-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/", "sessionId": "scroll-session-3", "type": "scroll", "scrollDepth": 50, "properties": "{\"ms\":-5}"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
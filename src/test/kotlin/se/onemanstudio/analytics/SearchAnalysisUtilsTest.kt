@@ -0,0 +1,160 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.SearchAnalysisUtils
+import java.time.LocalDateTime
+import kotlin.test.*
+
+/**
+ * Tests for search term parsing and scrubbing, the site search report and the search endpoint
+ */
+class SearchAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private val base = LocalDateTime.of(2026, 3, 1, 12, 0)
+
+    private fun search(sessionId: String, term: String, results: Int?, minute: Long, path: String = "/search") =
+        SearchAnalysisUtils.SearchEvent(sessionId, path, term, results, base.plusMinutes(minute))
+
+    @Test
+    fun `parseSearch reads and normalizes the term and result count`() {
+        assertEquals("pricing plans" to 0, SearchAnalysisUtils.parseSearch("""{"term":"  Pricing   Plans ","results":0}"""))
+        assertEquals("api" to null, SearchAnalysisUtils.parseSearch("""{"term":"API"}"""))
+        assertNull(SearchAnalysisUtils.parseSearch("""{"term":" "}"""))
+        assertNull(SearchAnalysisUtils.parseSearch("not json"))
+        assertNull(SearchAnalysisUtils.parseSearch(null))
+    }
+
+    @Test
+    fun `scrubTerm only rewrites the term`() {
+        val scrubbed = SearchAnalysisUtils.scrubTerm("""{"term":"invoice 1234567","results":12345}""") {
+            it.replace(Regex("\\d{5,}"), ":number")
+        }
+
+        assertEquals("""{"term":"invoice :number","results":12345}""", scrubbed)
+        assertEquals("not json", SearchAnalysisUtils.scrubTerm("not json") { "" })
+    }
+
+    @Test
+    fun `buildReport merges repeated searches and measures exits`() {
+        val report = SearchAnalysisUtils.buildReport(
+            listOf(
+                search("s1", "pricing", null, 0),
+                search("s1", "pricing", 0, 1), // Same search, reported by MiniNumbers.search
+                search("s2", "pricing", 0, 0),
+                search("s3", "pricing", 4, 0),
+                search("s3", "api keys", 8, 2)
+            ),
+            mapOf(
+                "s1" to listOf(base, base.plusMinutes(5)),
+                "s2" to listOf(base),
+                "s3" to listOf(base, base.plusMinutes(1))
+            )
+        )
+
+        assertEquals(4L, report.totalSearches)
+        assertEquals(2L, report.uniqueTerms)
+        assertEquals(2L, report.zeroResultSearches)
+        assertEquals(50.0, report.exitRate)
+
+        val pricing = report.topSearches.first()
+        assertEquals("pricing", pricing.term)
+        assertEquals(3L, pricing.searches)
+        assertEquals(4.0 / 3, pricing.avgResults ?: 0.0, 0.001)
+        assertEquals(100.0 / 3, pricing.exitRate, 0.001)
+
+        assertEquals(listOf("pricing"), report.zeroResultTerms.map { it.term })
+        assertEquals(2L, report.zeroResultTerms.first().searches)
+    }
+
+    @Test
+    fun `search endpoint reports collected searches with scrubbed terms`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Search Test 1", "search-test1.com")
+            ?: return@testApplication
+
+        val now = System.currentTimeMillis()
+        val pricing = """{\"term\":\"pricing plans\"}"""
+        val noResults = """{\"term\":\"pricing plans\",\"results\":0}"""
+        val email = """{\"term\":\"jane@example.com invoice\",\"results\":3}"""
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {"path": "/search", "sessionId": "srch1", "type": "pageview", "timestamp": ${now - 120_000}},
+                    {"path": "/search", "sessionId": "srch1", "type": "search", "properties": "$pricing", "timestamp": ${now - 119_000}},
+                    {"path": "/search", "sessionId": "srch1", "type": "search", "properties": "$noResults", "timestamp": ${now - 118_000}},
+                    {"path": "/pricing", "sessionId": "srch1", "type": "pageview", "timestamp": ${now - 60_000}},
+                    {"path": "/search", "sessionId": "srch2", "type": "pageview", "timestamp": ${now - 50_000}},
+                    {"path": "/search", "sessionId": "srch2", "type": "search", "properties": "$email", "timestamp": ${now - 49_000}}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+        assertTrue(collectResponse.bodyAsText().contains(""""accepted":6"""))
+
+        val response = authClient.get("/admin/projects/$projectId/search?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""totalSearches":2,"uniqueTerms":2,"zeroResultSearches":1,"exitRate":50.0"""))
+        assertTrue(body.contains(""""term":"pricing plans","searches":1,"sessions":1,"avgResults":0.0,"exitRate":0.0"""))
+        assertTrue(body.contains(""""term":":email invoice""""))
+        assertFalse(body.contains("jane"))
+    }
+
+    @Test
+    fun `search events without a term are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (_, apiKey) = authClient.createTestProject("Search Test 2", "search-test2.com")
+            ?: return@testApplication
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/search", "sessionId": "srch3", "type": "search", "properties": "{\"results\":0}"}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -0,0 +1,118 @@
+package se.onemanstudio.analytics
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import se.onemanstudio.utils.VitalsAnalysisUtils
+import kotlin.test.*
+
+/**
+ * Tests for Web Vitals analytics
+ */
+class VitalsAnalysisUtilsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `percentile uses nearest rank`() {
+        val values = (1..20).map { it.toDouble() * 100 }
+
+        assertEquals(1000.0, VitalsAnalysisUtils.percentile(values, 50.0))
+        assertEquals(1500.0, VitalsAnalysisUtils.percentile(values, 75.0))
+        assertEquals(1900.0, VitalsAnalysisUtils.percentile(values, 95.0))
+        assertEquals(0.0, VitalsAnalysisUtils.percentile(emptyList(), 75.0))
+        assertEquals(42.0, VitalsAnalysisUtils.percentile(listOf(42.0), 95.0))
+    }
+
+    @Test
+    fun `vitals endpoint returns zero samples for empty project`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Vitals Test 1", "vitals-test1.com")
+            ?: return@testApplication
+
+        val response = authClient.get("/admin/projects/$projectId/vitals?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""samples":0"""))
+        assertTrue(body.contains(""""overall":[]"""))
+    }
+
+    @Test
+    fun `vitals endpoint reports collected metrics per page and device`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Vitals Test 2", "vitals-test2.com")
+            ?: return@testApplication
+
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                {
+                    "path": "/pricing",
+                    "sessionId": "vitals-session-1",
+                    "type": "vitals",
+                    "properties": "{\"lcp\":1840,\"cls\":0.042,\"ttfb\":210}"
+                }
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.Accepted, collectResponse.status)
+
+        val response = authClient.get("/admin/projects/$projectId/vitals?filter=7d")
+        assertEquals(HttpStatusCode.OK, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""samples":1"""))
+        assertTrue(body.contains(""""metric":"lcp","p50":1840.0"""))
+        assertTrue(body.contains(""""metric":"cls","p50":0.042"""))
+        assertTrue(body.contains(""""label":"/pricing""""))
+        assertFalse(body.contains(""""metric":"inp""""))
+    }
+
+    @Test
+    fun `vitals endpoint rejects invalid project ID`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val response = authClient.get("/admin/projects/not-a-uuid/vitals")
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+    }
+}
@@ -92,12 +92,12 @@ class ConfigLoaderTest {
     }
 
     @Test
-    fun `load returns tracker config with valid heartbeat interval`() {
+    fun `load returns tracker config with valid timestamp window`() {
         if (ConfigLoader.isSetupNeeded()) return
 
         val config = ConfigLoader.load()
 
-        assertTrue(config.tracker.heartbeatIntervalSeconds in 5..300, "Heartbeat interval should be 5-300")
+        assertTrue(config.tracker.timestampMaxAgeHours in 1..8760, "Timestamp max age should be 1-8760 hours")
     }
 
     @Test
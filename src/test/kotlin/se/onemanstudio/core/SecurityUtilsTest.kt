@@ -2,6 +2,7 @@ package se.onemanstudio.core
 
 import org.junit.Test
 import kotlin.test.*
+import java.time.Instant
 import java.time.LocalDate
 
 /**
@@ -190,4 +191,45 @@ class SecurityUtilsTest {
         // All hashes should be identical
         assertTrue(hashes.all { it == hashes[0] }, "Hash should be deterministic")
     }
+
+    // ==================== Session Token Tests ====================
+
+    @Test
+    fun `session token verifies to its session ID`() {
+        AnalyticsSecurity.init("test-salt-" + "x".repeat(50))
+
+        val token = AnalyticsSecurity.createSessionToken("0f1e2d3c4b5a6978", "project-1", "visitor-1")
+
+        assertTrue(token.startsWith("0f1e2d3c4b5a6978."))
+        assertEquals("0f1e2d3c4b5a6978", AnalyticsSecurity.verifySessionToken(token, "project-1", "visitor-1"))
+    }
+
+    @Test
+    fun `session token expires`() {
+        AnalyticsSecurity.init("test-salt-" + "x".repeat(50))
+        val issued = Instant.parse("2026-01-01T12:00:00Z")
+
+        val token = AnalyticsSecurity.createSessionToken("session-1", "project-1", "visitor-1", issued)
+
+        val almostExpired = issued.plusSeconds(AnalyticsSecurity.SESSION_TOKEN_TTL_SECONDS)
+        assertEquals("session-1", AnalyticsSecurity.verifySessionToken(token, "project-1", "visitor-1", almostExpired))
+        assertNull(AnalyticsSecurity.verifySessionToken(token, "project-1", "visitor-1", almostExpired.plusSeconds(1)))
+    }
+
+    @Test
+    fun `session token is rejected for another project, visitor, salt or session`() {
+        AnalyticsSecurity.init("test-salt-" + "x".repeat(50))
+        val token = AnalyticsSecurity.createSessionToken("session-1", "project-1", "visitor-1")
+        val (_, expires, signature) = token.split(".")
+
+        assertNull(AnalyticsSecurity.verifySessionToken(token, "project-2", "visitor-1"))
+        assertNull(AnalyticsSecurity.verifySessionToken(token, "project-1", "visitor-2"))
+        assertNull(AnalyticsSecurity.verifySessionToken("session-2.$expires.$signature", "project-1", "visitor-1"))
+        assertNull(AnalyticsSecurity.verifySessionToken("session-1.${expires.toLong() + 60}.$signature", "project-1", "visitor-1"))
+        assertNull(AnalyticsSecurity.verifySessionToken("session-1", "project-1", "visitor-1"))
+        assertNull(AnalyticsSecurity.verifySessionToken("session-1.soon.$signature", "project-1", "visitor-1"))
+
+        AnalyticsSecurity.init("other-salt-" + "y".repeat(50))
+        assertNull(AnalyticsSecurity.verifySessionToken(token, "project-1", "visitor-1"))
+    }
 }
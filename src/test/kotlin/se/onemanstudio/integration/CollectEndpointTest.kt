@@ -201,6 +201,30 @@ class CollectEndpointTest {
         )
     }
 
+    @Test
+    fun `POST collect with engagement type is accepted`() = testApplication {
+        application { module() }
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", "test-api-key")
+            contentType(ContentType.Application.Json)
+            setBody("""
+                {
+                    "path": "/home",
+                    "sessionId": "test-session",
+                    "type": "engagement",
+                    "engagedMs": 42150
+                }
+            """.trimIndent())
+        }
+
+        // Either 404 (no project) or 202 (accepted)
+        assertTrue(
+            response.status == HttpStatusCode.NotFound ||
+            response.status == HttpStatusCode.Accepted
+        )
+    }
+
     @Test
     fun `POST collect with optional referrer is accepted`() = testApplication {
         application { module() }
@@ -377,4 +401,48 @@ class CollectEndpointTest {
             response.status == HttpStatusCode.BadRequest
         )
     }
+
+    // ==================== Batch Form ====================
+
+    @Test
+    fun `POST collect with empty batch returns 400`() = testApplication {
+        application { module() }
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", "test-api-key")
+            contentType(ContentType.Application.Json)
+            setBody("[]")
+        }
+
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+        assertTrue(response.bodyAsText().contains("at least one event"))
+    }
+
+    @Test
+    fun `POST collect with oversized batch returns 400`() = testApplication {
+        application { module() }
+
+        val item = """{"path":"/home","sessionId":"test-session","type":"pageview"}"""
+        val response = client.post("/collect") {
+            header("X-Project-Key", "test-api-key")
+            contentType(ContentType.Application.Json)
+            setBody((1..51).joinToString(",", "[", "]") { item })
+        }
+
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+        assertTrue(response.bodyAsText().contains("maximum size"))
+    }
+
+    @Test
+    fun `POST collect batch with unknown API key returns 404`() = testApplication {
+        application { module() }
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", "nonexistent-batch-key")
+            contentType(ContentType.Application.Json)
+            setBody("""[{"path":"/home","sessionId":"test-session","type":"pageview"}]""")
+        }
+
+        assertEquals(HttpStatusCode.NotFound, response.status)
+    }
 }
@@ -0,0 +1,114 @@
+package se.onemanstudio.integration
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import kotlin.test.*
+
+/**
+ * Integration tests for per-project privacy settings
+ * Tests that projects honoring Global Privacy Control drop events sent with Sec-GPC: 1
+ */
+class PrivacySettingsTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private suspend fun HttpClient.collect(apiKey: String, sessionId: String, gpc: Boolean): HttpResponse {
+        return post("/collect") {
+            header("X-Project-Key", apiKey)
+            if (gpc) header("Sec-GPC", "1")
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/home", "sessionId": "$sessionId", "type": "pageview"}""")
+        }
+    }
+
+    @Test
+    fun `GPC is not honored by default`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Privacy Test 1", "privacy-test1.com")
+            ?: return@testApplication
+
+        val settings = authClient.get("/admin/projects/$projectId/privacy")
+        assertEquals(HttpStatusCode.OK, settings.status)
+        assertTrue(settings.bodyAsText().contains(""""honorGpc":false"""))
+
+        assertEquals(HttpStatusCode.Accepted, client.collect(apiKey, "gpc-session-1", gpc = true).status)
+    }
+
+    @Test
+    fun `projects honoring GPC drop events sent with Sec-GPC`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Privacy Test 2", "privacy-test2.com")
+            ?: return@testApplication
+
+        val update = authClient.put("/admin/projects/$projectId/privacy") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"honorGpc":true}""")
+        }
+        assertEquals(HttpStatusCode.OK, update.status)
+
+        assertEquals(HttpStatusCode.NoContent, client.collect(apiKey, "gpc-session-2", gpc = true).status)
+        assertEquals(HttpStatusCode.Accepted, client.collect(apiKey, "gpc-session-3", gpc = false).status)
+
+        val batch = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            header("Sec-GPC", "1")
+            contentType(ContentType.Application.Json)
+            setBody("""[{"path": "/home", "sessionId": "gpc-session-4", "type": "pageview"}]""")
+        }
+        assertEquals(HttpStatusCode.NoContent, batch.status)
+
+        val stats = authClient.get("/admin/projects/$projectId/stats").bodyAsText()
+        assertTrue(stats.contains(""""totalViews":1"""))
+    }
+
+    @Test
+    fun `privacy settings for unknown project return 404`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val response = authClient.put("/admin/projects/00000000-0000-0000-0000-000000000000/privacy") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"honorGpc":true}""")
+        }
+        assertEquals(HttpStatusCode.NotFound, response.status)
+    }
+}
@@ -8,6 +8,7 @@ import io.ktor.http.*
 import io.ktor.server.testing.*
 import org.junit.Test
 import se.onemanstudio.module
+import java.util.UUID
 import kotlin.test.*
 
 /**
@@ -195,6 +196,77 @@ class TrackingWorkflowTest {
         assertEquals(HttpStatusCode.Accepted, response.status)
     }
 
+    @Test
+    fun `batched events are validated and reported per item`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+
+        val loginResponse = authClient.login()
+        if (loginResponse.status != HttpStatusCode.OK) return@testApplication
+
+        authClient.post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"Batch Test","domain":"batch-test.com"}""")
+        }
+
+        val projectsBody = authClient.get("/admin/projects").bodyAsText()
+        val apiKey = extractApiKey(projectsBody) ?: return@testApplication
+
+        // sendBeacon posts batches as text/plain
+        val response = client.post("/collect?key=$apiKey") {
+            contentType(ContentType.Text.Plain)
+            setBody("""
+                [
+                    {"path": "/home", "sessionId": "batch-session", "type": "pageview"},
+                    {"path": "/home", "sessionId": "batch-session", "type": "not_a_type"},
+                    {"path": "/home", "sessionId": "batch-session", "type": "heartbeat"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, response.status)
+
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""accepted":2"""), "Two valid events should be accepted")
+        assertTrue(body.contains(""""rejected":1"""), "One invalid event should be rejected")
+        assertTrue(body.contains(""""index":1,"status":"rejected""""), "Rejected item should be reported by index")
+    }
+
+    @Test
+    fun `replayed events with the same eventId are stored once`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+
+        val loginResponse = authClient.login()
+        if (loginResponse.status != HttpStatusCode.OK) return@testApplication
+
+        authClient.post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"Dedup Test","domain":"dedup-test.com"}""")
+        }
+
+        val projectsBody = authClient.get("/admin/projects").bodyAsText()
+        val apiKey = extractApiKey(projectsBody) ?: return@testApplication
+        val eventId = UUID.randomUUID().toString()
+        val batch = """[{"path": "/replay", "sessionId": "dedup-session", "type": "pageview", "eventId": "$eventId"}]"""
+
+        val first = client.post("/collect?key=$apiKey") {
+            contentType(ContentType.Text.Plain)
+            setBody(batch)
+        }
+        assertEquals(HttpStatusCode.MultiStatus, first.status)
+        assertTrue(first.bodyAsText().contains(""""status":"accepted""""))
+
+        // Same event replayed from the tracker's retry store
+        val replay = client.post("/collect?key=$apiKey") {
+            contentType(ContentType.Text.Plain)
+            setBody(batch)
+        }
+        assertEquals(HttpStatusCode.MultiStatus, replay.status)
+        val replayBody = replay.bodyAsText()
+        assertTrue(replayBody.contains(""""accepted":0"""), "Replayed event should not be stored again")
+        assertTrue(replayBody.contains(""""status":"duplicate""""))
+    }
+
     @Test
     fun `events from different API keys are isolated`() = testApplication {
         application { module() }
@@ -283,4 +355,94 @@ class TrackingWorkflowTest {
         val deleteResponse = authClient.delete("/admin/projects/$projectId")
         assertEquals(HttpStatusCode.NoContent, deleteResponse.status)
     }
+
+    // ==================== Cross-Domain Session Tests ====================
+
+    @Test
+    fun `cross-domain session token is exchanged for the session ID`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+
+        val loginResponse = authClient.login()
+        if (loginResponse.status != HttpStatusCode.OK) return@testApplication
+
+        authClient.post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"Cross Domain Test","domain":"cross-domain-test.com"}""")
+        }
+
+        val projectsBody = authClient.get("/admin/projects").bodyAsText()
+        val apiKey = extractApiKey(projectsBody) ?: return@testApplication
+
+        val tokenResponse = client.get("/tracker/session-token?key=$apiKey&sid=cross-domain-session")
+        assertEquals(HttpStatusCode.OK, tokenResponse.status)
+        val token = """"token"\s*:\s*"([^"]+)"""".toRegex().find(tokenResponse.bodyAsText())?.groupValues?.get(1)
+            ?: fail("Token missing")
+
+        val sessionResponse = client.get("/tracker/session?key=$apiKey&token=$token")
+        assertEquals(HttpStatusCode.OK, sessionResponse.status)
+        assertTrue(sessionResponse.bodyAsText().contains(""""sessionId":"cross-domain-session""""))
+
+        // The signature covers the session ID
+        val tampered = client.get("/tracker/session?key=$apiKey&token=other-session.${token.substringAfter(".")}")
+        assertEquals(HttpStatusCode.BadRequest, tampered.status)
+
+        // and the visitor that asked for the token: another browser cannot redeem it
+        val otherVisitor = client.get("/tracker/session?key=$apiKey&token=$token") {
+            header(HttpHeaders.UserAgent, "Another Browser/1.0")
+        }
+        assertEquals(HttpStatusCode.BadRequest, otherVisitor.status)
+    }
+
+    @Test
+    fun `cross-domain session token requires a valid key and session ID`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+
+        val loginResponse = authClient.login()
+        if (loginResponse.status != HttpStatusCode.OK) return@testApplication
+
+        authClient.post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"Cross Domain Test 2","domain":"cross-domain-test2.com"}""")
+        }
+
+        val projectsBody = authClient.get("/admin/projects").bodyAsText()
+        val apiKey = extractApiKey(projectsBody) ?: return@testApplication
+
+        assertEquals(HttpStatusCode.NotFound, client.get("/tracker/session-token?key=does-not-exist&sid=abc").status)
+        assertEquals(HttpStatusCode.BadRequest, client.get("/tracker/session-token?key=$apiKey&sid=bad%20id!").status)
+        assertEquals(HttpStatusCode.BadRequest, client.get("/tracker/session?key=$apiKey&token=abc.123.def").status)
+        assertEquals(HttpStatusCode.BadRequest, client.get("/tracker/session?key=$apiKey").status)
+    }
+
+    @Test
+    fun `cross-domain session routes are rate-limited per IP`() {
+        System.setProperty("RATE_LIMIT_PER_IP", "3")
+        try {
+            testApplication {
+                application { module() }
+                val authClient = createAuthClient()
+
+                val loginResponse = authClient.login()
+                if (loginResponse.status != HttpStatusCode.OK) return@testApplication
+
+                authClient.post("/admin/projects") {
+                    contentType(ContentType.Application.Json)
+                    setBody("""{"name":"Cross Domain Test 3","domain":"cross-domain-test3.com"}""")
+                }
+
+                val projectsBody = authClient.get("/admin/projects").bodyAsText()
+                val apiKey = extractApiKey(projectsBody) ?: return@testApplication
+
+                repeat(3) {
+                    assertEquals(HttpStatusCode.OK, client.get("/tracker/session-token?key=$apiKey&sid=limited-session").status)
+                }
+                assertEquals(HttpStatusCode.TooManyRequests, client.get("/tracker/session-token?key=$apiKey&sid=limited-session").status)
+                assertEquals(HttpStatusCode.TooManyRequests, client.get("/tracker/session?key=$apiKey&token=abc.123.def").status)
+            }
+        } finally {
+            System.clearProperty("RATE_LIMIT_PER_IP")
+        }
+    }
 }
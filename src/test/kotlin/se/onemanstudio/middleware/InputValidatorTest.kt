@@ -96,6 +96,17 @@ class InputValidatorTest {
         assertTrue(result.errors.isEmpty())
     }
 
+    @Test
+    fun `validatePageViewPayload accepts normalized path placeholders`() {
+        val payload = PageViewPayload(
+            path = "/users/:id/orders/:number",
+            sessionId = "abc123",
+            type = "pageview"
+        )
+
+        assertTrue(InputValidator.validatePageViewPayload(payload).isValid)
+    }
+
     @Test
     fun `validatePageViewPayload accepts payload without referrer`() {
         val payload = PageViewPayload(
@@ -199,6 +210,27 @@ class InputValidatorTest {
         assertTrue(result.isValid)
     }
 
+    @Test
+    fun `validatePageViewPayload accepts engagement with engaged time`() {
+        val payload = PageViewPayload(path = "/home", sessionId = "abc123", type = "engagement", engagedMs = 12_345)
+
+        assertTrue(InputValidator.validatePageViewPayload(payload).isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload validates engaged time`() {
+        val missing = PageViewPayload(path = "/home", sessionId = "abc123", type = "engagement")
+        val negative = missing.copy(engagedMs = -1)
+        val tooLong = missing.copy(engagedMs = 90_000_000)
+        val wrongType = missing.copy(type = "pageview", engagedMs = 1_000)
+
+        listOf(missing, negative, tooLong, wrongType).forEach { payload ->
+            val result = InputValidator.validatePageViewPayload(payload)
+            assertFalse(result.isValid)
+            assertTrue(result.errors.any { it.contains("Engaged time") })
+        }
+    }
+
     @Test
     fun `validatePageViewPayload rejects path with null bytes`() {
         val payload = PageViewPayload(
@@ -404,6 +436,27 @@ class InputValidatorTest {
         }
     }
 
+    @Test
+    fun `validatePageViewPayload accepts names from data attributes as the tracker cleans them`() {
+        // Raw data-mn-* attribute values and the names the tracker sends for them
+        val cleaned = mapOf(
+            "  Sign up! " to "Sign up_",
+            "pricing/pro" to "pricing_pro",
+            "Café CTA" to "Caf_ CTA",
+            "x".repeat(150) to "x".repeat(100)
+        )
+
+        cleaned.forEach { (raw, name) ->
+            listOf("custom", "impression").forEach { type ->
+                fun validate(eventName: String) = InputValidator.validatePageViewPayload(
+                    PageViewPayload(path = "/home", sessionId = "abc123", type = type, eventName = eventName)
+                )
+                assertFalse(validate(raw).isValid, "'$raw' should be invalid as is")
+                assertTrue(validate(name).isValid, "'$name' should be valid")
+            }
+        }
+    }
+
     @Test
     fun `validatePageViewPayload accepts heartbeat without eventName`() {
         val payload = PageViewPayload(
@@ -434,4 +487,322 @@ class InputValidatorTest {
         assertFalse(result.isValid)
         assertTrue(result.errors.any { it.contains("event name", ignoreCase = true) })
     }
+
+    // ==================== Event ID Tests ====================
+
+    @Test
+    fun `validatePageViewPayload accepts hex eventId`() {
+        val payload = PageViewPayload(
+            path = "/home",
+            sessionId = "abc123",
+            type = "pageview",
+            eventId = "0f1e2d3c4b5a69788796a5b4c3d2e1f0"
+        )
+
+        val result = InputValidator.validatePageViewPayload(payload)
+
+        assertTrue(result.isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects eventId that is too long`() {
+        val payload = PageViewPayload(
+            path = "/home",
+            sessionId = "abc123",
+            type = "pageview",
+            eventId = "a".repeat(65)
+        )
+
+        val result = InputValidator.validatePageViewPayload(payload)
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Event ID") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects eventId with invalid characters`() {
+        val payload = PageViewPayload(
+            path = "/home",
+            sessionId = "abc123",
+            type = "pageview",
+            eventId = "id'; DROP TABLE events"
+        )
+
+        val result = InputValidator.validatePageViewPayload(payload)
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Event ID") })
+    }
+
+    // ==================== Web Vitals Tests ====================
+
+    private fun vitalsPayload(properties: String?) = PageViewPayload(
+        path = "/home",
+        sessionId = "abc123",
+        type = "vitals",
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts vitals event with known metrics`() {
+        val result = InputValidator.validatePageViewPayload(vitalsPayload("""{"lcp":1840,"cls":0.04,"inp":120}"""))
+
+        assertTrue(result.isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects vitals event without properties`() {
+        val result = InputValidator.validatePageViewPayload(vitalsPayload(null))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Web Vitals") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects vitals event with unknown metric`() {
+        val result = InputValidator.validatePageViewPayload(vitalsPayload("""{"lcp":1840,"fid":12}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Unknown Web Vitals metric 'fid'") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects vitals event with negative value`() {
+        val result = InputValidator.validatePageViewPayload(vitalsPayload("""{"lcp":-5}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("non-negative") })
+    }
+
+    // ==================== Error Event Tests ====================
+
+    private fun errorPayload(properties: String?, eventName: String? = null) = PageViewPayload(
+        path = "/home",
+        sessionId = "abc123",
+        type = "error",
+        eventName = eventName,
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts error event with message and frame`() {
+        val result = InputValidator.validatePageViewPayload(
+            errorPayload("""{"message":"TypeError: x is undefined","frame":"https://example.com/app.js:12:5","kind":"error"}""")
+        )
+
+        assertTrue(result.isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects error event without message`() {
+        val result = InputValidator.validatePageViewPayload(errorPayload("""{"frame":"app.js:1:1"}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("error message") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects error event with unknown kind`() {
+        val result = InputValidator.validatePageViewPayload(errorPayload("""{"message":"boom","kind":"warning"}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Error kind") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects client-supplied fingerprint on error event`() {
+        val result = InputValidator.validatePageViewPayload(errorPayload("""{"message":"boom"}""", eventName = "abc"))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Event name") })
+    }
+
+    // ==================== Media Event Tests ====================
+
+    private fun mediaPayload(properties: String?) = PageViewPayload(
+        path = "/home",
+        sessionId = "abc123",
+        type = "media",
+        eventName = "product-tour",
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts media play, pause, progress and watch events`() {
+        listOf(
+            """{"action":"play","kind":"video","duration":94}""",
+            """{"action":"pause","position":41}""",
+            """{"action":"progress","percent":75}""",
+            """{"action":"watch","ms":38200}"""
+        ).forEach { properties ->
+            assertTrue(InputValidator.validatePageViewPayload(mediaPayload(properties)).isValid, properties)
+        }
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects media event without a known action`() {
+        val result = InputValidator.validatePageViewPayload(mediaPayload("""{"action":"seek"}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("action") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects media progress outside the milestones`() {
+        val result = InputValidator.validatePageViewPayload(mediaPayload("""{"action":"progress","percent":60}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("progress percent") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects media watch event without watch time`() {
+        val result = InputValidator.validatePageViewPayload(mediaPayload("""{"action":"watch"}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("watch time") })
+    }
+
+    // ==================== Frustration Signal Tests ====================
+
+    private fun clickPayload(type: String, properties: String?) = PageViewPayload(
+        path = "/pricing",
+        sessionId = "abc123",
+        type = type,
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts rage and dead clicks with a selector`() {
+        assertTrue(InputValidator.validatePageViewPayload(clickPayload("rage_click", """{"selector":"button#buy","clicks":4}""")).isValid)
+        assertTrue(InputValidator.validatePageViewPayload(clickPayload("dead_click", """{"selector":"main > span.badge"}""")).isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects dead click without a selector`() {
+        val result = InputValidator.validatePageViewPayload(clickPayload("dead_click", null))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("CSS selector") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects click counts on dead clicks and below three`() {
+        assertFalse(InputValidator.validatePageViewPayload(clickPayload("dead_click", """{"selector":"img","clicks":4}""")).isValid)
+        assertFalse(InputValidator.validatePageViewPayload(clickPayload("rage_click", """{"selector":"img","clicks":2}""")).isValid)
+    }
+
+    // ==================== Search Event Tests ====================
+
+    private fun searchPayload(properties: String?) = PageViewPayload(
+        path = "/search",
+        sessionId = "abc123",
+        type = "search",
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts search event with term and result count`() {
+        assertTrue(InputValidator.validatePageViewPayload(searchPayload("""{"term":"pricing","results":0}""")).isValid)
+        assertTrue(InputValidator.validatePageViewPayload(searchPayload("""{"term":"pricing"}""")).isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects search event without a term`() {
+        val result = InputValidator.validatePageViewPayload(searchPayload("""{"results":3}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("search term") })
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects search event with negative result count`() {
+        val result = InputValidator.validatePageViewPayload(searchPayload("""{"term":"pricing","results":-1}"""))
+
+        assertFalse(result.isValid)
+        assertTrue(result.errors.any { it.contains("Search results") })
+    }
+
+    // ==================== Scroll Event Tests ====================
+
+    private fun scrollPayload(properties: String?) = PageViewPayload(
+        path = "/pricing",
+        sessionId = "abc123",
+        type = "scroll",
+        scrollDepth = 50,
+        properties = properties
+    )
+
+    @Test
+    fun `validatePageViewPayload accepts scroll event with or without time to reach`() {
+        assertTrue(InputValidator.validatePageViewPayload(scrollPayload("""{"ms":4200}""")).isValid)
+        assertTrue(InputValidator.validatePageViewPayload(scrollPayload(null)).isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects scroll event with invalid time to reach`() {
+        listOf("""{"ms":-1}""", """{"ms":"4200"}""", """{"ms":86400001}""").forEach { properties ->
+            val result = InputValidator.validatePageViewPayload(scrollPayload(properties))
+
+            assertFalse(result.isValid, properties)
+            assertTrue(result.errors.any { it.contains("Scroll time") })
+        }
+    }
+
+    // ==================== Sample Rate Tests ====================
+
+    @Test
+    fun `validatePageViewPayload accepts sample rate between 1 and 100`() {
+        listOf(1, 25, 100).forEach { rate ->
+            val payload = PageViewPayload(path = "/home", sessionId = "abc123", type = "pageview", sampleRate = rate)
+
+            assertTrue(InputValidator.validatePageViewPayload(payload).isValid, rate.toString())
+        }
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects sample rate out of range`() {
+        listOf(0, -5, 101).forEach { rate ->
+            val payload = PageViewPayload(path = "/home", sessionId = "abc123", type = "pageview", sampleRate = rate)
+
+            val result = InputValidator.validatePageViewPayload(payload)
+
+            assertFalse(result.isValid, rate.toString())
+            assertTrue(result.errors.any { it.contains("Sample rate") })
+        }
+    }
+
+    // ==================== Contact Link Tests ====================
+
+    @Test
+    fun `validatePageViewPayload accepts mailto and tel events`() {
+        val mailto = PageViewPayload(path = "/contact", sessionId = "abc123", type = "mailto", targetUrl = "mailto:sales@example.com")
+        val tel = PageViewPayload(path = "/contact", sessionId = "abc123", type = "tel", targetUrl = "tel:+46701234567")
+
+        assertTrue(InputValidator.validatePageViewPayload(mailto).isValid)
+        assertTrue(InputValidator.validatePageViewPayload(tel).isValid)
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects mailto and tel events without a matching target`() {
+        listOf(
+            PageViewPayload(path = "/contact", sessionId = "abc123", type = "mailto"),
+            PageViewPayload(path = "/contact", sessionId = "abc123", type = "mailto", targetUrl = "https://example.com"),
+            PageViewPayload(path = "/contact", sessionId = "abc123", type = "tel", targetUrl = "mailto:sales@example.com")
+        ).forEach { payload ->
+            val result = InputValidator.validatePageViewPayload(payload)
+
+            assertFalse(result.isValid, payload.targetUrl.toString())
+            assertTrue(result.errors.any { it.startsWith("Target URL") })
+        }
+    }
+
+    @Test
+    fun `validatePageViewPayload rejects an event name on mailto events`() {
+        val payload = PageViewPayload(
+            path = "/contact", sessionId = "abc123", type = "mailto", eventName = "sales", targetUrl = "mailto:sales@example.com"
+        )
+
+        assertFalse(InputValidator.validatePageViewPayload(payload).isValid)
+    }
 }
@@ -0,0 +1,181 @@
+package se.onemanstudio.middleware
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import kotlin.test.*
+
+/**
+ * Tests for per-project path normalization rules and PII detectors
+ */
+class PathNormalizerTest {
+
+    private fun rules(vararg rules: Pair<String, String>, detectors: Set<String> = emptySet()) =
+        PathNormalizer.RuleSet(rules.map { PathNormalizer.PathRule(it.first, it.second) }, detectors)
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `normalize replaces rule matches with the template`() {
+        val ruleSet = rules("^/users/[^/]+" to "/users/:id", "^/blog/(\\w+)/\\d+" to "/blog/$1/:post")
+
+        assertEquals("/users/:id/settings", PathNormalizer.normalize("/users/8412/settings", ruleSet))
+        assertEquals("/blog/news/:post", PathNormalizer.normalize("/blog/news/2024", ruleSet))
+        assertEquals("/pricing", PathNormalizer.normalize("/pricing", ruleSet))
+    }
+
+    @Test
+    fun `normalize applies enabled detectors after rules`() {
+        val ruleSet = rules("^/users/\\d+" to "/users/:id", detectors = setOf("email", "uuid", "number"))
+
+        assertEquals("/users/:id", PathNormalizer.normalize("/users/123456", ruleSet))
+        assertEquals("/unsubscribe/:email", PathNormalizer.normalize("/unsubscribe/jane.doe%40example.com", ruleSet))
+        assertEquals(
+            "/orders/:uuid/items/:number",
+            PathNormalizer.normalize("/orders/123e4567-e89b-12d3-a456-426614174000/items/9876543", ruleSet)
+        )
+        assertEquals("/archive/2024", PathNormalizer.normalize("/archive/2024", ruleSet))
+    }
+
+    @Test
+    fun `normalize leaves paths alone when detectors are disabled`() {
+        val path = "/orders/123e4567-e89b-12d3-a456-426614174000/items/9876543"
+
+        assertEquals(path, PathNormalizer.normalize(path, rules()))
+        assertEquals("/orders/:uuid/items/9876543", PathNormalizer.normalize(path, rules(detectors = setOf("uuid"))))
+    }
+
+    @Test
+    fun `scrub applies only the enabled detectors`() {
+        val ruleSet = rules("^/users/\\d+" to "/users/:id", detectors = setOf("email"))
+
+        assertEquals("invoice for :email", PathNormalizer.scrub("invoice for jane@example.com", ruleSet))
+        assertEquals("/users/42 order 1234567", PathNormalizer.scrub("/users/42 order 1234567", ruleSet))
+    }
+
+    @Test
+    fun `validateRule accepts valid rules`() {
+        assertNull(PathNormalizer.validateRule("^/users/[^/]+", "/users/:id"))
+        assertNull(PathNormalizer.validateRule("^/blog/(\\w+)/\\d+", "/blog/$1/:post"))
+    }
+
+    @Test
+    fun `validateRule rejects invalid patterns and templates`() {
+        assertNotNull(PathNormalizer.validateRule("", "/x"))
+        assertNotNull(PathNormalizer.validateRule("^/users/(", "/users/:id"))
+        assertNotNull(PathNormalizer.validateRule("^/users/.+", "/users/<id>"))
+        assertNotNull(PathNormalizer.validateRule("^/users/.+", "/users/\$id"))
+        assertNotNull(PathNormalizer.validateRule("^/users/(.+)", "/users/$2"))
+        assertNotNull(PathNormalizer.validateRule("/" + "a".repeat(PathNormalizer.MAX_PATTERN_LENGTH), "/x"))
+    }
+
+    @Test
+    fun `parseDetectors ignores unknown names`() {
+        assertEquals(setOf("email", "number"), PathNormalizer.parseDetectors("email, number,ssn"))
+        assertEquals(emptySet(), PathNormalizer.parseDetectors(""))
+        assertEquals(emptySet(), PathNormalizer.parseDetectors(null))
+    }
+
+    @Test
+    fun `new projects scrub e-mail addresses only`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Path Rules Test 1", "path-rules-test1.com")
+            ?: return@testApplication
+
+        val response = authClient.get("/admin/projects/$projectId/path-rules")
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertEquals("""{"rules":[],"detectors":["email"]}""", response.bodyAsText().replace(Regex("\\s"), ""))
+    }
+
+    @Test
+    fun `saved rules are applied before events are stored`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Path Rules Test 2", "path-rules-test2.com")
+            ?: return@testApplication
+
+        val saveResponse = authClient.put("/admin/projects/$projectId/path-rules") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"rules":[{"pattern":"^/users/[^/]+","template":"/users/:id"}],"detectors":["email","number"]}""")
+        }
+        assertEquals(HttpStatusCode.OK, saveResponse.status)
+
+        val collectResponse = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""
+                [
+                    {"path": "/users/8412", "sessionId": "path-rules-session", "type": "pageview"},
+                    {"path": "/users/9001", "sessionId": "path-rules-session", "type": "pageview"},
+                    {"path": "/invoices/1234567", "sessionId": "path-rules-session", "type": "pageview"}
+                ]
+            """.trimIndent())
+        }
+        assertEquals(HttpStatusCode.MultiStatus, collectResponse.status)
+
+        val stats = authClient.get("/admin/projects/$projectId/stats").bodyAsText()
+        assertTrue(stats.contains(""""path":"/users/:id","count":2"""))
+        assertTrue(stats.contains(""""path":"/invoices/:number""""))
+        assertFalse(stats.contains("8412"))
+
+        // The tracker loads the same rules with its config
+        val trackerRules = client.get("/tracker/config?key=$apiKey").bodyAsText()
+        assertTrue(trackerRules.contains(""""template":"/users/:id""""))
+        assertTrue(trackerRules.contains(""""detectors":["email","number"]"""))
+    }
+
+    @Test
+    fun `invalid rules are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Path Rules Test 3", "path-rules-test3.com")
+            ?: return@testApplication
+
+        val response = authClient.put("/admin/projects/$projectId/path-rules") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"rules":[{"pattern":"^/users/(","template":"/users/:id"}],"detectors":["ssn"]}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+        val body = response.bodyAsText()
+        assertTrue(body.contains("Rule 1: Invalid pattern"))
+        assertTrue(body.contains("Unknown detector: ssn"))
+    }
+}
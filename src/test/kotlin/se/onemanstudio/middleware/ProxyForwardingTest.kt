@@ -0,0 +1,75 @@
+package se.onemanstudio.middleware
+
+import io.ktor.client.request.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import java.time.Instant
+import kotlin.test.*
+
+/**
+ * Unit tests for ProxyForwarding
+ * Tests the signed visitor header sent by first-party proxies (sdk/node/proxy.js)
+ */
+class ProxyForwardingTest {
+
+    private val secret = "test-proxy-secret-" + "x".repeat(20)
+    private val signedAt = Instant.parse("2026-01-01T12:00:00Z")
+
+    @Test
+    fun `sign matches the Node proxy`() {
+        // Same vector as sdk/node/test/proxy.test.js
+        assertEquals(
+            "1767268800.MjAzLjAuMTEzLjc.TW96aWxsYS81LjAgKFgxMTsgTGludXggeDg2XzY0KQ." +
+                "f1041958504f589ffd6e7e876ad0bed37ff3bcbfcd845ee0284bf834e8d48677",
+            ProxyForwarding.sign("203.0.113.7", "Mozilla/5.0 (X11; Linux x86_64)", secret, signedAt)
+        )
+    }
+
+    @Test
+    fun `verify returns the forwarded visitor`() {
+        val header = ProxyForwarding.sign("2001:db8::1", "Mozilla/5.0", secret, signedAt)
+
+        val client = ProxyForwarding.verify(header, secret, signedAt.plusSeconds(60))
+
+        assertEquals(ProxyForwarding.Client("2001:db8::1", "Mozilla/5.0"), client)
+    }
+
+    @Test
+    fun `verify rejects old, future and foreign headers`() {
+        val header = ProxyForwarding.sign("203.0.113.7", "Mozilla/5.0", secret, signedAt)
+        val maxAge = ProxyForwarding.MAX_AGE_SECONDS
+
+        assertNull(ProxyForwarding.verify(header, secret, signedAt.plusSeconds(maxAge + 1)))
+        assertNull(ProxyForwarding.verify(header, secret, signedAt.minusSeconds(maxAge + 1)))
+        assertNull(ProxyForwarding.verify(header, "other-secret-" + "y".repeat(20), signedAt))
+    }
+
+    @Test
+    fun `verify rejects tampered and malformed headers`() {
+        val (time, _, ua, signature) = ProxyForwarding.sign("203.0.113.7", "Mozilla/5.0", secret, signedAt).split(".")
+        val otherIp = java.util.Base64.getUrlEncoder().withoutPadding().encodeToString("198.51.100.1".toByteArray())
+
+        assertNull(ProxyForwarding.verify("$time.$otherIp.$ua.$signature", secret, signedAt))
+        assertNull(ProxyForwarding.verify("$time.$ua.$signature", secret, signedAt))
+        assertNull(ProxyForwarding.verify("", secret, signedAt))
+        // Signed, but not an IP address
+        val notAnIp = ProxyForwarding.sign("<script>", "Mozilla/5.0", secret, signedAt)
+        assertNull(ProxyForwarding.verify(notAnIp, secret, signedAt))
+    }
+
+    @Test
+    fun `collect rejects forwarded headers when no proxy secret is configured`() = testApplication {
+        application { module() }
+
+        val response = client.post("/collect") {
+            header("X-Project-Key", "test-api-key")
+            header(ProxyForwarding.HEADER, ProxyForwarding.sign("203.0.113.7", "Mozilla/5.0", secret))
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/home", "sessionId": "proxy-session", "type": "pageview"}""")
+        }
+
+        assertEquals(HttpStatusCode.Unauthorized, response.status)
+    }
+}
@@ -0,0 +1,97 @@
+package se.onemanstudio.middleware
+
+import org.junit.Test
+import se.onemanstudio.api.models.collection.PageViewPayload
+import se.onemanstudio.config.models.TimestampPolicy
+import se.onemanstudio.config.models.TrackerConfig
+import java.time.Instant
+import java.time.LocalDateTime
+import java.time.ZoneId
+import kotlin.test.*
+
+/**
+ * Unit tests for TimestampValidator
+ * Tests clock-skew correction and the accepted timestamp window
+ */
+class TimestampValidatorTest {
+
+    private val now = 1_800_000_000_000L
+    private val hour = 3_600_000L
+    private val clampConfig = TrackerConfig(timestampMaxAgeHours = 24, timestampPolicy = TimestampPolicy.CLAMP)
+    private val rejectConfig = TrackerConfig(timestampMaxAgeHours = 24, timestampPolicy = TimestampPolicy.REJECT)
+
+    private fun payload(timestamp: Long?, sentAt: Long? = null) = PageViewPayload(
+        path = "/home",
+        sessionId = "abc123",
+        type = "pageview",
+        timestamp = timestamp,
+        sentAt = sentAt
+    )
+
+    private fun at(epochMillis: Long): LocalDateTime =
+        LocalDateTime.ofInstant(Instant.ofEpochMilli(epochMillis), ZoneId.systemDefault())
+
+    @Test
+    fun `resolve uses receive time when no client timestamp is sent`() {
+        val result = TimestampValidator.resolve(payload(null), now, clampConfig)
+
+        assertEquals(at(now), result.timestamp)
+        assertNull(result.error)
+    }
+
+    @Test
+    fun `resolve keeps client timestamp when clocks agree`() {
+        val result = TimestampValidator.resolve(payload(now - 2 * hour, sentAt = now), now, clampConfig)
+
+        assertEquals(at(now - 2 * hour), result.timestamp)
+    }
+
+    @Test
+    fun `resolve corrects a client clock that runs behind`() {
+        // Client clock is 10 minutes slow: event happened 1h ago in server time
+        val skew = 10 * 60_000L
+        val result = TimestampValidator.resolve(payload(now - hour - skew, sentAt = now - skew), now, clampConfig)
+
+        assertEquals(at(now - hour), result.timestamp)
+    }
+
+    @Test
+    fun `resolve corrects a client clock that runs ahead`() {
+        // Client clock is 3 hours fast: without correction the event would land in the future
+        val skew = 3 * hour
+        val result = TimestampValidator.resolve(payload(now - hour + skew, sentAt = now + skew), now, clampConfig)
+
+        assertEquals(at(now - hour), result.timestamp)
+    }
+
+    @Test
+    fun `resolve clamps timestamps older than the window`() {
+        val result = TimestampValidator.resolve(payload(now - 48 * hour, sentAt = now), now, clampConfig)
+
+        assertEquals(at(now - 24 * hour), result.timestamp)
+        assertNull(result.error)
+    }
+
+    @Test
+    fun `resolve clamps future timestamps to receive time`() {
+        val result = TimestampValidator.resolve(payload(now + 2 * hour), now, clampConfig)
+
+        assertEquals(at(now), result.timestamp)
+    }
+
+    @Test
+    fun `resolve rejects timestamps outside the window with reject policy`() {
+        val result = TimestampValidator.resolve(payload(now - 48 * hour, sentAt = now), now, rejectConfig)
+
+        assertNull(result.timestamp)
+        assertNotNull(result.error)
+        assertTrue(result.error.contains("24 hours"))
+    }
+
+    @Test
+    fun `resolve accepts timestamps inside the window with reject policy`() {
+        val result = TimestampValidator.resolve(payload(now - 23 * hour, sentAt = now), now, rejectConfig)
+
+        assertEquals(at(now - 23 * hour), result.timestamp)
+    }
+}
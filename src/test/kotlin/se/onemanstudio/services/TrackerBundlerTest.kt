@@ -0,0 +1,190 @@
+package se.onemanstudio.services
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.module
+import kotlin.test.*
+
+/**
+ * Tests for the tracker build: the committed tracker.min.js, module assembly
+ * and the per-project bundle endpoint
+ */
+class TrackerBundlerTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    private fun resource(name: String): String =
+        javaClass.classLoader.getResource(name)?.readText() ?: fail("$name not found")
+
+    private val sample = """
+        var projectBundle = false;
+        core();
+        // @module scroll
+        scroll();
+        // @end
+        // @module errors
+        errors();
+        // @end
+    """.trimIndent()
+
+    @Test
+    fun `committed tracker min js matches tracker js`() {
+        assertEquals(
+            TrackerBundler.minify(resource("tracker/tracker.js")),
+            resource("tracker/tracker.min.js"),
+            "tracker.min.js is out of date, run ./gradlew minifyTracker"
+        )
+    }
+
+    @Test
+    fun `tracker js declares every module once`() {
+        val source = resource("tracker/tracker.js")
+
+        TrackerBundler.MODULES.forEach { module ->
+            assertEquals(1, Regex("""// @module $module\n""").findAll(source).count(), module)
+        }
+        assertEquals(TrackerBundler.MODULES.size, source.lines().count { it.trim() == "// @end" })
+        TrackerBundler.assemble(source, TrackerBundler.MODULES.toSet(), projectBundle = true)
+    }
+
+    @Test
+    fun `assemble keeps the core and the selected modules`() {
+        assertEquals(
+            "var projectBundle = true;\ncore();\nerrors();",
+            TrackerBundler.assemble(sample, setOf("errors"), projectBundle = true)
+        )
+        assertEquals(
+            "var projectBundle = false;\ncore();\nscroll();\nerrors();",
+            TrackerBundler.assemble(sample, setOf("scroll", "errors"), projectBundle = false)
+        )
+    }
+
+    @Test
+    fun `assemble rejects unbalanced or unknown modules`() {
+        assertFailsWith<IllegalStateException> {
+            TrackerBundler.assemble("// @module scroll\nscroll();", emptySet(), projectBundle = false)
+        }
+        assertFailsWith<IllegalStateException> {
+            TrackerBundler.assemble("core();\n// @end", emptySet(), projectBundle = false)
+        }
+        assertFailsWith<IllegalStateException> {
+            TrackerBundler.assemble("// @module teleport\n// @end", emptySet(), projectBundle = false)
+        }
+    }
+
+    @Test
+    fun `minify strips comments and blank lines`() {
+        val source = "/**\n * Header\n */\n(function() {\n    // comment\n\n    send(); // trailing\n})();\n"
+
+        assertEquals("(function() {\nsend();\n})();", TrackerBundler.minify(source))
+    }
+
+    @Test
+    fun `bundle contains only the selected modules`() {
+        val core = TrackerBundler.bundle(emptySet())
+        val vitals = TrackerBundler.bundle(setOf("vitals", "unknown"))
+
+        assertTrue(core.contains("var projectBundle = true;"))
+        assertFalse(core.contains("PerformanceObserver"))
+        assertFalse(core.contains("scrollThresholds"))
+        assertTrue(vitals.contains("PerformanceObserver"))
+        assertTrue(core.length < vitals.length)
+        assertTrue(vitals.length < resource("tracker/tracker.min.js").length)
+    }
+
+    @Test
+    fun `parseModules ignores unknown names`() {
+        assertEquals(setOf("scroll", "vitals"), TrackerBundler.parseModules("scroll, vitals,teleport"))
+        assertEquals(emptySet(), TrackerBundler.parseModules(""))
+        assertEquals(emptySet(), TrackerBundler.parseModules(null))
+    }
+
+    @Test
+    fun `bundle endpoint serves the modules enabled for the project`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Bundle Test 1", "bundle-test1.com")
+            ?: return@testApplication
+
+        val defaults = authClient.get("/admin/projects/$projectId/tracker-modules").bodyAsText()
+        assertEquals(
+            """{"modules":["scroll","downloads","outbound","impressions","media","spa"]}""",
+            defaults.replace(Regex("\\s"), "")
+        )
+
+        val before = client.get("/tracker/bundle.js?key=$apiKey")
+        assertEquals(HttpStatusCode.OK, before.status)
+        assertTrue(before.contentType()?.match(ContentType.Application.JavaScript) == true)
+        assertTrue(before.bodyAsText().contains("scrollThresholds"))
+        assertFalse(before.bodyAsText().contains("PerformanceObserver"))
+
+        val update = authClient.put("/admin/projects/$projectId/tracker-modules") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"modules":["vitals","errors"]}""")
+        }
+        assertEquals(HttpStatusCode.OK, update.status)
+        assertTrue(update.bodyAsText().contains(""""modules":["errors","vitals"]"""))
+
+        val after = client.get("/tracker/bundle.js?key=$apiKey").bodyAsText()
+        assertTrue(after.contains("PerformanceObserver"))
+        assertFalse(after.contains("scrollThresholds"))
+    }
+
+    @Test
+    fun `unknown modules are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Bundle Test 2", "bundle-test2.com")
+            ?: return@testApplication
+
+        val response = authClient.put("/admin/projects/$projectId/tracker-modules") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"modules":["scroll","teleport"]}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+        assertTrue(response.bodyAsText().contains("Unknown module: teleport"))
+    }
+
+    @Test
+    fun `bundle requires a valid key`() = testApplication {
+        application { module() }
+
+        val response = client.get("/tracker/bundle.js?key=does-not-exist")
+        assertEquals(HttpStatusCode.NotFound, response.status)
+    }
+}
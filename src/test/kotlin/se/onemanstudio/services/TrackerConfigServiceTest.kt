@@ -0,0 +1,286 @@
+package se.onemanstudio.services
+
+import io.ktor.client.*
+import io.ktor.client.plugins.cookies.*
+import io.ktor.client.request.*
+import io.ktor.client.statement.*
+import io.ktor.http.*
+import io.ktor.server.testing.*
+import org.junit.Test
+import se.onemanstudio.api.models.admin.TrackerSettings
+import se.onemanstudio.db.Projects
+import se.onemanstudio.module
+import kotlin.test.*
+
+/**
+ * Tests for per-project tracker settings and the /tracker/config endpoint
+ */
+class TrackerConfigServiceTest {
+
+    private fun ApplicationTestBuilder.createAuthClient(): HttpClient {
+        return createClient {
+            install(HttpCookies)
+        }
+    }
+
+    private suspend fun HttpClient.login(): HttpResponse {
+        return post("/api/login") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"username":"admin","password":"testpassword123"}""")
+        }
+    }
+
+    /**
+     * Create a project and return its ID and API key, looked up in the project list
+     */
+    private suspend fun HttpClient.createTestProject(name: String, domain: String): Pair<String, String>? {
+        val response = post("/admin/projects") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"name":"$name","domain":"$domain"}""")
+        }
+        if (response.status != HttpStatusCode.Created) return null
+        val projects = get("/admin/projects").bodyAsText()
+        val match = Regex(""""id"\s*:\s*"([^"]+)"\s*,\s*"name"\s*:\s*"$name"[^}]*"apiKey"\s*:\s*"([^"]+)"""")
+            .find(projects) ?: return null
+        return match.groupValues[1] to match.groupValues[2]
+    }
+
+    @Test
+    fun `normalize trims entries and cleans up extensions`() {
+        val settings = TrackerConfigService.normalize(
+            TrackerSettings(excludedPaths = listOf(" /admin/* ", "", "/admin/*"), downloadExtensions = listOf(".PDF", "pdf", " dmg"))
+        )
+
+        assertEquals(listOf("/admin/*"), settings.excludedPaths)
+        assertEquals(listOf("pdf", "dmg"), settings.downloadExtensions)
+    }
+
+    @Test
+    fun `normalize lowercases internal domains and drops wildcards`() {
+        val settings = TrackerConfigService.normalize(
+            TrackerSettings(internalDomains = listOf(" Example.com ", "*.example.com", ".docs.example.org", ""))
+        )
+
+        assertEquals(listOf("example.com", "docs.example.org"), settings.internalDomains)
+    }
+
+    @Test
+    fun `validate rejects invalid internal domains`() {
+        assertTrue(TrackerConfigService.validate(TrackerSettings(internalDomains = listOf("example.com", "my-shop.co.uk"))).isEmpty())
+
+        val errors = TrackerConfigService.validate(
+            TrackerSettings(internalDomains = listOf("https://example.com", "-example.com", "example..com"))
+        )
+
+        assertEquals(3, errors.size)
+        assertTrue(errors.all { it.startsWith("Invalid internal domain") })
+    }
+
+    @Test
+    fun `validate rejects download patterns that are not paths`() {
+        val settings = TrackerConfigService.normalize(TrackerSettings(downloadPatterns = listOf(" /download/* ", "/download/*", "")))
+        assertEquals(listOf("/download/*"), settings.downloadPatterns)
+        assertTrue(TrackerConfigService.validate(settings).isEmpty())
+
+        val errors = TrackerConfigService.validate(TrackerSettings(downloadPatterns = listOf("download/*", "/files?id=*")))
+
+        assertEquals(2, errors.size)
+        assertTrue(errors.all { it.startsWith("Invalid download pattern") })
+    }
+
+    @Test
+    fun `validate accepts valid settings`() {
+        assertTrue(TrackerConfigService.validate(TrackerSettings()).isEmpty())
+        assertTrue(
+            TrackerConfigService.validate(
+                TrackerSettings(
+                    excludedPaths = listOf("/admin/*", "/preview"),
+                    downloadExtensions = TrackerConfigService.DEFAULT_DOWNLOAD_EXTENSIONS,
+                    sampleRate = 10
+                )
+            ).isEmpty()
+        )
+    }
+
+    @Test
+    fun `validate rejects out of range values and invalid patterns`() {
+        val errors = TrackerConfigService.validate(
+            TrackerSettings(
+                excludedPaths = listOf("admin/*", "/search?q=*"),
+                downloadExtensions = listOf("tar.gz"),
+                sampleRate = 0
+            )
+        )
+
+        assertEquals(4, errors.size)
+        assertTrue(errors.any { it.startsWith("Sample rate") })
+        assertTrue(errors.contains("Invalid excluded path: admin/*. Use a path starting with /, e.g. /admin/*"))
+        assertTrue(errors.any { it.startsWith("Invalid download extension: tar.gz") })
+    }
+
+    @Test
+    fun `default download extensions match the column default`() {
+        assertEquals(
+            TrackerConfigService.DEFAULT_DOWNLOAD_EXTENSIONS.joinToString(","),
+            Projects.downloadExtensions.defaultValueFun?.invoke()
+        )
+    }
+
+    @Test
+    fun `etag changes with the body`() {
+        val etag = TrackerConfigService.etag("""{"sampleRate":100}""")
+
+        assertTrue(etag.startsWith("\"") && etag.endsWith("\""))
+        assertEquals(etag, TrackerConfigService.etag("""{"sampleRate":100}"""))
+        assertNotEquals(etag, TrackerConfigService.etag("""{"sampleRate":10}"""))
+    }
+
+    @Test
+    fun `new projects get the server defaults`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Tracker Config Test 1", "tracker-config-test1.com")
+            ?: return@testApplication
+
+        val settings = authClient.get("/admin/projects/$projectId/tracker-settings").bodyAsText()
+        assertTrue(settings.contains(""""sampleRate":100"""))
+
+        val response = client.get("/tracker/config?key=$apiKey")
+        assertEquals(HttpStatusCode.OK, response.status)
+        assertNotNull(response.headers[HttpHeaders.ETag])
+        val config = response.bodyAsText()
+        assertFalse(config.contains("heartbeatInterval"))
+        assertTrue(config.contains(""""spaMode":"history""""))
+        assertTrue(config.contains(""""modules":["scroll","downloads","outbound","impressions","media","spa"]"""))
+        assertTrue(config.contains(""""downloadExtensions":["pdf","zip","""))
+        assertTrue(config.contains(""""pathRules":{"rules":[],"detectors":["email"]}"""))
+    }
+
+    @Test
+    fun `config is revalidated with its ETag`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Tracker Config Test 2", "tracker-config-test2.com")
+            ?: return@testApplication
+
+        val etag = client.get("/tracker/config?key=$apiKey").headers[HttpHeaders.ETag] ?: fail("ETag missing")
+        val unchanged = client.get("/tracker/config?key=$apiKey") {
+            header(HttpHeaders.IfNoneMatch, etag)
+        }
+        assertEquals(HttpStatusCode.NotModified, unchanged.status)
+
+        val saveResponse = authClient.put("/admin/projects/$projectId/tracker-settings") {
+            contentType(ContentType.Application.Json)
+            setBody(
+                """{"hashRouting":true,"excludedPaths":["/admin/*"],""" +
+                    """"downloadExtensions":[".PKG"],"sampleRate":25,"internalDomains":["*.Example.com"],""" +
+                    """"downloadPatterns":["/download/*"]}"""
+            )
+        }
+        assertEquals(HttpStatusCode.OK, saveResponse.status)
+        assertTrue(saveResponse.bodyAsText().contains(""""downloadExtensions":["pkg"]"""))
+
+        val changed = client.get("/tracker/config?key=$apiKey") {
+            header(HttpHeaders.IfNoneMatch, etag)
+        }
+        assertEquals(HttpStatusCode.OK, changed.status)
+        assertNotEquals(etag, changed.headers[HttpHeaders.ETag])
+        val config = changed.bodyAsText()
+        assertTrue(config.contains(""""spaMode":"hash""""))
+        assertTrue(config.contains(""""excludedPaths":["/admin/*"]"""))
+        assertTrue(config.contains(""""sampleRate":25"""))
+        assertTrue(config.contains(""""internalDomains":["example.com"]"""))
+        assertTrue(config.contains(""""downloadPatterns":["/download/*"]"""))
+    }
+
+    @Test
+    fun `client sample rates are capped by the project's rate`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Tracker Config Test 5", "tracker-config-test5.com")
+            ?: return@testApplication
+
+        suspend fun collect(session: String, sampleRate: Int) = client.post("/collect") {
+            header("X-Project-Key", apiKey)
+            contentType(ContentType.Application.Json)
+            setBody("""{"path": "/home", "sessionId": "$session", "type": "pageview", "sampleRate": $sampleRate}""")
+        }
+
+        // An unsampled project counts every event once, whatever rate the client claims
+        assertEquals(HttpStatusCode.Accepted, collect("forged-session-1", 1).status)
+
+        authClient.put("/admin/projects/$projectId/tracker-settings") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"sampleRate":25}""")
+        }
+        // A claimed rate below the project's counts at the project's rate, a higher one as claimed
+        assertEquals(HttpStatusCode.Accepted, collect("forged-session-2", 1).status)
+        assertEquals(HttpStatusCode.Accepted, collect("sampled-session", 50).status)
+
+        val report = authClient.get("/admin/projects/$projectId/report?filter=7d").bodyAsText()
+        assertTrue(report.contains(""""totalViews":7"""), "Expected 1 + 4 + 2 views: $report")
+    }
+
+    @Test
+    fun `spa mode is off without the spa module`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, apiKey) = authClient.createTestProject("Tracker Config Test 3", "tracker-config-test3.com")
+            ?: return@testApplication
+
+        authClient.put("/admin/projects/$projectId/tracker-modules") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"modules":["scroll"]}""")
+        }
+
+        val config = client.get("/tracker/config?key=$apiKey").bodyAsText()
+        assertTrue(config.contains(""""spaMode":"off""""))
+        assertTrue(config.contains(""""modules":["scroll"]"""))
+    }
+
+    @Test
+    fun `invalid settings are rejected`() = testApplication {
+        application { module() }
+        val authClient = createAuthClient()
+        if (authClient.login().status != HttpStatusCode.OK) return@testApplication
+
+        val (projectId, _) = authClient.createTestProject("Tracker Config Test 4", "tracker-config-test4.com")
+            ?: return@testApplication
+
+        val response = authClient.put("/admin/projects/$projectId/tracker-settings") {
+            contentType(ContentType.Application.Json)
+            setBody("""{"sampleRate":150,"excludedPaths":["admin"]}""")
+        }
+        assertEquals(HttpStatusCode.BadRequest, response.status)
+        val body = response.bodyAsText()
+        assertTrue(body.contains("Sample rate must be between 1 and 100 percent"))
+        assertTrue(body.contains("Invalid excluded path: admin"))
+    }
+
+    @Test
+    fun `config without a key returns the server defaults`() = testApplication {
+        application { module() }
+
+        val response = client.get("/tracker/config")
+        assertEquals(HttpStatusCode.OK, response.status)
+        val body = response.bodyAsText()
+        assertTrue(body.contains(""""spaEnabled":true"""))
+        assertFalse(body.contains("heartbeatInterval"))
+    }
+
+    @Test
+    fun `config requires a valid key`() = testApplication {
+        application { module() }
+
+        val response = client.get("/tracker/config?key=does-not-exist")
+        assertEquals(HttpStatusCode.NotFound, response.status)
+    }
+}